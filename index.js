@@ -3,13 +3,97 @@
  * @module index
  */
 
+const circuitBreaker = require("./lib/circuit-breaker");
+const codecs = require("./lib/codecs");
+const conformance = require("./lib/conformance");
+const context = require("./lib/context");
+const deadLetter = require("./lib/dead-letter");
+const dedup = require("./lib/dedup");
+const envelope = require("./lib/envelope");
 const errors = require("./lib/errors");
+const limiter = require("./lib/limiter");
+const MemoryBroker = require("./lib/memory-broker");
+const MemoryTransport = require("./lib/memory-transport");
+const metrics = require("./lib/metrics");
+const middleware = require("./lib/middleware");
+const MockTransport = require("./lib/mock-transport");
+const msgpack = require("./lib/msgpack");
+const outbox = require("./lib/outbox");
+const prometheus = require("./lib/prometheus");
+const recorder = require("./lib/recorder");
+const retry = require("./lib/retry");
+const router = require("./lib/router");
+const schema = require("./lib/schema");
+const tracing = require("./lib/tracing");
 const Transport = require("./lib/transport");
 
 module.exports = {
+  /** Per-routing-key circuit breakers for requests. */
+  circuitBreaker,
+
+  /** Payload codecs and content encodings. */
+  codecs,
+
+  /** Conformance test suite for concrete transports. */
+  conformance,
+
+  /** Ambient context of the message being handled. */
+  context,
+
+  /** Dead-letter handling for messages whose handlers keep failing. */
+  deadLetter,
+
+  /** De-duplication of redelivered messages. */
+  dedup,
+
+  /** Versioned message envelope wire format. */
+  envelope,
+
   /** Errors module. */
   errors,
 
+  /** Concurrency limits for message handlers. */
+  limiter,
+
+  /** In-process broker shared between memory transports. */
+  MemoryBroker,
+
+  /** In-process transport class. */
+  MemoryTransport,
+
+  /** Metrics collection. */
+  metrics,
+
+  /** Middleware composition and built-in middleware. */
+  middleware,
+
+  /** Transport for unit tests, with request expectations and stubbed responses. */
+  MockTransport,
+
+  /** MessagePack serialization. */
+  msgpack,
+
+  /** Outbox for publishes made while disconnected. */
+  outbox,
+
+  /** Prometheus metrics exporter. */
+  prometheus,
+
+  /** Recording and replay of message traffic. */
+  recorder,
+
+  /** Retry policies with exponential backoff. */
+  retry,
+
+  /** Routing key pattern matching. */
+  router,
+
+  /** JSON Schema message validation. */
+  schema,
+
+  /** W3C Trace Context and baggage propagation. */
+  tracing,
+
   /** Transport class. */
   Transport,
 };
@@ -0,0 +1,270 @@
+/**
+ * Module for failing fast when requests to a routing key keep failing.
+ * @module lib/circuit-breaker
+ */
+
+const _ = require("lodash");
+const defaults = require("../defaults");
+const errors = require("./errors");
+
+/**
+ * The states a circuit breaker can be in.
+ * @type {object}
+ */
+const STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "halfOpen",
+};
+
+/**
+ * Default check for whether an error counts as a failure of the downstream service. Response
+ * errors mean the service is up and answering, so only processing errors among them count.
+ * @param {Error} err - The error a request failed with.
+ * @returns {boolean}
+ */
+function isFailure(err) {
+  return !(err instanceof errors.ResponseError) || err instanceof errors.ResponseProcessingError;
+}
+
+/**
+ * A circuit breaker for a single routing key.
+ *
+ * While closed, requests are allowed and their outcomes recorded. The breaker opens when too
+ * many consecutive requests fail, or when the failure rate over the recent requests is too high.
+ * While open, requests are rejected until the cool-down period has passed, after which the
+ * breaker is half-open and allows a limited number of trial requests. If they all succeed the
+ * breaker closes, and if any fails it opens again.
+ */
+class CircuitBreaker {
+  /**
+   * Validates circuit breaker settings without creating a breaker.
+   * @param {object} [options] - The settings, as accepted by the constructor.
+   * @throws {TypeError} When a setting is invalid.
+   */
+  static validateSettings(options = {}) {
+    if (!_.isPlainObject(options)) {
+      throw new TypeError('"options" should be an object.');
+    }
+    ["failureThreshold", "minimumRequests", "windowSize", "halfOpenRequests"].forEach((key) => {
+      if (!_.isUndefined(options[key]) && !(_.isInteger(options[key]) && options[key] > 0)) {
+        throw new TypeError(`"options.${key}" should be a positive integer.`);
+      }
+    });
+    if (
+      !_.isUndefined(options.failureRateThreshold) &&
+      (!_.isNumber(options.failureRateThreshold) ||
+        options.failureRateThreshold <= 0 ||
+        options.failureRateThreshold > 1)
+    ) {
+      throw new TypeError('"options.failureRateThreshold" should be a number between 0 and 1.');
+    }
+    if (
+      !_.isUndefined(options.coolDown) &&
+      (!_.isNumber(options.coolDown) || options.coolDown < 0)
+    ) {
+      throw new TypeError('"options.coolDown" should be a non-negative number.');
+    }
+    ["isFailure", "onStateChange"].forEach((key) => {
+      if (!_.isUndefined(options[key]) && !_.isFunction(options[key])) {
+        throw new TypeError(`"options.${key}" should be a function.`);
+      }
+    });
+  }
+
+  /**
+   * Constructor for the CircuitBreaker object.
+   * @param {object} [options] - Optional settings.
+   * @param {number} [options.failureThreshold] - How many consecutive failures open the breaker.
+   * @param {number} [options.failureRateThreshold] - The failure rate, between 0 and 1, over the recent requests that opens the breaker.
+   * @param {number} [options.minimumRequests] - How many recent requests are needed before the failure rate is considered.
+   * @param {number} [options.windowSize] - How many recent requests the failure rate is calculated over.
+   * @param {number} [options.coolDown] - How long the breaker stays open before allowing trial requests, in milliseconds.
+   * @param {number} [options.halfOpenRequests] - How many trial requests must succeed to close the breaker.
+   * @param {function} [options.isFailure] - Decides whether an error counts as a failure. See {@link module:lib/circuit-breaker.isFailure}.
+   * @param {function} [options.onStateChange] - Called with the new and previous state whenever the state changes.
+   */
+  constructor(options = {}) {
+    CircuitBreaker.validateSettings(options);
+
+    /**
+     * The breaker settings, with defaults filled in.
+     * @type {object}
+     */
+    this.settings = {
+      ...defaults.circuitBreaker,
+      ..._.omitBy(_.omit(options, ["isFailure", "onStateChange"]), _.isUndefined),
+    };
+
+    /**
+     * Decides whether an error counts as a failure.
+     * @type {function}
+     */
+    this.isFailure = options.isFailure || isFailure;
+
+    this.onStateChange = options.onStateChange || _.noop;
+
+    /**
+     * The current state, one of {@link module:lib/circuit-breaker.STATES}.
+     * @type {string}
+     */
+    this.state = STATES.CLOSED;
+
+    /**
+     * The outcomes of the recent requests, true for failures, oldest first.
+     * @type {boolean[]}
+     */
+    this.outcomes = [];
+
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trials = 0;
+    this.trialSuccesses = 0;
+  }
+
+  /**
+   * Checks whether a request may be sent, moving an open breaker to half-open once its
+   * cool-down period has passed. Allowed trial requests must have their outcome recorded.
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (
+      this.state === STATES.OPEN &&
+      new Date().getTime() - this.openedAt >= this.settings.coolDown
+    ) {
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.OPEN) {
+      return false;
+    }
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.trials >= this.settings.halfOpenRequests) {
+        return false;
+      }
+      this.trials += 1;
+    }
+    return true;
+  }
+
+  /**
+   * Records the outcome of a request.
+   * @param {Error} [err] - The error the request failed with, if any.
+   */
+  record(err) {
+    if (err && this.isFailure(err)) {
+      this.recordFailure();
+    } else {
+      this.recordSuccess();
+    }
+  }
+
+  /**
+   * Records a successful request.
+   * @private
+   */
+  recordSuccess() {
+    if (this.state === STATES.HALF_OPEN) {
+      this.trialSuccesses += 1;
+      if (this.trialSuccesses >= this.settings.halfOpenRequests) {
+        this.transition(STATES.CLOSED);
+      }
+      return;
+    }
+    if (this.state === STATES.OPEN) {
+      return;
+    }
+
+    this.consecutiveFailures = 0;
+    this.addOutcome(false);
+  }
+
+  /**
+   * Records a failed request, opening the breaker if a threshold is reached.
+   * @private
+   */
+  recordFailure() {
+    if (this.state === STATES.HALF_OPEN) {
+      this.transition(STATES.OPEN);
+      return;
+    }
+    if (this.state === STATES.OPEN) {
+      return;
+    }
+
+    this.consecutiveFailures += 1;
+    this.addOutcome(true);
+    if (
+      this.consecutiveFailures >= this.settings.failureThreshold ||
+      (this.outcomes.length >= this.settings.minimumRequests &&
+        this.getFailureRate() >= this.settings.failureRateThreshold)
+    ) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  /**
+   * Adds an outcome to the window of recent requests.
+   * @param {boolean} failed - Whether the request failed.
+   * @private
+   */
+  addOutcome(failed) {
+    this.outcomes.push(failed);
+    if (this.outcomes.length > this.settings.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  /**
+   * Calculates the failure rate over the recent requests.
+   * @returns {number}
+   */
+  getFailureRate() {
+    if (this.outcomes.length === 0) {
+      return 0;
+    }
+    return _.filter(this.outcomes).length / this.outcomes.length;
+  }
+
+  /**
+   * Moves the breaker to a new state, resetting the counters for it.
+   * @param {string} state - The new state.
+   * @private
+   */
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.trials = 0;
+    this.trialSuccesses = 0;
+    if (state === STATES.OPEN) {
+      this.openedAt = new Date().getTime();
+    } else if (state === STATES.CLOSED) {
+      this.openedAt = null;
+      this.consecutiveFailures = 0;
+      this.outcomes = [];
+    }
+    this.onStateChange(state, previous);
+  }
+
+  /**
+   * Returns a copy of the breaker state, suitable for health checks.
+   * @returns {object} The `state`, `consecutiveFailures`, `failureRate` and number of recent
+   * `requests`, and while open or half-open, when the breaker opened and when it allows trial requests.
+   */
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureRate: this.getFailureRate(),
+      requests: this.outcomes.length,
+      openedAt: this.openedAt,
+      retryAt: this.openedAt === null ? null : this.openedAt + this.settings.coolDown,
+    };
+  }
+}
+
+module.exports = {
+  STATES,
+  isFailure,
+  CircuitBreaker,
+};
@@ -0,0 +1,196 @@
+/**
+ * Module for the registry of codecs and content encodings used to serialize message payloads.
+ *
+ * A codec turns payloads into bytes for a content type, and a content encoding compresses
+ * those bytes. JSON ("application/json") and MessagePack ("application/msgpack") codecs and
+ * the "gzip" and "deflate" encodings are built in. Senders record the content type and
+ * encoding with the message, so receivers can decode it without being configured to match.
+ * @module lib/codecs
+ */
+
+const zlib = require("zlib");
+const Promise = require("bluebird");
+const _ = require("lodash");
+const defaults = require("../defaults");
+const errors = require("./errors");
+const msgpack = require("./msgpack");
+
+/**
+ * The content type of the built-in JSON codec.
+ * @type {string}
+ */
+const JSON_TYPE = "application/json";
+
+/**
+ * The content type of the built-in MessagePack codec.
+ * @type {string}
+ */
+const MSGPACK_TYPE = "application/msgpack";
+
+/**
+ * Registered codecs, keyed by content type.
+ * @private
+ */
+const codecs = new Map();
+
+/**
+ * Registered content encodings, keyed by name.
+ * @private
+ */
+const encodings = new Map();
+
+/**
+ * Registers a codec, replacing any codec registered for the same content type.
+ * @param {object} codec - The codec to register.
+ * @param {string} codec.contentType - The content type the codec handles.
+ * @param {function} codec.encode - Converts a payload into a Buffer.
+ * @param {function} codec.decode - Converts a Buffer back into the payload.
+ */
+function register(codec) {
+  if (!_.isObject(codec) || !_.isString(codec.contentType)) {
+    throw new TypeError('"codec.contentType" should be a string.');
+  }
+  if (!_.isFunction(codec.encode) || !_.isFunction(codec.decode)) {
+    throw new TypeError('"codec.encode" and "codec.decode" should be functions.');
+  }
+  codecs.set(codec.contentType, codec);
+}
+
+/**
+ * Returns the codec registered for a content type.
+ * @param {string} contentType - The content type.
+ * @returns {object|undefined}
+ */
+function get(contentType) {
+  return codecs.get(contentType);
+}
+
+/**
+ * Registers a content encoding, replacing any encoding registered with the same name.
+ * @param {object} encoding - The encoding to register.
+ * @param {string} encoding.name - The name of the encoding, as used for `contentEncoding`.
+ * @param {function} encoding.compress - Compresses a Buffer, returning a Promise for the result.
+ * @param {function} encoding.decompress - Decompresses a Buffer, returning a Promise for the result. Also passed options with the `maxOutputLength` in bytes, beyond which it should reject.
+ */
+function registerEncoding(encoding) {
+  if (!_.isObject(encoding) || !_.isString(encoding.name)) {
+    throw new TypeError('"encoding.name" should be a string.');
+  }
+  if (!_.isFunction(encoding.compress) || !_.isFunction(encoding.decompress)) {
+    throw new TypeError('"encoding.compress" and "encoding.decompress" should be functions.');
+  }
+  encodings.set(encoding.name, encoding);
+}
+
+/**
+ * Returns the content encoding registered with a name.
+ * @param {string} name - The name of the encoding.
+ * @returns {object|undefined}
+ */
+function getEncoding(name) {
+  return encodings.get(name);
+}
+
+/**
+ * Encodes a payload, compressing it if it reaches the compression threshold.
+ * @param {*} payload - The payload to encode.
+ * @param {object} [options] - Optional settings.
+ * @param {string} [options.contentType] - The content type to encode as. Defaults to "application/json".
+ * @param {string} [options.contentEncoding] - The encoding to compress with. Payloads are not compressed by default.
+ * @param {number} [options.compressionThreshold] - The size in bytes from which payloads are compressed. Defaults to 0.
+ * @returns {Promise} Resolves to the encoded `data` as a Buffer, its `contentType`, and its
+ * `contentEncoding` if it was compressed.
+ */
+function encode(payload, options = {}) {
+  return Promise.try(() => {
+    const contentType = options.contentType || JSON_TYPE;
+    const codec = get(contentType);
+    if (!codec) {
+      throw new TypeError(`No codec registered for content type "${contentType}".`);
+    }
+    const encoding = options.contentEncoding && getEncoding(options.contentEncoding);
+    if (options.contentEncoding && !encoding) {
+      throw new TypeError(`No content encoding registered named "${options.contentEncoding}".`);
+    }
+
+    const data = codec.encode(payload);
+    if (!encoding || data.length < (options.compressionThreshold || 0)) {
+      return { data, contentType };
+    }
+    return Promise.resolve(encoding.compress(data)).then((compressed) => ({
+      data: compressed,
+      contentType,
+      contentEncoding: encoding.name,
+    }));
+  });
+}
+
+/**
+ * Decodes a payload encoded by {@link module:lib/codecs.encode}.
+ * @param {Buffer} data - The encoded payload.
+ * @param {string} [contentType] - The content type of the payload. Defaults to "application/json".
+ * @param {string} [contentEncoding] - The encoding the payload was compressed with, if any.
+ * @param {object} [options] - Optional settings.
+ * @param {number} [options.maxDecodedSize] - The largest size in bytes a compressed payload may decompress to. Guards against payloads that expand enormously.
+ * @returns {Promise} Resolves to the payload, or rejects with a CodecError if it cannot be decoded.
+ */
+function decode(data, contentType, contentEncoding, options = {}) {
+  const type = contentType || JSON_TYPE;
+  return Promise.try(() => {
+    const codec = get(type);
+    if (!codec) {
+      throw new errors.CodecError(`No codec registered for content type "${type}".`);
+    }
+    const encoding = contentEncoding && getEncoding(contentEncoding);
+    if (contentEncoding && !encoding) {
+      throw new errors.CodecError(`No content encoding registered named "${contentEncoding}".`);
+    }
+
+    const maxOutputLength = options.maxDecodedSize || defaults.codec.maxDecodedSize;
+    return Promise.resolve(encoding ? encoding.decompress(data, { maxOutputLength }) : data)
+      .then((decompressed) => codec.decode(decompressed))
+      .catch((err) => {
+        if (err instanceof errors.CodecError) {
+          throw err;
+        }
+        throw new errors.CodecError(`Unable to decode the "${type}" payload: ${err.message}`);
+      });
+  });
+}
+
+register({
+  contentType: JSON_TYPE,
+  encode: (payload) => Buffer.from(_.isUndefined(payload) ? "null" : JSON.stringify(payload)),
+  decode: (data) => JSON.parse(data.toString()),
+});
+
+register({
+  contentType: MSGPACK_TYPE,
+  encode: msgpack.encode,
+  decode: msgpack.decode,
+});
+
+registerEncoding({
+  name: "gzip",
+  compress: Promise.promisify(zlib.gzip),
+  decompress: (data, options) =>
+    Promise.fromCallback((callback) => zlib.gunzip(data, options, callback)),
+});
+
+registerEncoding({
+  name: "deflate",
+  compress: Promise.promisify(zlib.deflate),
+  decompress: (data, options) =>
+    Promise.fromCallback((callback) => zlib.inflate(data, options, callback)),
+});
+
+module.exports = {
+  JSON_TYPE,
+  MSGPACK_TYPE,
+  register,
+  get,
+  registerEncoding,
+  getEncoding,
+  encode,
+  decode,
+};
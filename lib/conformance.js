@@ -0,0 +1,264 @@
+/**
+ * Module providing a conformance suite that concrete transports can run against themselves, to
+ * check they behave like the other transports built on this core.
+ *
+ * The suite registers its tests with the mocha-compatible `describe`, `it`, `beforeEach` and
+ * `afterEach` globals, so it should be run from a test file:
+ *
+ * ```js
+ * const { conformance } = require("postmaster-general-core");
+ * conformance.run("AmqpTransport", () => new AmqpTransport({ url: process.env.AMQP_URL }));
+ * ```
+ * @module lib/conformance
+ */
+
+const assert = require("assert");
+const Promise = require("bluebird");
+const _ = require("lodash");
+const uuidv4 = require("uuid/v4");
+const errors = require("./errors");
+const Transport = require("./transport");
+
+/**
+ * How long to wait for messages to be delivered, in milliseconds, unless another is given.
+ * @type {number}
+ */
+const DEFAULT_TIMEOUT = 2000;
+
+/**
+ * Lists the error classes exported by {@link module:lib/errors}.
+ * @returns {function[]}
+ * @private
+ */
+function listErrorClasses() {
+  return _.filter(errors, (value) => _.isFunction(value) && value.prototype instanceof Error);
+}
+
+/**
+ * Creates a promise that is resolved from outside, with the arguments of the call that resolved it.
+ * @param {number} timeout - How long to wait before rejecting, in milliseconds.
+ * @param {string} description - What is being waited for, used in the timeout error.
+ * @returns {object} The `promise`, and a `resolve` function that resolves it with its arguments.
+ * @private
+ */
+function expectCall(timeout, description) {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  }).timeout(timeout, `Timed out waiting for ${description}.`);
+  return { promise, resolve: (...args) => resolve(args) };
+}
+
+/**
+ * Asserts that a promise rejects, resolving to the error.
+ * @param {Promise} promise - The promise that should reject.
+ * @returns {Promise} Resolves to the error the promise rejected with.
+ * @private
+ */
+function expectRejection(promise) {
+  return promise.then(
+    () => assert.fail("Expected the promise to reject."),
+    (err) => err
+  );
+}
+
+/**
+ * Registers the conformance tests for a transport.
+ * @param {string} name - The name of the transport, used to label the tests.
+ * @param {function} createTransport - Creates a new, unconnected transport for each test, returning it or a Promise for it.
+ * @param {object} [options] - Optional settings.
+ * @param {number} [options.timeout] - How long to wait for messages to be delivered, in milliseconds. Defaults to 2000.
+ * @param {function[]} [options.errors] - The error classes to check are propagated from handlers to requesters. Defaults to every class in {@link module:lib/errors}.
+ */
+function run(name, createTransport, options = {}) {
+  if (!_.isString(name)) {
+    throw new TypeError('"name" should be a string.');
+  }
+  if (!_.isFunction(createTransport)) {
+    throw new TypeError('"createTransport" should be a function.');
+  }
+  if (!_.isUndefined(options.timeout) && !(_.isNumber(options.timeout) && options.timeout > 0)) {
+    throw new TypeError('"options.timeout" should be a positive number.');
+  }
+  if (
+    !_.isUndefined(options.errors) &&
+    !(_.isArray(options.errors) && _.every(options.errors, _.isFunction))
+  ) {
+    throw new TypeError('"options.errors" should be an array of error classes.');
+  }
+
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const errorClasses = options.errors || listErrorClasses();
+
+  describe(`${name} conformance:`, function conformance() {
+    this.timeout(timeout * 3);
+
+    let transport;
+    let routingKey;
+
+    const listen = (callback, key = routingKey) =>
+      transport.addMessageListener(key, callback).then(() => transport.listen());
+
+    beforeEach(() => {
+      routingKey = `conformance.${uuidv4()}`;
+      return Promise.resolve(createTransport()).then((created) => {
+        assert.ok(created instanceof Transport, "The factory should create a Transport.");
+        transport = created;
+        return transport.connect();
+      });
+    });
+
+    afterEach(() => transport.disconnect());
+
+    describe("publish:", () => {
+      it("should deliver published messages to the listener", () => {
+        const received = expectCall(timeout, "the message");
+        return listen((msg) => {
+          received.resolve(msg);
+          return Promise.resolve();
+        })
+          .then(() => transport.publish(routingKey, { name: "bob", tags: ["a", "b"] }))
+          .then((correlationId) => {
+            assert.ok(_.isString(correlationId), "publish() should resolve to the correlationId.");
+            return received.promise;
+          })
+          .then(([msg]) => {
+            assert.deepStrictEqual(msg, { name: "bob", tags: ["a", "b"] });
+          });
+      });
+      it("should propagate the correlationId and initiator", () => {
+        const received = expectCall(timeout, "the message");
+        return listen((msg, correlationId, initiator) => {
+          received.resolve(correlationId, initiator);
+          return Promise.resolve();
+        })
+          .then(() => transport.publish(routingKey, {}, { correlationId: "ggg", initiator: "fff" }))
+          .then(() => received.promise)
+          .then(([correlationId, initiator]) => {
+            assert.strictEqual(correlationId, "ggg");
+            assert.strictEqual(initiator, "fff");
+          });
+      });
+      it("should pass the received routing key to the listener", () => {
+        const received = expectCall(timeout, "the message");
+        return listen((msg, correlationId, initiator, details) => {
+          received.resolve(details);
+          return Promise.resolve();
+        }, `${routingKey}.*`)
+          .then(() => transport.publish(`${routingKey}.created`, {}))
+          .then(() => received.promise)
+          .then(([details]) => {
+            assert.strictEqual(details.routingKey, `${routingKey}.created`);
+          });
+      });
+    });
+
+    describe("request:", () => {
+      it("should resolve to the response of the listener", () =>
+        listen((msg) => Promise.resolve({ greeting: `hello ${msg.name}` }))
+          .then(() => transport.request(routingKey, { name: "bob" }))
+          .then((res) => {
+            assert.deepStrictEqual(res, { greeting: "hello bob" });
+          }));
+      it("should propagate the correlationId and initiator", () =>
+        listen((msg, correlationId, initiator) => Promise.resolve({ correlationId, initiator }))
+          .then(() => transport.request(routingKey, {}, { correlationId: "ggg", initiator: "fff" }))
+          .then((res) => {
+            assert.deepStrictEqual(res, { correlationId: "ggg", initiator: "fff" });
+          }));
+
+      errorClasses.forEach((ErrorClass) => {
+        it(`should propagate a ${ErrorClass.name} from the listener`, () =>
+          listen(() => Promise.reject(new ErrorClass("Something went wrong.")))
+            .then(() => expectRejection(transport.request(routingKey, {}, { retry: false })))
+            .then((err) => {
+              assert.ok(err instanceof ErrorClass, `Expected a ${ErrorClass.name}, got ${err}.`);
+              assert.strictEqual(err.name, new ErrorClass("").name);
+              assert.strictEqual(err.message, "Something went wrong.");
+            }));
+      });
+    });
+
+    describe("removeMessageListener:", () => {
+      it("should stop delivering messages to a removed listener", () => {
+        let calls = 0;
+        return listen(() => {
+          calls += 1;
+          return Promise.resolve();
+        })
+          .then(() => transport.removeMessageListener(routingKey))
+          .then(() => expectRejection(transport.request(routingKey, {}, { timeout })))
+          .then(() => {
+            assert.strictEqual(calls, 0);
+          });
+      });
+    });
+
+    describe("disconnect:", () => {
+      it("should stop listening", () =>
+        listen(() => Promise.resolve())
+          .then(() => transport.disconnect())
+          .then(() => {
+            assert.strictEqual(transport.listening, false);
+            return transport.connect();
+          }));
+      it("should reject requests still waiting for a response", () => {
+        const received = expectCall(timeout, "the request");
+        return listen(() => {
+          received.resolve();
+          return new Promise(_.noop);
+        }).then(() => {
+          const pending = expectRejection(transport.request(routingKey, {}, { timeout: 0 }));
+          return received.promise
+            .then(() => transport.disconnect())
+            .then(() => pending)
+            .then((err) => {
+              assert.ok(err instanceof errors.TransportDisconnectedError);
+              return transport.connect();
+            });
+        });
+      });
+    });
+
+    describe("health:", () => {
+      it("should report the connection state", () => {
+        assert.strictEqual(transport.getHealth().state, Transport.STATES.CONNECTED);
+        assert.strictEqual(transport.getHealth().ready, true);
+        return listen(() => Promise.resolve())
+          .then(() => {
+            assert.strictEqual(transport.getHealth().state, Transport.STATES.LISTENING);
+            assert.strictEqual(transport.getHealth().listeners, 1);
+            return transport.disconnect();
+          })
+          .then(() => {
+            assert.strictEqual(transport.getHealth().state, Transport.STATES.CLOSED);
+            assert.strictEqual(transport.getHealth().ready, false);
+            return transport.connect();
+          });
+      });
+    });
+
+    describe("timings:", () => {
+      it("should record timings for handled messages", () =>
+        listen(() => Promise.resolve())
+          .then(() => transport.request(routingKey, {}))
+          .then(() => {
+            const topic = transport.resolveTopic(routingKey);
+            assert.strictEqual(transport.timings[topic].messageCount, 1);
+            assert.strictEqual(transport.getMetrics().handlers[topic].count, 1);
+          }));
+      it("should record failed handlers", () =>
+        listen(() => Promise.reject(new errors.ResponseError("boom")))
+          .then(() => expectRejection(transport.request(routingKey, {})))
+          .then(() => {
+            const topic = transport.resolveTopic(routingKey);
+            assert.strictEqual(transport.getMetrics().handlers[topic].errorCount, 1);
+          }));
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  run,
+};
@@ -0,0 +1,46 @@
+/**
+ * Module for the ambient context of the message being handled, kept in an AsyncLocalStorage
+ * so it follows the handler through callbacks, timers and promises.
+ *
+ * Bluebird only preserves async context when its `asyncHooks` option (bluebird 3.7 and later)
+ * is enabled, so loading this module enables it. This is a global setting: it applies to every
+ * user of the same bluebird copy, including the application's own promises, which then pay the
+ * small cost of async hooks too.
+ * @module lib/context
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const Promise = require("bluebird");
+
+Promise.config({ asyncHooks: true });
+
+/**
+ * The storage holding the context of the message being handled.
+ * @private
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function with a message context, which is returned by
+ * {@link module:lib/context.current} from anywhere in the function's async call tree.
+ * @param {object} context - The message context.
+ * @param {function} fn - The function to run.
+ * @returns {*} The return value of the function.
+ */
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Returns the context of the message currently being handled.
+ * @returns {object|undefined} The `transport`, `routingKey`, `pattern`, `topic`, `correlationId`,
+ * `initiator`, trace `span` and `headers` of the message, or undefined outside a handler.
+ */
+function current() {
+  return storage.getStore();
+}
+
+module.exports = {
+  run,
+  current,
+};
@@ -0,0 +1,174 @@
+/* eslint-disable max-classes-per-file */
+
+/**
+ * Module for tracking handler failures and storing dead-lettered messages.
+ * @module lib/dead-letter
+ */
+
+const Promise = require("bluebird");
+const _ = require("lodash");
+const defaults = require("../defaults");
+
+/**
+ * Default dead-letter sink, which keeps a bounded number of entries in memory.
+ *
+ * Custom sinks must implement the same promise-returning `add(entry)`, `get(id)`, `list()`
+ * and `remove(id)` methods.
+ */
+class MemoryDeadLetterSink {
+  /**
+   * Constructor for the MemoryDeadLetterSink object.
+   * @param {object} [options] - Optional settings.
+   * @param {number} [options.maxEntries] - The maximum number of entries to keep. The oldest entries are dropped first.
+   */
+  constructor(options = {}) {
+    if (!_.isUndefined(options.maxEntries) && !_.isNumber(options.maxEntries)) {
+      throw new TypeError('"options.maxEntries" should be a number.');
+    }
+
+    /**
+     * The maximum number of entries to keep.
+     * @type {number}
+     */
+    this.maxEntries = options.maxEntries || defaults.deadLetter.maxEntries;
+
+    /**
+     * The stored entries, keyed by id, in insertion order.
+     * @type {Map}
+     */
+    this.entries = new Map();
+  }
+
+  /**
+   * Stores a dead-letter entry.
+   * @param {object} entry - The entry to store.
+   * @returns {Promise}
+   */
+  add(entry) {
+    this.entries.set(entry.id, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Retrieves a dead-letter entry.
+   * @param {string} id - The id of the entry.
+   * @returns {Promise} Resolves to the entry, or undefined if it does not exist.
+   */
+  get(id) {
+    return Promise.resolve(this.entries.get(id));
+  }
+
+  /**
+   * Lists the stored dead-letter entries, oldest first.
+   * @returns {Promise}
+   */
+  list() {
+    return Promise.resolve(Array.from(this.entries.values()));
+  }
+
+  /**
+   * Deletes a dead-letter entry.
+   * @param {string} id - The id of the entry.
+   * @returns {Promise} Resolves to true if the entry existed.
+   */
+  remove(id) {
+    return Promise.resolve(this.entries.delete(id));
+  }
+}
+
+/**
+ * Counts handler failures per message and decides when a message should be dead-lettered.
+ */
+class DeadLetterQueue {
+  /**
+   * Constructor for the DeadLetterQueue object.
+   * @param {object} [options] - Optional settings.
+   * @param {number} [options.maxFailures] - How many times a message's handler may fail before the message is dead-lettered.
+   * @param {string} [options.routingKey] - A routing key to publish dead-letter entries to, in addition to storing them in the sink.
+   * @param {object} [options.sink] - Where to store dead-letter entries. Defaults to a {@link module:lib/dead-letter~MemoryDeadLetterSink}.
+   * @param {number} [options.maxTracked] - The maximum number of messages to track failure counts for. The oldest are forgotten first.
+   */
+  constructor(options = {}) {
+    if (
+      !_.isUndefined(options.maxFailures) &&
+      !(_.isInteger(options.maxFailures) && options.maxFailures > 0)
+    ) {
+      throw new TypeError('"options.maxFailures" should be a positive integer.');
+    }
+    if (!_.isUndefined(options.routingKey) && !_.isString(options.routingKey)) {
+      throw new TypeError('"options.routingKey" should be a string.');
+    }
+    if (
+      !_.isUndefined(options.sink) &&
+      !_.every(["add", "get", "list", "remove"], (method) =>
+        _.isFunction(_.get(options.sink, method))
+      )
+    ) {
+      throw new TypeError('"options.sink" should implement add(), get(), list() and remove().');
+    }
+    if (!_.isUndefined(options.maxTracked) && !_.isNumber(options.maxTracked)) {
+      throw new TypeError('"options.maxTracked" should be a number.');
+    }
+
+    /**
+     * How many times a message's handler may fail before the message is dead-lettered.
+     * @type {number}
+     */
+    this.maxFailures = options.maxFailures || defaults.deadLetter.maxFailures;
+
+    /**
+     * A routing key to publish dead-letter entries to.
+     * @type {string}
+     */
+    this.routingKey = options.routingKey;
+
+    /**
+     * Where dead-letter entries are stored.
+     * @type {object}
+     */
+    this.sink = options.sink || new MemoryDeadLetterSink();
+
+    /**
+     * The maximum number of messages to track failure counts for.
+     * @type {number}
+     */
+    this.maxTracked = options.maxTracked || defaults.deadLetter.maxTracked;
+
+    /**
+     * Failure counts, keyed by message.
+     * @type {Map}
+     */
+    this.failures = new Map();
+  }
+
+  /**
+   * Records a handler failure for a message.
+   * @param {string} key - Identifies the message.
+   * @returns {number} How many times the message's handler has now failed.
+   */
+  recordFailure(key) {
+    const attempts = (this.failures.get(key) || 0) + 1;
+    this.failures.delete(key);
+    this.failures.set(key, attempts);
+    while (this.failures.size > this.maxTracked) {
+      this.failures.delete(this.failures.keys().next().value);
+    }
+    return attempts;
+  }
+
+  /**
+   * Forgets the failures recorded for a message.
+   * @param {string} key - Identifies the message.
+   */
+  clearFailures(key) {
+    this.failures.delete(key);
+  }
+}
+
+module.exports = {
+  MemoryDeadLetterSink,
+  DeadLetterQueue,
+};
@@ -0,0 +1,160 @@
+/* eslint-disable max-classes-per-file */
+
+/**
+ * Module for de-duplicating redelivered messages by their message id.
+ * @module lib/dedup
+ */
+
+const Promise = require("bluebird");
+const _ = require("lodash");
+const defaults = require("../defaults");
+
+/**
+ * Default de-duplication store, which keeps a bounded number of entries in memory and
+ * forgets them once they expire. The least recently used entries are dropped first.
+ *
+ * Custom stores must implement the same promise-returning `get(key)` and `set(key, entry, ttl)`
+ * methods, and should expire entries after their ttl.
+ */
+class MemoryDedupStore {
+  /**
+   * Constructor for the MemoryDedupStore object.
+   * @param {object} [options] - Optional settings.
+   * @param {number} [options.maxEntries] - The maximum number of entries to keep.
+   */
+  constructor(options = {}) {
+    if (!_.isUndefined(options.maxEntries) && !_.isNumber(options.maxEntries)) {
+      throw new TypeError('"options.maxEntries" should be a number.');
+    }
+
+    /**
+     * The maximum number of entries to keep.
+     * @type {number}
+     */
+    this.maxEntries = options.maxEntries || defaults.dedup.maxEntries;
+
+    /**
+     * The stored entries and when they expire, keyed by message, least recently used first.
+     * @type {Map}
+     */
+    this.entries = new Map();
+  }
+
+  /**
+   * Retrieves an entry, unless it has expired.
+   * @param {string} key - The key of the message.
+   * @returns {Promise} Resolves to the entry, or undefined if there is none.
+   */
+  get(key) {
+    const stored = this.entries.get(key);
+    if (!stored) {
+      return Promise.resolve(undefined);
+    }
+
+    this.entries.delete(key);
+    if (stored.expiresAt <= new Date().getTime()) {
+      return Promise.resolve(undefined);
+    }
+    this.entries.set(key, stored);
+    return Promise.resolve(stored.entry);
+  }
+
+  /**
+   * Stores an entry.
+   * @param {string} key - The key of the message.
+   * @param {object} entry - The entry to store.
+   * @param {number} ttl - How long to keep the entry, in milliseconds.
+   * @returns {Promise}
+   */
+  set(key, entry, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { entry, expiresAt: new Date().getTime() + ttl });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Runs message handlers at most once per message, remembering the response of each handled
+ * message so duplicates can be answered without running the handler again.
+ *
+ * Only successful handlers are remembered, so a redelivered message whose handler failed is
+ * handled again. Duplicates arriving while the first delivery is still being handled wait
+ * for it and share its outcome.
+ */
+class Deduplicator {
+  /**
+   * Constructor for the Deduplicator object.
+   * @param {object} [options] - Optional settings.
+   * @param {number} [options.ttl] - How long to remember handled messages, in milliseconds.
+   * @param {number} [options.maxEntries] - The maximum number of handled messages the default store remembers.
+   * @param {object} [options.store] - Where handled messages are remembered. Defaults to a {@link module:lib/dedup~MemoryDedupStore}.
+   */
+  constructor(options = {}) {
+    if (!_.isUndefined(options.ttl) && !(_.isNumber(options.ttl) && options.ttl > 0)) {
+      throw new TypeError('"options.ttl" should be a positive number.');
+    }
+    if (
+      !_.isUndefined(options.store) &&
+      !_.every(["get", "set"], (method) => _.isFunction(_.get(options.store, method)))
+    ) {
+      throw new TypeError('"options.store" should implement get() and set().');
+    }
+
+    /**
+     * How long to remember handled messages, in milliseconds.
+     * @type {number}
+     */
+    this.ttl = options.ttl || defaults.dedup.ttl;
+
+    /**
+     * Where handled messages are remembered.
+     * @type {object}
+     */
+    this.store = options.store || new MemoryDedupStore({ maxEntries: options.maxEntries });
+
+    /**
+     * The messages currently being handled, keyed by message.
+     * @type {Map}
+     */
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Runs the handler of a message, unless the message was already handled.
+   * @param {string} key - The key of the message.
+   * @param {function} fn - The handler, returning a Promise for its response.
+   * @returns {Promise} Resolves to an object with the `response`, and whether the message was a `duplicate`.
+   */
+  run(key, fn) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight
+        .get(key)
+        .then((response) => ({ response: _.cloneDeep(response), duplicate: true }));
+    }
+
+    const running = Promise.resolve(this.store.get(key)).then((entry) => {
+      if (entry) {
+        return { response: _.cloneDeep(entry.response), duplicate: true };
+      }
+      return Promise.try(fn).then((response) =>
+        Promise.resolve(this.store.set(key, { response }, this.ttl)).then(() => ({
+          response,
+          duplicate: false,
+        }))
+      );
+    });
+
+    const response = running.then((outcome) => outcome.response);
+    response.catch(_.noop);
+    this.inFlight.set(key, response);
+    return running.finally(() => this.inFlight.delete(key));
+  }
+}
+
+module.exports = {
+  MemoryDedupStore,
+  Deduplicator,
+};
@@ -0,0 +1,231 @@
+/**
+ * Module defining the versioned envelope messages are sent in, so that transports serialize
+ * messages the same way and can interoperate.
+ *
+ * An envelope holds the `version` of the format, a unique message `id`, the `routingKey`, a
+ * `timestamp` in milliseconds since the epoch, the `correlationId` and `initiator`, string
+ * `headers`, the `contentType` and `contentEncoding` of the payload, and the `payload` itself.
+ *
+ * JSON payloads without a content encoding are embedded in the envelope as they are. Other
+ * payloads are encoded with {@link module:lib/codecs} and embedded as a base64 string; use
+ * {@link module:lib/envelope.wrap} and {@link module:lib/envelope.unwrap} to handle both cases.
+ * @module lib/envelope
+ */
+
+const Promise = require("bluebird");
+const _ = require("lodash");
+const uuidv4 = require("uuid/v4");
+const codecs = require("./codecs");
+const errors = require("./errors");
+
+/**
+ * The envelope version written by this package.
+ * @type {number}
+ */
+const VERSION = 1;
+
+/**
+ * The envelope versions this package can read.
+ * @type {number[]}
+ */
+const SUPPORTED_VERSIONS = [1];
+
+/**
+ * The content type of payloads, unless another is given.
+ * @type {string}
+ */
+const DEFAULT_CONTENT_TYPE = codecs.JSON_TYPE;
+
+/**
+ * Checks whether a value is a valid set of headers.
+ * @param {*} headers - The value to check.
+ * @returns {boolean}
+ */
+function isHeaders(headers) {
+  return _.isPlainObject(headers) && _.every(headers, _.isString);
+}
+
+/**
+ * Describes what is wrong with an envelope.
+ * @param {object} envelope - The envelope to check.
+ * @returns {string|null} A description of the problem, or null if the envelope is valid.
+ * @private
+ */
+function findProblem(envelope) {
+  if (!_.isPlainObject(envelope)) {
+    return "The envelope should be an object.";
+  }
+  const required = {
+    id: _.isString,
+    routingKey: _.isString,
+    timestamp: _.isFinite,
+    correlationId: _.isString,
+    headers: isHeaders,
+    contentType: _.isString,
+  };
+  const invalid = _.findKey(required, (check, key) => !check(envelope[key]));
+  if (invalid) {
+    return `The envelope has a missing or invalid "${invalid}".`;
+  }
+  const optional = ["initiator", "contentEncoding"];
+  const invalidOptional = _.find(
+    optional,
+    (key) => !_.isUndefined(envelope[key]) && !_.isString(envelope[key])
+  );
+  if (invalidOptional) {
+    return `The envelope has an invalid "${invalidOptional}".`;
+  }
+  return null;
+}
+
+/**
+ * Creates an envelope for a message, in the current version.
+ * @param {object} fields - The contents of the envelope.
+ * @param {string} fields.routingKey - The routing key of the message.
+ * @param {string} fields.correlationId - The correlationId of the message.
+ * @param {*} [fields.payload] - The message data.
+ * @param {string} [fields.initiator] - The initiator of the message.
+ * @param {object} [fields.headers] - String headers sent with the message.
+ * @param {string} [fields.contentType] - The content type of the payload. Defaults to "application/json".
+ * @param {string} [fields.contentEncoding] - The encoding the payload was compressed with, if any.
+ * @param {string} [fields.id] - The unique id of the message. Defaults to a new uuid.
+ * @param {number} [fields.timestamp] - When the message was sent. Defaults to now.
+ * @returns {object}
+ */
+function create(fields) {
+  const envelope = _.omitBy(
+    {
+      version: VERSION,
+      id: _.isUndefined(fields.id) ? uuidv4() : fields.id,
+      routingKey: fields.routingKey,
+      timestamp: _.isUndefined(fields.timestamp) ? new Date().getTime() : fields.timestamp,
+      correlationId: fields.correlationId,
+      initiator: fields.initiator,
+      headers: fields.headers || {},
+      contentType: fields.contentType || DEFAULT_CONTENT_TYPE,
+      contentEncoding: fields.contentEncoding,
+      payload: fields.payload,
+    },
+    _.isUndefined
+  );
+
+  const problem = findProblem(envelope);
+  if (problem) {
+    throw new TypeError(problem);
+  }
+  return envelope;
+}
+
+/**
+ * Checks whether an envelope embeds its payload as it is, rather than as a base64 string.
+ * @param {object} envelope - The envelope to check.
+ * @returns {boolean}
+ * @private
+ */
+function isEmbedded(envelope) {
+  return envelope.contentType === codecs.JSON_TYPE && !envelope.contentEncoding;
+}
+
+/**
+ * Creates an envelope for a message, encoding its payload with the given content type and
+ * content encoding.
+ * @param {object} fields - The contents of the envelope. See {@link module:lib/envelope.create}.
+ * @param {object} [options] - Settings for encoding the payload. See {@link module:lib/codecs.encode}.
+ * @returns {Promise} Resolves to the envelope.
+ */
+function wrap(fields, options = {}) {
+  const contentType = options.contentType || DEFAULT_CONTENT_TYPE;
+  if (contentType === codecs.JSON_TYPE && !options.contentEncoding) {
+    return Promise.try(() => create({ ...fields, contentType }));
+  }
+  return codecs.encode(fields.payload, options).then((encoded) =>
+    create({
+      ...fields,
+      contentType: encoded.contentType,
+      contentEncoding: encoded.contentEncoding,
+      payload: isEmbedded(encoded)
+        ? JSON.parse(encoded.data.toString())
+        : encoded.data.toString("base64"),
+    })
+  );
+}
+
+/**
+ * Reads the payload of an envelope, decoding it according to its content type and content encoding.
+ * @param {object} envelope - The envelope, as returned by {@link module:lib/envelope.decode}.
+ * @param {object} [options] - Settings for decoding the payload. See {@link module:lib/codecs.decode}.
+ * @returns {Promise} Resolves to the payload, or rejects with a CodecError if it cannot be decoded.
+ */
+function unwrap(envelope, options = {}) {
+  if (isEmbedded(envelope)) {
+    return Promise.resolve(envelope.payload);
+  }
+  if (!_.isString(envelope.payload)) {
+    return Promise.reject(new errors.CodecError("The encoded payload should be a base64 string."));
+  }
+  return codecs.decode(
+    Buffer.from(envelope.payload, "base64"),
+    envelope.contentType,
+    envelope.contentEncoding,
+    options
+  );
+}
+
+/**
+ * Encodes an envelope for sending.
+ * @param {object} envelope - An envelope created with {@link module:lib/envelope.create}.
+ * @returns {string}
+ */
+function encode(envelope) {
+  const problem = findProblem(envelope);
+  if (problem) {
+    throw new TypeError(problem);
+  }
+  return JSON.stringify(envelope);
+}
+
+/**
+ * Decodes a received envelope.
+ * @param {string|Buffer} data - The encoded envelope.
+ * @returns {object} The envelope.
+ * @throws {module:lib/errors~EnvelopeVersionError} If the envelope version is not supported.
+ * @throws {module:lib/errors~InvalidEnvelopeError} If the envelope is malformed.
+ */
+function decode(data) {
+  if (!_.isString(data) && !Buffer.isBuffer(data)) {
+    throw new TypeError('"data" should be a string or Buffer.');
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(data.toString());
+  } catch (err) {
+    throw new errors.InvalidEnvelopeError(`The envelope is not valid JSON: ${err.message}`);
+  }
+
+  const version = _.get(envelope, "version");
+  if (!_.includes(SUPPORTED_VERSIONS, version)) {
+    throw new errors.EnvelopeVersionError(
+      `Unsupported envelope version ${JSON.stringify(version)}. ` +
+        `Supported versions are: ${SUPPORTED_VERSIONS.join(", ")}.`
+    );
+  }
+
+  const problem = findProblem(envelope);
+  if (problem) {
+    throw new errors.InvalidEnvelopeError(problem);
+  }
+  return envelope;
+}
+
+module.exports = {
+  VERSION,
+  SUPPORTED_VERSIONS,
+  DEFAULT_CONTENT_TYPE,
+  isHeaders,
+  create,
+  wrap,
+  unwrap,
+  encode,
+  decode,
+};
@@ -3,9 +3,42 @@
 
 /**
  * Module representing a set of common errors.
+ *
+ * Errors can be converted to plain objects with {@link module:lib/errors.toJSON} for sending
+ * over the wire, and reconstructed as the same class with {@link module:lib/errors.fromJSON}.
+ * Applications can register their own error classes with {@link module:lib/errors.registerError}
+ * to have them reconstructed as well.
  * @module lib/errors
  */
 
+/**
+ * Registered error classes, keyed by error name.
+ * @private
+ */
+const registry = new Map();
+
+/**
+ * Converts an error into a plain object suitable for serialization.
+ * @param {Error} err - The error to convert.
+ * @returns {object} An object with the `name`, `message`, and if set, the `response`, `skipLog`, `code` and `cause` of the error.
+ */
+function toJSON(err) {
+  const data = { name: err.name, message: err.message };
+  if (err.response !== undefined) {
+    data.response = err.response;
+  }
+  if (err.skipLog !== undefined) {
+    data.skipLog = err.skipLog;
+  }
+  if (err.code !== undefined) {
+    data.code = err.code;
+  }
+  if (err.cause !== undefined) {
+    data.cause = err.cause instanceof Error ? toJSON(err.cause) : err.cause;
+  }
+  return data;
+}
+
 /**
  * Error generated when a function is called that isn't implemented.
  */
@@ -51,6 +84,100 @@ class RequestError extends Error {
   }
 }
 
+/**
+ * Error generated when no response to a request arrives in time.
+ * @extends module:lib/errors~RequestError
+ */
+class RequestTimeoutError extends RequestError {
+  /**
+   * Constructor for the error.
+   * @param {string} message - The error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "RequestTimeoutError";
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Error generated when a request is rejected without being sent, because the circuit breaker
+ * for its routing key is open.
+ */
+class CircuitOpenError extends Error {
+  /**
+   * Constructor for the error.
+   * @param {string} message - The error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "CircuitOpenError";
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Error generated when a message is rejected without being handled, because too many messages
+ * are already waiting for its listener.
+ */
+class QueueFullError extends Error {
+  /**
+   * Constructor for the error.
+   * @param {string} message - The error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "QueueFullError";
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Error generated when a received message envelope is malformed.
+ */
+class InvalidEnvelopeError extends Error {
+  /**
+   * Constructor for the error.
+   * @param {string} message - The error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "InvalidEnvelopeError";
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Error generated when a received message envelope has a version this package cannot read.
+ * @extends module:lib/errors~InvalidEnvelopeError
+ */
+class EnvelopeVersionError extends InvalidEnvelopeError {
+  /**
+   * Constructor for the error.
+   * @param {string} message - The error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "EnvelopeVersionError";
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Error generated when a message payload cannot be encoded or decoded.
+ */
+class CodecError extends Error {
+  /**
+   * Constructor for the error.
+   * @param {string} message - The error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "CodecError";
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
 /**
  * Error generated when there is an error with the response to a request.
  * Base class for more specific response errors.
@@ -166,10 +293,103 @@ class ResponseProcessingError extends ResponseError {
   }
 }
 
+/**
+ * Registers an error class, so it can be reconstructed by {@link module:lib/errors.fromJSON}.
+ * The class constructor should accept the same `(message, response, skipLog)` arguments as
+ * {@link module:lib/errors~ResponseError}.
+ * @param {function} ErrorClass - The error class to register.
+ * @param {string} [name] - The name of the errors to reconstruct as this class. Defaults to the class name.
+ */
+function registerError(ErrorClass, name) {
+  if (typeof ErrorClass !== "function" || !(ErrorClass.prototype instanceof Error)) {
+    throw new TypeError('"ErrorClass" should be a subclass of Error.');
+  }
+  if (name !== undefined && typeof name !== "string") {
+    throw new TypeError('"name" should be a string.');
+  }
+  registry.set(name || ErrorClass.name, ErrorClass);
+}
+
+/**
+ * Reconstructs an error from an object created by {@link module:lib/errors.toJSON}.
+ * Errors with an unregistered name are reconstructed as a plain Error with that name.
+ * @param {object} data - The serialized error.
+ * @returns {Error}
+ */
+function fromJSON(data) {
+  if (data === null || typeof data !== "object") {
+    throw new TypeError('"data" should be an object.');
+  }
+
+  const ErrorClass = registry.get(data.name);
+  const err = ErrorClass
+    ? new ErrorClass(data.message, data.response, data.skipLog)
+    : new Error(data.message);
+  err.name = data.name;
+  ["response", "skipLog", "code"].forEach((key) => {
+    if (data[key] !== undefined && err[key] === undefined) {
+      err[key] = data[key];
+    }
+  });
+  if (data.cause !== undefined) {
+    err.cause =
+      data.cause !== null && typeof data.cause === "object" && data.cause.name
+        ? fromJSON(data.cause)
+        : data.cause;
+  }
+  return err;
+}
+
+/**
+ * Converts the error into a plain object suitable for serialization. Shared by the error classes
+ * of this module, so JSON.stringify() serializes them with {@link module:lib/errors.toJSON}.
+ * @this Error
+ * @returns {object}
+ * @private
+ */
+function errorToJSON() {
+  return toJSON(this);
+}
+
+[
+  NotImplementedError,
+  TransportDisconnectedError,
+  RequestError,
+  RequestTimeoutError,
+  CircuitOpenError,
+  QueueFullError,
+  InvalidEnvelopeError,
+  EnvelopeVersionError,
+  CodecError,
+  ResponseError,
+  InvalidMessageError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ResponseProcessingError,
+].forEach((ErrorClass) => {
+  // Defined like a class method, so it is not enumerable.
+  Object.defineProperty(ErrorClass.prototype, "toJSON", {
+    value: errorToJSON,
+    writable: true,
+    configurable: true,
+  });
+  registerError(ErrorClass);
+});
+
 module.exports = {
+  toJSON,
+  fromJSON,
+  registerError,
   NotImplementedError,
   TransportDisconnectedError,
   RequestError,
+  RequestTimeoutError,
+  CircuitOpenError,
+  QueueFullError,
+  InvalidEnvelopeError,
+  EnvelopeVersionError,
+  CodecError,
   ResponseError,
   InvalidMessageError,
   UnauthorizedError,
@@ -0,0 +1,169 @@
+/**
+ * Module for limiting how many message handlers run at once.
+ * @module lib/limiter
+ */
+
+const Promise = require("bluebird");
+const _ = require("lodash");
+const defaults = require("../defaults");
+const errors = require("./errors");
+
+/**
+ * What a limiter can do when its queue is full.
+ * @type {object}
+ */
+const OVERFLOW = {
+  REJECT: "reject",
+  PAUSE: "pause",
+};
+
+/**
+ * Runs tasks with a bounded concurrency, queueing tasks that cannot start yet.
+ *
+ * When the queue reaches its maximum length, new tasks are either rejected with a
+ * QueueFullError, or, in "pause" mode, still queued while the limiter asks for intake to be
+ * paused. Intake is resumed once the queue has drained to half its maximum length.
+ */
+class Limiter {
+  /**
+   * Constructor for the Limiter object.
+   * @param {object} options - Settings for the limiter.
+   * @param {number} options.maxConcurrency - The maximum number of tasks running at once.
+   * @param {number} [options.maxQueueLength] - The maximum number of tasks waiting to start.
+   * @param {string} [options.overflow] - What to do when the queue is full, either "reject" or "pause".
+   * @param {function} [options.onPause] - Called with the queue length when intake should be paused.
+   * @param {function} [options.onResume] - Called with the queue length when intake may be resumed.
+   * @param {function} [options.onOverflow] - Called with the queue length when a task is rejected.
+   */
+  constructor(options) {
+    if (!_.isPlainObject(options)) {
+      throw new TypeError('"options" should be an object.');
+    }
+    if (!(_.isInteger(options.maxConcurrency) && options.maxConcurrency > 0)) {
+      throw new TypeError('"options.maxConcurrency" should be a positive integer.');
+    }
+    if (
+      !_.isUndefined(options.maxQueueLength) &&
+      !(_.isInteger(options.maxQueueLength) && options.maxQueueLength >= 0)
+    ) {
+      throw new TypeError('"options.maxQueueLength" should be a non-negative integer.');
+    }
+    if (!_.isUndefined(options.overflow) && !_.includes(_.values(OVERFLOW), options.overflow)) {
+      throw new TypeError('"options.overflow" should be "reject" or "pause".');
+    }
+    ["onPause", "onResume", "onOverflow"].forEach((key) => {
+      if (!_.isUndefined(options[key]) && !_.isFunction(options[key])) {
+        throw new TypeError(`"options.${key}" should be a function.`);
+      }
+    });
+
+    /**
+     * The maximum number of tasks running at once.
+     * @type {number}
+     */
+    this.maxConcurrency = options.maxConcurrency;
+
+    /**
+     * The maximum number of tasks waiting to start.
+     * @type {number}
+     */
+    this.maxQueueLength = _.isUndefined(options.maxQueueLength)
+      ? defaults.concurrency.maxQueueLength
+      : options.maxQueueLength;
+
+    /**
+     * What to do when the queue is full.
+     * @type {string}
+     */
+    this.overflow = options.overflow || defaults.concurrency.overflow;
+
+    this.onPause = options.onPause || _.noop;
+    this.onResume = options.onResume || _.noop;
+    this.onOverflow = options.onOverflow || _.noop;
+
+    /**
+     * The number of tasks currently running.
+     * @type {number}
+     */
+    this.active = 0;
+
+    /**
+     * The tasks waiting to start, oldest first.
+     * @type {Array}
+     */
+    this.queue = [];
+
+    /**
+     * Whether intake has been paused because the queue is full.
+     * @type {boolean}
+     */
+    this.paused = false;
+  }
+
+  /**
+   * Runs a task as soon as the concurrency limit allows.
+   * @param {function} fn - The task, returning a Promise.
+   * @returns {Promise} Resolves or rejects with the outcome of the task, or rejects with a
+   * QueueFullError if the queue is full.
+   */
+  run(fn) {
+    return new Promise((resolve, reject) => {
+      const task = { fn, resolve, reject };
+      if (this.active < this.maxConcurrency) {
+        this.start(task);
+        return;
+      }
+
+      if (this.overflow === OVERFLOW.REJECT && this.queue.length >= this.maxQueueLength) {
+        this.onOverflow(this.queue.length);
+        throw new errors.QueueFullError(
+          `Too many messages are waiting to be handled (${this.queue.length}).`
+        );
+      }
+
+      this.queue.push(task);
+      if (
+        this.overflow === OVERFLOW.PAUSE &&
+        !this.paused &&
+        this.queue.length >= this.maxQueueLength
+      ) {
+        this.paused = true;
+        this.onPause(this.queue.length);
+      }
+    });
+  }
+
+  /**
+   * Starts a task, and the next queued task once it settles.
+   * @param {object} task - The task to start.
+   * @private
+   */
+  start(task) {
+    this.active += 1;
+    Promise.try(task.fn)
+      .finally(() => {
+        this.active -= 1;
+        this.next();
+      })
+      .then(task.resolve, task.reject);
+  }
+
+  /**
+   * Starts queued tasks while the concurrency limit allows, resuming intake once the queue has drained.
+   * @private
+   */
+  next() {
+    while (this.active < this.maxConcurrency && this.queue.length > 0) {
+      this.start(this.queue.shift());
+    }
+    if (this.paused && this.queue.length <= Math.floor(this.maxQueueLength / 2)) {
+      this.paused = false;
+      this.onResume(this.queue.length);
+    }
+  }
+}
+
+module.exports = {
+  OVERFLOW,
+  Limiter,
+};
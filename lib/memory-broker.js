@@ -0,0 +1,123 @@
+/**
+ * In-process message broker shared by memory transports.
+ * @module lib/memory-broker
+ */
+
+const Promise = require("bluebird");
+const _ = require("lodash");
+const errors = require("./errors");
+
+/**
+ * Simple in-process broker that routes messages between attached memory transports.
+ *
+ * Messages published while a matching listener exists, but is not currently consuming
+ * (not listening or disconnected), are held and delivered once a consumer becomes
+ * available, in the same way a durable broker queue would hold them. Messages with no
+ * registered listener at all are rejected. Consumers whose intake is paused are skipped.
+ * Messages travel as encoded {@link module:lib/envelope} data, and handler errors are serialized
+ * and rebuilt with {@link module:lib/errors.fromJSON}, as they would be when sent over the wire.
+ */
+class MemoryBroker {
+  /**
+   * Constructor for the MemoryBroker object.
+   */
+  constructor() {
+    /**
+     * The transports attached to the broker, whether or not they are currently connected.
+     * @type {Array}
+     */
+    this.transports = [];
+
+    /**
+     * Messages waiting for a consumer to become available.
+     * @type {Array}
+     */
+    this.queued = [];
+
+    /**
+     * Counter used to round-robin messages between competing consumers.
+     * @type {number}
+     */
+    this.nextConsumer = 0;
+  }
+
+  /**
+   * Attaches a transport to the broker, so it can receive messages.
+   * @param {module:lib/memory-transport~MemoryTransport} transport - The transport to attach.
+   */
+  attach(transport) {
+    if (!_.includes(this.transports, transport)) {
+      this.transports.push(transport);
+    }
+  }
+
+  /**
+   * Sends a message to the first available listener for its routing key.
+   * @param {string} routingKey - The routing key of the message.
+   * @param {string} data - The encoded message envelope.
+   * @returns {Promise} Resolves to the response of the handler that processed the message.
+   */
+  send(routingKey, data) {
+    return new Promise((resolve, reject) => {
+      const registered = _.some(this.transports, (transport) => transport.hasListener(routingKey));
+      if (!registered) {
+        throw new errors.RequestError(`No listener registered for routing key "${routingKey}".`);
+      }
+
+      this.queued.push({ routingKey, data, resolve, reject });
+      this.flush();
+    });
+  }
+
+  /**
+   * Dispatches any queued messages that now have an available consumer.
+   */
+  flush() {
+    const { queued } = this;
+    this.queued = [];
+
+    queued.forEach((delivery) => {
+      const consumer = this.selectConsumer(delivery.routingKey);
+      if (!consumer) {
+        this.queued.push(delivery);
+        return;
+      }
+
+      setImmediate(() => {
+        if (!consumer.hasListener(delivery.routingKey)) {
+          // The listener was removed after the message was dispatched; requeue it.
+          this.queued.push(delivery);
+          return;
+        }
+        consumer.receive(delivery.data).then(
+          (res) => delivery.resolve(_.cloneDeep(res)),
+          (err) => delivery.reject(errors.fromJSON(JSON.parse(JSON.stringify(errors.toJSON(err)))))
+        );
+      });
+    });
+  }
+
+  /**
+   * Picks a consuming transport for a routing key, rotating between competing consumers.
+   * @param {string} routingKey - The routing key of the message.
+   * @returns {module:lib/memory-transport~MemoryTransport|undefined}
+   * @private
+   */
+  selectConsumer(routingKey) {
+    const consumers = this.transports.filter(
+      (transport) =>
+        transport.connected &&
+        transport.listening &&
+        transport.hasListener(routingKey) &&
+        !transport.isIntakePaused(routingKey)
+    );
+    if (consumers.length === 0) {
+      return undefined;
+    }
+
+    this.nextConsumer = (this.nextConsumer + 1) % consumers.length;
+    return consumers[this.nextConsumer];
+  }
+}
+
+module.exports = MemoryBroker;
@@ -0,0 +1,201 @@
+/**
+ * In-process transport module.
+ * @module lib/memory-transport
+ */
+
+const Promise = require("bluebird");
+const _ = require("lodash");
+const envelope = require("./envelope");
+const errors = require("./errors");
+const MemoryBroker = require("./memory-broker");
+const { withSimulation } = require("./simulation");
+const Transport = require("./transport");
+
+/**
+ * Wraps an outgoing message in an encoded envelope.
+ * @param {string} routingKey - The routing key of the message.
+ * @param {object} [message] - The message data.
+ * @param {object} options - The validated publishing options.
+ * @returns {Promise} Resolves to the encoded envelope.
+ * @private
+ */
+function encodeEnvelope(routingKey, message, options) {
+  return envelope
+    .wrap(
+      {
+        id: options.messageId,
+        routingKey,
+        payload: message,
+        correlationId: options.correlationId,
+        initiator: options.initiator,
+        headers: options.headers,
+      },
+      options
+    )
+    .then(envelope.encode);
+}
+
+/**
+ * Transport that delivers messages in-process, without an external broker.
+ *
+ * By default each instance routes messages only to its own listeners. Pass the same
+ * {@link module:lib/memory-broker~MemoryBroker} to several instances to simulate
+ * separate services communicating through a shared broker.
+ * @extends module:lib/transport~Transport
+ */
+class MemoryTransport extends withSimulation(Transport) {
+  /**
+   * Constructor for the MemoryTransport object.
+   * @param {object} [options] - Optional settings.
+   * @param {module:lib/memory-broker~MemoryBroker} [options.broker] - A broker shared with other memory transports.
+   * @param {number} [options.timingsResetInterval] - How frequently should the transport clear its timing metrics, in milliseconds.
+   * @param {number} [options.requestTimeout] - How long to wait for a response to a request, in milliseconds.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!_.isUndefined(options.broker) && !(options.broker instanceof MemoryBroker)) {
+      throw new TypeError('"options.broker" should be a MemoryBroker.');
+    }
+
+    /**
+     * The broker used to route messages.
+     * @type {module:lib/memory-broker~MemoryBroker}
+     */
+    this.broker = options.broker || new MemoryBroker();
+
+    /**
+     * Tracks whether or not the transport is currently connected to its broker.
+     * @type {boolean}
+     */
+    this.connected = false;
+  }
+
+  /**
+   * Connects the transport to its broker.
+   * @returns {Promise}
+   */
+  openConnection() {
+    return Promise.try(() => {
+      this.connected = true;
+      this.broker.attach(this);
+      this.broker.flush();
+    });
+  }
+
+  /**
+   * Disconnects the transport from its broker. The transport stays attached, so the broker keeps
+   * holding messages for its listeners until it connects again.
+   * @returns {Promise}
+   */
+  disconnect() {
+    return super.disconnect().then(() => {
+      this.connected = false;
+    });
+  }
+
+  /**
+   * Checks whether a registered listener matches a routing key.
+   * @param {string} routingKey - The routing key to check.
+   * @returns {boolean}
+   */
+  hasListener(routingKey) {
+    return !_.isUndefined(this.matchListener(routingKey));
+  }
+
+  /**
+   * Decodes a message envelope delivered by the broker, including its payload, and passes it to
+   * the matching listener.
+   * @param {string} data - The encoded message envelope.
+   * @returns {Promise} Resolves to the response of the listener.
+   */
+  receive(data) {
+    return Promise.try(() => {
+      const received = envelope.decode(data);
+      const listener = this.matchListener(received.routingKey);
+      if (!listener) {
+        throw new errors.RequestError(
+          `No listener registered for routing key "${received.routingKey}".`
+        );
+      }
+      return envelope.unwrap(received, { maxDecodedSize: this.maxDecodedSize }).then((payload) =>
+        listener.handler(payload, received.correlationId, received.initiator, {
+          routingKey: received.routingKey,
+          messageId: received.id,
+          headers: received.headers,
+        })
+      );
+    });
+  }
+
+  /**
+   * Starts listening to messages. Messages queued for this transport's listeners are delivered.
+   * @returns {Promise}
+   */
+  listen() {
+    if (!this.connected) {
+      return Promise.reject(
+        new errors.TransportDisconnectedError("Cannot listen while the transport is disconnected.")
+      );
+    }
+    return super.listen().then(() => {
+      this.broker.flush();
+    });
+  }
+
+  /**
+   * Resumes intake once a full queue has drained, delivering messages the broker held meanwhile.
+   * @param {string|null} pattern - The routing key pattern of the listener, or null for the transport-wide queue.
+   * @param {number} queueLength - The number of messages waiting.
+   * @fires intakeResumed
+   * @protected
+   */
+  resumeIntake(pattern, queueLength) {
+    super.resumeIntake(pattern, queueLength);
+    this.broker.flush();
+  }
+
+  /**
+   * Hands a fire-and-forget message to the broker. Resolves once the message has been queued;
+   * errors thrown by the handler are not returned to the caller.
+   * @param {string} routingKey - The routing key to attach to the message.
+   * @param {object} [message] - The message data to publish.
+   * @param {object} options - The validated publishing options, including the correlationId.
+   * @returns {Promise}
+   */
+  sendPublish(routingKey, message, options) {
+    this.assertConnected();
+    return encodeEnvelope(routingKey, message, options).then((data) => {
+      this.broker.send(routingKey, data).catch(_.noop);
+    });
+  }
+
+  /**
+   * Sends a request message through the broker and resolves to the response returned by its handler.
+   * @param {string} routingKey - The routing key to attach to the message.
+   * @param {object} [message] - The message data to publish.
+   * @param {object} options - The validated publishing options, including the correlationId.
+   * @returns {Promise}
+   */
+  sendRequest(routingKey, message, options) {
+    this.assertConnected();
+    return encodeEnvelope(routingKey, message, options).then((data) =>
+      this.broker.send(routingKey, data)
+    );
+  }
+
+  /**
+   * Simulates the transport re-establishing connectivity to the broker. Messages held for its
+   * listeners are delivered.
+   * @fires reconnected
+   */
+  simulateReconnect() {
+    if (!this.connected) {
+      this.broker.attach(this);
+      super.simulateReconnect();
+      this.broker.flush();
+    }
+  }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,329 @@
+/* eslint-disable max-classes-per-file */
+
+/**
+ * Module for collecting transport metrics.
+ * @module lib/metrics
+ */
+
+const _ = require("lodash");
+const defaults = require("../defaults");
+
+/**
+ * The quantiles estimated in histogram snapshots.
+ * @private
+ */
+const QUANTILES = { p50: 0.5, p90: 0.9, p95: 0.95, p99: 0.99 };
+
+/**
+ * The key that metrics are recorded under once a group holds the maximum number of keys.
+ * @type {string}
+ */
+const OTHER_KEY = "(other)";
+
+/**
+ * A cumulative histogram with fixed bucket boundaries.
+ */
+class Histogram {
+  /**
+   * Constructor for the Histogram object.
+   * @param {number[]} buckets - The upper bounds of the buckets, in ascending order.
+   */
+  constructor(buckets) {
+    if (
+      !_.isArray(buckets) ||
+      !_.every(buckets, _.isNumber) ||
+      !_.isEqual(buckets, _.sortBy(_.uniq(buckets)))
+    ) {
+      throw new TypeError('"buckets" should be an array of ascending numbers.');
+    }
+
+    /**
+     * The upper bounds of the buckets.
+     * @type {number[]}
+     */
+    this.bounds = buckets;
+
+    /**
+     * The number of observations in each bucket, with a final bucket for values above every bound.
+     * @type {number[]}
+     */
+    this.counts = new Array(buckets.length + 1).fill(0);
+
+    this.count = 0;
+    this.sum = 0;
+    this.min = 0;
+    this.max = 0;
+  }
+
+  /**
+   * Records an observed value.
+   * @param {number} value - The value to record.
+   */
+  observe(value) {
+    const index = _.sortedIndex(this.bounds, value);
+    this.counts[index] += 1;
+    this.min = this.count === 0 ? value : Math.min(this.min, value);
+    this.max = this.count === 0 ? value : Math.max(this.max, value);
+    this.count += 1;
+    this.sum += value;
+  }
+
+  /**
+   * Estimates a quantile by interpolating linearly within the bucket that contains it.
+   * @param {number} q - The quantile to estimate, between 0 and 1.
+   * @returns {number}
+   */
+  quantile(q) {
+    if (this.count === 0) {
+      return 0;
+    }
+
+    const rank = q * this.count;
+    let seen = 0;
+    for (let i = 0; i < this.counts.length; i += 1) {
+      if (this.counts[i] > 0 && seen + this.counts[i] >= rank) {
+        const lower = i === 0 ? this.min : this.bounds[i - 1];
+        const upper = i < this.bounds.length ? this.bounds[i] : this.max;
+        const estimate = lower + ((upper - lower) * (rank - seen)) / this.counts[i];
+        return _.clamp(estimate, this.min, this.max);
+      }
+      seen += this.counts[i];
+    }
+    return this.max;
+  }
+
+  /**
+   * Returns a copy of the current histogram data.
+   * @returns {object} The `count`, `sum`, `min` and `max` of the observations, the cumulative
+   * count of observations in each bucket, and estimates of the p50, p90, p95 and p99 quantiles.
+   */
+  snapshot() {
+    let cumulative = 0;
+    const buckets = this.bounds.map((le, i) => {
+      cumulative += this.counts[i];
+      return { le, count: cumulative };
+    });
+    buckets.push({ le: Infinity, count: this.count });
+
+    return {
+      count: this.count,
+      sum: this.sum,
+      min: this.min,
+      max: this.max,
+      buckets,
+      quantiles: _.mapValues(QUANTILES, (q) => this.quantile(q)),
+    };
+  }
+}
+
+/**
+ * Collects cumulative metrics for message handlers, publishes and requests.
+ * Metrics are never reset; consumers should compute rates from successive snapshots.
+ *
+ * Handlers are keyed by topic, but publishes and requests are keyed by routing key, which may
+ * hold ids. To bound memory, each group holds at most `maxKeys` keys, and metrics for further
+ * keys are combined under {@link module:lib/metrics.OTHER_KEY}.
+ */
+class Metrics {
+  /**
+   * Constructor for the Metrics object.
+   * @param {object} options - Settings for the metrics.
+   * @param {number[]} options.buckets - The upper bounds of the latency histogram buckets, in milliseconds.
+   * @param {number} [options.errorWindow] - How far back errors count as recent, in milliseconds.
+   * @param {number} [options.maxKeys] - The maximum number of keys held in each group.
+   */
+  constructor(options) {
+    if (
+      !_.isUndefined(options.errorWindow) &&
+      !(_.isNumber(options.errorWindow) && options.errorWindow > 0)
+    ) {
+      throw new TypeError('"options.errorWindow" should be a positive number.');
+    }
+    if (!_.isUndefined(options.maxKeys) && !(_.isInteger(options.maxKeys) && options.maxKeys > 0)) {
+      throw new TypeError('"options.maxKeys" should be a positive integer.');
+    }
+
+    const histogram = new Histogram(options.buckets);
+
+    /**
+     * The upper bounds of the latency histogram buckets, in milliseconds.
+     * @type {number[]}
+     */
+    this.buckets = histogram.bounds;
+
+    /**
+     * The collected metrics, by group and key.
+     * @type {object}
+     */
+    this.groups = { handlers: {}, publishes: {}, requests: {} };
+
+    /**
+     * The maximum number of keys held in each group.
+     * @type {number}
+     */
+    this.maxKeys = options.maxKeys || defaults.metricsMaxKeys;
+
+    /**
+     * How far back errors count as recent, in milliseconds.
+     * @type {number}
+     */
+    this.errorWindow = options.errorWindow || defaults.health.errorWindow;
+
+    /**
+     * When an operation last succeeded, or null if none has.
+     * @type {number|null}
+     */
+    this.lastSuccessAt = null;
+
+    /**
+     * The groups and times of the errors within the error window, oldest first.
+     * @type {object[]}
+     */
+    this.recentErrors = [];
+  }
+
+  /**
+   * Retrieves the metrics for a key, creating them if needed.
+   * @param {string} group - The metric group, one of "handlers", "publishes" or "requests".
+   * @param {string} key - The topic or routing key.
+   * @returns {object}
+   * @private
+   */
+  stats(group, key) {
+    if (!this.groups[group]) {
+      throw new TypeError(`"${group}" is not a valid metric group.`);
+    }
+    if (!_.isString(key)) {
+      throw new TypeError('"key" should be a string.');
+    }
+
+    const stats = this.groups[group];
+    if (
+      key !== OTHER_KEY &&
+      !Object.prototype.hasOwnProperty.call(stats, key) &&
+      _.size(stats) >= this.maxKeys
+    ) {
+      return this.stats(group, OTHER_KEY);
+    }
+
+    stats[key] = stats[key] || {
+      count: 0,
+      successCount: 0,
+      errorCount: 0,
+      errors: {},
+      inFlight: 0,
+      queued: 0,
+      latency: new Histogram(this.buckets),
+    };
+    return stats[key];
+  }
+
+  /**
+   * Marks the start of an operation, incrementing its in-flight gauge.
+   * @param {string} group - The metric group, one of "handlers", "publishes" or "requests".
+   * @param {string} key - The topic or routing key.
+   */
+  begin(group, key) {
+    this.stats(group, key).inFlight += 1;
+  }
+
+  /**
+   * Marks the end of an operation, decrementing its in-flight gauge.
+   * @param {string} group - The metric group, one of "handlers", "publishes" or "requests".
+   * @param {string} key - The topic or routing key.
+   */
+  end(group, key) {
+    const stats = this.stats(group, key);
+    stats.inFlight = Math.max(0, stats.inFlight - 1);
+  }
+
+  /**
+   * Marks an operation as waiting to start, incrementing its queued gauge.
+   * @param {string} group - The metric group, one of "handlers", "publishes" or "requests".
+   * @param {string} key - The topic or routing key.
+   */
+  enqueue(group, key) {
+    this.stats(group, key).queued += 1;
+  }
+
+  /**
+   * Marks a waiting operation as started or abandoned, decrementing its queued gauge.
+   * @param {string} group - The metric group, one of "handlers", "publishes" or "requests".
+   * @param {string} key - The topic or routing key.
+   */
+  dequeue(group, key) {
+    const stats = this.stats(group, key);
+    stats.queued = Math.max(0, stats.queued - 1);
+  }
+
+  /**
+   * Records the outcome and latency of an operation.
+   * @param {string} group - The metric group, one of "handlers", "publishes" or "requests".
+   * @param {string} key - The topic or routing key.
+   * @param {number} elapsed - How long the operation took, in milliseconds.
+   * @param {Error} [err] - The error the operation failed with, if any.
+   */
+  observe(group, key, elapsed, err) {
+    const stats = this.stats(group, key);
+    stats.count += 1;
+    stats.latency.observe(elapsed);
+    if (err) {
+      const name = err.name || "Error";
+      stats.errorCount += 1;
+      stats.errors[name] = (stats.errors[name] || 0) + 1;
+      this.recentErrors.push({ group, at: new Date().getTime() });
+      this.pruneErrors();
+    } else {
+      stats.successCount += 1;
+      this.lastSuccessAt = new Date().getTime();
+    }
+  }
+
+  /**
+   * Counts the errors within the error window.
+   * @returns {object} The number of recent errors in each of the `handlers`, `publishes` and
+   * `requests` groups, and their `total`.
+   */
+  countRecentErrors() {
+    this.pruneErrors();
+    const counts = _.mapValues(this.groups, () => 0);
+    this.recentErrors.forEach(({ group }) => {
+      counts[group] += 1;
+    });
+    return { ...counts, total: this.recentErrors.length };
+  }
+
+  /**
+   * Forgets the errors that fell out of the error window.
+   * @private
+   */
+  pruneErrors() {
+    const cutoff = new Date().getTime() - this.errorWindow;
+    const expired = _.findIndex(this.recentErrors, ({ at }) => at > cutoff);
+    this.recentErrors.splice(0, expired === -1 ? this.recentErrors.length : expired);
+  }
+
+  /**
+   * Returns a copy of the collected metrics, safe to read while new metrics are recorded.
+   * @returns {object} The `handlers`, `publishes` and `requests` metric groups, each mapping
+   * topics or routing keys to their counts, errors by name, in-flight and queued gauges and latency histogram.
+   */
+  snapshot() {
+    return {
+      timestamp: new Date().getTime(),
+      ..._.mapValues(this.groups, (group) =>
+        _.mapValues(group, (stats) => ({
+          ..._.pick(stats, ["count", "successCount", "errorCount", "inFlight", "queued"]),
+          errors: { ...stats.errors },
+          latency: stats.latency.snapshot(),
+        }))
+      ),
+    };
+  }
+}
+
+module.exports = {
+  OTHER_KEY,
+  Histogram,
+  Metrics,
+};
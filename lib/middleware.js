@@ -0,0 +1,218 @@
+/**
+ * Module for composing transport middleware, along with the built-in middleware.
+ *
+ * Middleware are functions with the signature `(ctx, next) => Promise`, run in the order
+ * they were registered. Each middleware may inspect or modify the context, and must call
+ * `next()` and return its promise to continue the chain. The result of the message handler,
+ * or of the outbound send, is stored on `ctx.result`.
+ * @module lib/middleware
+ */
+
+const Promise = require("bluebird");
+const _ = require("lodash");
+
+/**
+ * Composes a list of middleware into a single function.
+ * @param {function[]} middleware - The middleware to compose.
+ * @returns {function} A function accepting a context and a final handler, which resolves to `ctx.result`.
+ */
+function compose(middleware) {
+  if (!_.isArray(middleware) || !_.every(middleware, _.isFunction)) {
+    throw new TypeError('"middleware" should be an array of functions.');
+  }
+
+  return (ctx, final) => {
+    let index = -1;
+
+    const dispatch = (i) => {
+      if (i <= index) {
+        return Promise.reject(new Error("next() called multiple times."));
+      }
+      index = i;
+
+      if (i === middleware.length) {
+        return Promise.try(() => final(ctx)).then((res) => {
+          ctx.result = res; // eslint-disable-line no-param-reassign
+        });
+      }
+      return Promise.try(() => middleware[i](ctx, () => dispatch(i + 1)));
+    };
+
+    return dispatch(0).then(() => ctx.result);
+  };
+}
+
+/**
+ * Built-in inbound and outbound middleware that times the span in `ctx.span`, and fires the
+ * transport's "spanStart" and "spanFinish" events around it.
+ * @returns {function}
+ */
+function tracing() {
+  return (ctx, next) => {
+    const { transport, span } = ctx;
+    span.startTime = new Date().getTime();
+    transport.emit("spanStart", span);
+
+    const finish = (err) => {
+      span.endTime = new Date().getTime();
+      span.duration = span.endTime - span.startTime;
+      span.error = err || null;
+      transport.emit("spanFinish", span);
+    };
+    return next().then(
+      () => finish(),
+      (err) => {
+        finish(err);
+        throw err;
+      }
+    );
+  };
+}
+
+/**
+ * Built-in inbound middleware that tracks in-flight handlers and records handler timings via
+ * {@link module:lib/transport~Transport#recordTiming}.
+ * @returns {function}
+ */
+function timing() {
+  return (ctx, next) => {
+    const { transport } = ctx;
+    const start = new Date().getTime();
+    transport.metrics.begin("handlers", ctx.topic);
+
+    return next().then(
+      () => {
+        transport.metrics.end("handlers", ctx.topic);
+        transport.recordTiming(ctx.topic, start);
+      },
+      (err) => {
+        transport.metrics.end("handlers", ctx.topic);
+        transport.recordTiming(ctx.topic, start, err);
+        throw err;
+      }
+    );
+  };
+}
+
+/**
+ * Built-in outbound middleware that records publish and request counts, errors and latencies
+ * in the transport's metrics.
+ * @returns {function}
+ */
+function outboundMetrics() {
+  return (ctx, next) => {
+    const { metrics } = ctx.transport;
+    const group = ctx.type === "publish" ? "publishes" : "requests";
+    const key = ctx.routingKey;
+    const start = new Date().getTime();
+    metrics.begin(group, key);
+
+    return next().then(
+      () => {
+        metrics.end(group, key);
+        metrics.observe(group, key, new Date().getTime() - start);
+      },
+      (err) => {
+        metrics.end(group, key);
+        metrics.observe(group, key, new Date().getTime() - start, err);
+        throw err;
+      }
+    );
+  };
+}
+
+/**
+ * Built-in inbound middleware that skips the rest of the chain for messages that were already
+ * handled, answering with the response of the first delivery, and fires the transport's
+ * "duplicate" event. Does nothing unless the transport was created with de-duplication enabled,
+ * if the listener's `dedup` option is false, or if the message has no id.
+ * @returns {function}
+ */
+function dedup() {
+  return (ctx, next) => {
+    const { transport } = ctx;
+    const { deduplicator } = transport;
+    if (!deduplicator || ctx.options.dedup === false || !ctx.messageId) {
+      return next();
+    }
+
+    const key = `${ctx.topic}:${ctx.messageId}`;
+    return deduplicator
+      .run(key, () => next().then(() => ctx.result))
+      .then((outcome) => {
+        ctx.result = outcome.response; // eslint-disable-line no-param-reassign
+        if (outcome.duplicate) {
+          transport.emit("duplicate", {
+            routingKey: ctx.routingKey,
+            pattern: ctx.pattern,
+            messageId: ctx.messageId,
+            correlationId: ctx.correlationId,
+          });
+        }
+      });
+  };
+}
+
+/**
+ * Built-in inbound middleware that counts handler failures per message id, and hands messages
+ * whose handlers keep failing to {@link module:lib/transport~Transport#deadLetterMessage}.
+ * Does nothing unless the transport was created with dead-lettering enabled, if the
+ * listener's `deadLetter` option is false, or for messages received without a message id,
+ * whose redeliveries cannot be recognized. Once a message is dead-lettered, the handler resolves
+ * without a response, so the broker acknowledges the message instead of redelivering it.
+ * @returns {function}
+ */
+function deadLetter() {
+  return (ctx, next) => {
+    const { transport } = ctx;
+    const queue = transport.deadLetterQueue;
+    if (!queue || ctx.options.deadLetter === false || _.isUndefined(ctx.messageId)) {
+      return next();
+    }
+
+    const message = _.cloneDeep(ctx.message);
+    const key = `${ctx.topic}:${ctx.messageId}`;
+    const maxFailures = _.get(ctx.options, "deadLetter.maxFailures", queue.maxFailures);
+
+    return next().then(
+      () => queue.clearFailures(key),
+      (err) => {
+        const attempts = queue.recordFailure(key);
+        if (attempts < maxFailures) {
+          throw err;
+        }
+
+        queue.clearFailures(key);
+        return transport
+          .deadLetterMessage({ ...ctx, message }, err, attempts)
+          .then(() => undefined);
+      }
+    );
+  };
+}
+
+/**
+ * Built-in inbound middleware that logs handler errors to the transport's logger,
+ * unless the error's `skipLog` flag is set.
+ * @returns {function}
+ */
+function errorLogging() {
+  return (ctx, next) =>
+    next().catch((err) => {
+      const { logger } = ctx.transport;
+      if (logger && logger.error && !err.skipLog) {
+        logger.error(err);
+      }
+      throw err;
+    });
+}
+
+module.exports = {
+  compose,
+  tracing,
+  timing,
+  outboundMetrics,
+  dedup,
+  deadLetter,
+  errorLogging,
+};
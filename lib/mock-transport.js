@@ -0,0 +1,338 @@
+/* eslint-disable max-classes-per-file */
+
+/**
+ * Test helper transport module.
+ * @module lib/mock-transport
+ */
+
+const assert = require("assert");
+const util = require("util");
+const Promise = require("bluebird");
+const _ = require("lodash");
+const errors = require("./errors");
+const router = require("./router");
+const { withSimulation } = require("./simulation");
+const Transport = require("./transport");
+
+/**
+ * An expected request, and how the mock transport should answer it.
+ * Created by {@link module:lib/mock-transport~MockTransport#expectRequest}.
+ */
+class RequestExpectation {
+  /**
+   * Constructor for the RequestExpectation object.
+   * @param {string} routingKey - The routing key pattern of the expected request.
+   */
+  constructor(routingKey) {
+    /**
+     * The routing key pattern of the expected request.
+     * @type {string}
+     */
+    this.routingKey = routingKey;
+
+    this.pattern = router.parse(routingKey);
+    this.message = undefined;
+    this.hasMessage = false;
+    this.outcome = { response: undefined };
+
+    /**
+     * How many times the request is expected.
+     * @type {number}
+     */
+    this.expectedCalls = 1;
+
+    /**
+     * The requests that matched the expectation, with their `routingKey`, `message` and `options`.
+     * @type {object[]}
+     */
+    this.calls = [];
+  }
+
+  /**
+   * Only matches requests with this message.
+   * @param {object|function} message - The expected message, compared deeply, or a function returning true for matching messages.
+   * @returns {module:lib/mock-transport~RequestExpectation}
+   */
+  withMessage(message) {
+    this.message = message;
+    this.hasMessage = true;
+    return this;
+  }
+
+  /**
+   * Answers matching requests with a response.
+   * @param {*} response - The response, or a function called with the message and options that returns the response or a Promise for it.
+   * @returns {module:lib/mock-transport~RequestExpectation}
+   */
+  respond(response) {
+    this.outcome = { response };
+    return this;
+  }
+
+  /**
+   * Rejects matching requests with an error.
+   * @param {Error} err - The error.
+   * @returns {module:lib/mock-transport~RequestExpectation}
+   */
+  reject(err) {
+    if (!(err instanceof Error)) {
+      throw new TypeError('"err" should be an Error.');
+    }
+    this.outcome = { error: err };
+    return this;
+  }
+
+  /**
+   * Sets how many times the request is expected. Defaults to once.
+   * @param {number} count - The number of times.
+   * @returns {module:lib/mock-transport~RequestExpectation}
+   */
+  times(count) {
+    if (!(_.isInteger(count) && count > 0)) {
+      throw new TypeError('"count" should be a positive integer.');
+    }
+    this.expectedCalls = count;
+    return this;
+  }
+
+  /**
+   * Checks whether a request matches the expectation and it still expects calls.
+   * @param {string} routingKey - The routing key of the request.
+   * @param {object} [message] - The message of the request.
+   * @returns {boolean}
+   */
+  matches(routingKey, message) {
+    if (this.calls.length >= this.expectedCalls || !router.match(this.pattern, routingKey)) {
+      return false;
+    }
+    if (!this.hasMessage) {
+      return true;
+    }
+    return _.isFunction(this.message)
+      ? Boolean(this.message(message))
+      : _.isEqual(this.message, message);
+  }
+
+  /**
+   * Records a matching request and answers it.
+   * @param {string} routingKey - The routing key of the request.
+   * @param {object} [message] - The message of the request.
+   * @param {object} options - The publishing options of the request.
+   * @returns {Promise} Resolves to the response, or rejects with the error.
+   */
+  answer(routingKey, message, options) {
+    this.calls.push({ routingKey, message, options });
+    const { response, error } = this.outcome;
+    if (error) {
+      return Promise.reject(error);
+    }
+    return Promise.try(() => (_.isFunction(response) ? response(message, options) : response)).then(
+      _.cloneDeep
+    );
+  }
+
+  /**
+   * Describes the expectation, for failure messages.
+   * @returns {string}
+   */
+  toString() {
+    const message = this.hasMessage ? ` with message ${util.inspect(this.message)}` : "";
+    return `request to "${this.routingKey}"${message}`;
+  }
+}
+
+/**
+ * Transport for unit tests, which answers requests from declared expectations instead of
+ * sending them, and records everything published.
+ *
+ * Requests that match no expectation are rejected with a RequestError and reported by
+ * {@link module:lib/mock-transport~MockTransport#verify}, which should be called at teardown.
+ * Messages can be passed to registered listeners with
+ * {@link module:lib/mock-transport~MockTransport#deliver}.
+ * @extends module:lib/transport~Transport
+ */
+class MockTransport extends withSimulation(Transport) {
+  /**
+   * Constructor for the MockTransport object.
+   * @param {object} [options] - Optional settings, as for {@link module:lib/transport~Transport}.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /**
+     * Tracks whether or not the transport is currently connected.
+     * @type {boolean}
+     */
+    this.connected = false;
+
+    /**
+     * The declared request expectations, in the order they were declared.
+     * @type {module:lib/mock-transport~RequestExpectation[]}
+     */
+    this.expectations = [];
+
+    /**
+     * Everything published, with the `routingKey`, `message`, `correlationId`, `initiator`,
+     * `messageId` and `headers` of each message, oldest first.
+     * @type {object[]}
+     */
+    this.published = [];
+
+    /**
+     * Requests that matched no expectation, with the `routingKey`, `message` and `options` of each.
+     * @type {object[]}
+     */
+    this.unexpected = [];
+  }
+
+  /**
+   * Connects the transport.
+   * @returns {Promise}
+   */
+  openConnection() {
+    return Promise.try(() => {
+      this.connected = true;
+    });
+  }
+
+  /**
+   * Disconnects the transport.
+   * @returns {Promise}
+   */
+  disconnect() {
+    return super.disconnect().then(() => {
+      this.connected = false;
+    });
+  }
+
+  /**
+   * Declares an expected request. Requests are answered by the first declared expectation they
+   * match that still expects calls, with an undefined response unless one is given.
+   * @param {string} routingKey - The routing key of the request, which may be a pattern; see {@link module:lib/router}.
+   * @returns {module:lib/mock-transport~RequestExpectation}
+   */
+  expectRequest(routingKey) {
+    if (!_.isString(routingKey)) {
+      throw new TypeError('"routingKey" should be a string.');
+    }
+    const expectation = new RequestExpectation(routingKey);
+    this.expectations.push(expectation);
+    return expectation;
+  }
+
+  /**
+   * Returns the messages published, optionally only those with a routing key.
+   * @param {string} [routingKey] - The routing key of the messages to return.
+   * @returns {object[]} See {@link module:lib/mock-transport~MockTransport#published}.
+   */
+  getPublished(routingKey) {
+    if (_.isUndefined(routingKey)) {
+      return this.published.slice();
+    }
+    return _.filter(this.published, { routingKey });
+  }
+
+  /**
+   * Passes a message to the listener matching its routing key, as if it had been received.
+   * @param {string} routingKey - The routing key of the message.
+   * @param {object} [message] - The message data.
+   * @param {object} [options] - Optional message details.
+   * @param {string} [options.correlationId] - The correlationId of the message.
+   * @param {string} [options.initiator] - The initiator of the message.
+   * @param {string} [options.messageId] - The id of the message.
+   * @param {object} [options.headers] - The headers of the message.
+   * @returns {Promise} Resolves to the response of the listener.
+   */
+  deliver(routingKey, message, options = {}) {
+    return Promise.try(() => {
+      const listener = this.matchListener(routingKey);
+      if (!listener) {
+        throw new errors.RequestError(`No listener registered for routing key "${routingKey}".`);
+      }
+      return listener.handler(_.cloneDeep(message), options.correlationId, options.initiator, {
+        routingKey,
+        messageId: options.messageId,
+        headers: options.headers,
+      });
+    });
+  }
+
+  /**
+   * Records a published message.
+   * @param {string} routingKey - The routing key to attach to the message.
+   * @param {object} [message] - The message data to publish.
+   * @param {object} options - The validated publishing options.
+   * @returns {Promise}
+   */
+  sendPublish(routingKey, message, options) {
+    return Promise.try(() => {
+      this.assertConnected();
+      this.published.push({
+        routingKey,
+        message: _.cloneDeep(message),
+        correlationId: options.correlationId,
+        initiator: options.initiator,
+        messageId: options.messageId,
+        headers: options.headers,
+      });
+    });
+  }
+
+  /**
+   * Answers a request from the first matching expectation.
+   * @param {string} routingKey - The routing key to attach to the message.
+   * @param {object} [message] - The message data to publish.
+   * @param {object} options - The validated publishing options.
+   * @returns {Promise}
+   */
+  sendRequest(routingKey, message, options) {
+    return Promise.try(() => {
+      this.assertConnected();
+      const copy = _.cloneDeep(message);
+      const expectation = _.find(this.expectations, (candidate) =>
+        candidate.matches(routingKey, copy)
+      );
+      if (!expectation) {
+        this.unexpected.push({ routingKey, message: copy, options });
+        throw new errors.RequestError(
+          `Unexpected request to "${routingKey}" with message ${util.inspect(copy)}.`
+        );
+      }
+      return expectation.answer(routingKey, copy, options);
+    });
+  }
+
+  /**
+   * Throws if any expected request was not made as many times as expected, or if any request
+   * matched no expectation.
+   * @throws {assert.AssertionError}
+   */
+  verify() {
+    const problems = [
+      ...this.expectations
+        .filter((expectation) => expectation.calls.length < expectation.expectedCalls)
+        .map(
+          (expectation) =>
+            `Expected ${expectation} ${expectation.expectedCalls} time(s), but it was made ${expectation.calls.length} time(s).`
+        ),
+      ...this.unexpected.map(
+        (call) =>
+          `Unexpected request to "${call.routingKey}" with message ${util.inspect(call.message)}.`
+      ),
+    ];
+    if (problems.length > 0) {
+      throw new assert.AssertionError({ message: problems.join("\n") });
+    }
+  }
+
+  /**
+   * Forgets all expectations, published messages and unexpected requests.
+   */
+  reset() {
+    this.expectations = [];
+    this.published = [];
+    this.unexpected = [];
+  }
+}
+
+module.exports = MockTransport;
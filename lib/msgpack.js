@@ -0,0 +1,441 @@
+/**
+ * Module implementing the MessagePack serialization format, used by the built-in
+ * "application/msgpack" codec.
+ *
+ * Values are encoded the way JSON.stringify would see them: objects with a toJSON method, such
+ * as dates, are encoded as its result, and undefined and function values are skipped in objects
+ * and encoded as nil in arrays. Buffers are encoded as binary data. Decoding also accepts the
+ * timestamp extension type, read as a Date, and reads 64-bit integers as numbers, losing precision
+ * beyond Number.MAX_SAFE_INTEGER.
+ * @module lib/msgpack
+ */
+
+const _ = require("lodash");
+const errors = require("./errors");
+
+/**
+ * The format codes of strings, by length.
+ * @private
+ */
+const STR = { fix: 0xa0, fixLimit: 32, size8: 0xd9, size16: 0xda, size32: 0xdb };
+
+/**
+ * The format codes of binary data, by length.
+ * @private
+ */
+const BIN = { size8: 0xc4, size16: 0xc5, size32: 0xc6 };
+
+/**
+ * The format codes of arrays, by length.
+ * @private
+ */
+const ARRAY = { fix: 0x90, fixLimit: 16, size16: 0xdc, size32: 0xdd };
+
+/**
+ * The format codes of maps, by number of entries.
+ * @private
+ */
+const MAP = { fix: 0x80, fixLimit: 16, size16: 0xde, size32: 0xdf };
+
+/**
+ * The extension type of timestamps.
+ * @private
+ */
+const TIMESTAMP_TYPE = -1;
+
+/**
+ * The value of the high word of a 64-bit integer.
+ * @private
+ */
+const HIGH_WORD = 2 ** 32;
+
+/**
+ * Creates the header of a string, binary, array or map value.
+ * @param {number} length - The length of the value.
+ * @param {object} codes - The format codes of the value type.
+ * @returns {Buffer}
+ * @private
+ */
+function sizedHeader(length, codes) {
+  if (!_.isUndefined(codes.fix) && length < codes.fixLimit) {
+    return Buffer.from([codes.fix + length]);
+  }
+  if (!_.isUndefined(codes.size8) && length <= 0xff) {
+    return Buffer.from([codes.size8, length]);
+  }
+  if (length <= 0xffff) {
+    const header = Buffer.alloc(3);
+    header[0] = codes.size16;
+    header.writeUInt16BE(length, 1);
+    return header;
+  }
+  const header = Buffer.alloc(5);
+  header[0] = codes.size32;
+  header.writeUInt32BE(length, 1);
+  return header;
+}
+
+/**
+ * Encodes a number, using the smallest format that holds it.
+ * @param {number} value - The number to encode.
+ * @returns {Buffer}
+ * @private
+ */
+function encodeNumber(value) {
+  if (!Number.isSafeInteger(value)) {
+    const buf = Buffer.alloc(9);
+    buf[0] = 0xcb;
+    buf.writeDoubleBE(value, 1);
+    return buf;
+  }
+  if (value >= 0 && value <= 0x7f) {
+    return Buffer.from([value]);
+  }
+  if (value < 0 && value >= -32) {
+    return Buffer.from([value + 0x100]);
+  }
+
+  let buf;
+  if (value > 0) {
+    if (value <= 0xff) {
+      buf = Buffer.from([0xcc, value]);
+    } else if (value <= 0xffff) {
+      buf = Buffer.alloc(3, 0xcd);
+      buf.writeUInt16BE(value, 1);
+    } else if (value <= 0xffffffff) {
+      buf = Buffer.alloc(5, 0xce);
+      buf.writeUInt32BE(value, 1);
+    } else {
+      buf = Buffer.alloc(9, 0xcf);
+      buf.writeUInt32BE(Math.floor(value / HIGH_WORD), 1);
+      buf.writeUInt32BE(value % HIGH_WORD, 5);
+    }
+  } else if (value >= -0x80) {
+    buf = Buffer.alloc(2, 0xd0);
+    buf.writeInt8(value, 1);
+  } else if (value >= -0x8000) {
+    buf = Buffer.alloc(3, 0xd1);
+    buf.writeInt16BE(value, 1);
+  } else if (value >= -0x80000000) {
+    buf = Buffer.alloc(5, 0xd2);
+    buf.writeInt32BE(value, 1);
+  } else {
+    const high = Math.floor(value / HIGH_WORD);
+    buf = Buffer.alloc(9, 0xd3);
+    buf.writeInt32BE(high, 1);
+    buf.writeUInt32BE(value - high * HIGH_WORD, 5);
+  }
+  return buf;
+}
+
+/**
+ * Checks whether a value is skipped when it appears in an object, as it would be by JSON.stringify.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ * @private
+ */
+function isSkipped(value) {
+  return _.isUndefined(value) || _.isFunction(value) || _.isSymbol(value);
+}
+
+/**
+ * Encodes a value, adding its chunks to a list.
+ * @param {*} value - The value to encode.
+ * @param {Buffer[]} chunks - The encoded chunks so far.
+ * @private
+ */
+function encodeValue(value, chunks) {
+  if (_.isNil(value) || isSkipped(value)) {
+    chunks.push(Buffer.from([0xc0]));
+  } else if (_.isBoolean(value)) {
+    chunks.push(Buffer.from([value ? 0xc3 : 0xc2]));
+  } else if (_.isNumber(value)) {
+    chunks.push(encodeNumber(value));
+  } else if (_.isString(value)) {
+    const data = Buffer.from(value, "utf8");
+    chunks.push(sizedHeader(data.length, STR), data);
+  } else if (Buffer.isBuffer(value)) {
+    chunks.push(sizedHeader(value.length, BIN), value);
+  } else if (_.isFunction(value.toJSON)) {
+    encodeValue(value.toJSON(), chunks);
+  } else if (_.isArray(value)) {
+    chunks.push(sizedHeader(value.length, ARRAY));
+    value.forEach((item) => encodeValue(item, chunks));
+  } else if (_.isObject(value)) {
+    const keys = Object.keys(value).filter((key) => !isSkipped(value[key]));
+    chunks.push(sizedHeader(keys.length, MAP));
+    keys.forEach((key) => {
+      encodeValue(key, chunks);
+      encodeValue(value[key], chunks);
+    });
+  } else {
+    throw new errors.CodecError(`Cannot encode a value of type "${typeof value}" as MessagePack.`);
+  }
+}
+
+/**
+ * Encodes a value as MessagePack.
+ * @param {*} value - The value to encode.
+ * @returns {Buffer}
+ */
+function encode(value) {
+  const chunks = [];
+  encodeValue(value, chunks);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Reserves the next bytes of the data being decoded.
+ * @param {object} state - The data being decoded and the current offset.
+ * @param {number} length - The number of bytes to reserve.
+ * @returns {number} The offset of the reserved bytes.
+ * @private
+ */
+function take(state, length) {
+  const { offset } = state;
+  if (offset + length > state.data.length) {
+    throw new errors.CodecError("The MessagePack data is truncated.");
+  }
+  state.offset += length; // eslint-disable-line no-param-reassign
+  return offset;
+}
+
+/**
+ * Reads an unsigned length of 1, 2 or 4 bytes.
+ * @param {object} state - The data being decoded and the current offset.
+ * @param {number} size - The size of the length, in bytes.
+ * @returns {number}
+ * @private
+ */
+function readLength(state, size) {
+  return state.data.readUIntBE(take(state, size), size);
+}
+
+/**
+ * Decodes a timestamp extension value.
+ * @param {Buffer} data - The extension data.
+ * @returns {Date}
+ * @private
+ */
+function decodeTimestamp(data) {
+  let seconds;
+  let nanoseconds = 0;
+  if (data.length === 4) {
+    seconds = data.readUInt32BE(0);
+  } else if (data.length === 8) {
+    // The upper 30 bits hold the nanoseconds and the lower 34 bits the seconds.
+    const high = data.readUInt32BE(0);
+    nanoseconds = Math.floor(high / 4);
+    seconds = (high % 4) * HIGH_WORD + data.readUInt32BE(4);
+  } else if (data.length === 12) {
+    nanoseconds = data.readUInt32BE(0);
+    seconds = data.readInt32BE(4) * HIGH_WORD + data.readUInt32BE(8);
+  } else {
+    throw new errors.CodecError("The MessagePack timestamp is invalid.");
+  }
+  return new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6));
+}
+
+/**
+ * Decodes an extension value.
+ * @param {object} state - The data being decoded and the current offset.
+ * @param {number} length - The length of the extension data.
+ * @returns {*}
+ * @private
+ */
+function decodeExtension(state, length) {
+  const type = state.data.readInt8(take(state, 1));
+  const start = take(state, length);
+  if (type !== TIMESTAMP_TYPE) {
+    throw new errors.CodecError(`Unsupported MessagePack extension type ${type}.`);
+  }
+  return decodeTimestamp(state.data.slice(start, start + length));
+}
+
+/**
+ * Decodes a string.
+ * @param {object} state - The data being decoded and the current offset.
+ * @param {number} length - The length of the string, in bytes.
+ * @returns {string}
+ * @private
+ */
+function decodeString(state, length) {
+  const start = take(state, length);
+  return state.data.toString("utf8", start, start + length);
+}
+
+/**
+ * Decodes binary data.
+ * @param {object} state - The data being decoded and the current offset.
+ * @param {number} length - The length of the data, in bytes.
+ * @returns {Buffer}
+ * @private
+ */
+function decodeBinary(state, length) {
+  const start = take(state, length);
+  return Buffer.from(state.data.slice(start, start + length));
+}
+
+/* eslint-disable no-use-before-define */
+
+/**
+ * Decodes an array.
+ * @param {object} state - The data being decoded and the current offset.
+ * @param {number} length - The number of items in the array.
+ * @returns {Array}
+ * @private
+ */
+function decodeArray(state, length) {
+  const array = [];
+  for (let i = 0; i < length; i += 1) {
+    array.push(decodeValue(state));
+  }
+  return array;
+}
+
+/**
+ * Decodes a map into an object, converting its keys to strings.
+ * @param {object} state - The data being decoded and the current offset.
+ * @param {number} length - The number of entries in the map.
+ * @returns {object}
+ * @private
+ */
+function decodeMap(state, length) {
+  const map = {};
+  for (let i = 0; i < length; i += 1) {
+    const key = String(decodeValue(state));
+    const value = decodeValue(state);
+    // Define the key as an own property, so a "__proto__" key cannot replace the prototype.
+    Object.defineProperty(map, key, {
+      value,
+      enumerable: true,
+      writable: true,
+      configurable: true,
+    });
+  }
+  return map;
+}
+
+/**
+ * Decodes the next value.
+ * @param {object} state - The data being decoded and the current offset.
+ * @returns {*}
+ * @private
+ */
+function decodeValue(state) {
+  const { data } = state;
+  const code = data[take(state, 1)];
+
+  if (code <= 0x7f) {
+    return code;
+  }
+  if (code >= 0xe0) {
+    return code - 0x100;
+  }
+  if (code >= 0x80 && code <= 0x8f) {
+    return decodeMap(state, code - 0x80);
+  }
+  if (code >= 0x90 && code <= 0x9f) {
+    return decodeArray(state, code - 0x90);
+  }
+  if (code >= 0xa0 && code <= 0xbf) {
+    return decodeString(state, code - 0xa0);
+  }
+
+  switch (code) {
+    case 0xc0:
+      return null;
+    case 0xc2:
+      return false;
+    case 0xc3:
+      return true;
+    case 0xc4:
+      return decodeBinary(state, readLength(state, 1));
+    case 0xc5:
+      return decodeBinary(state, readLength(state, 2));
+    case 0xc6:
+      return decodeBinary(state, readLength(state, 4));
+    case 0xc7:
+      return decodeExtension(state, readLength(state, 1));
+    case 0xc8:
+      return decodeExtension(state, readLength(state, 2));
+    case 0xc9:
+      return decodeExtension(state, readLength(state, 4));
+    case 0xca:
+      return data.readFloatBE(take(state, 4));
+    case 0xcb:
+      return data.readDoubleBE(take(state, 8));
+    case 0xcc:
+      return data.readUInt8(take(state, 1));
+    case 0xcd:
+      return data.readUInt16BE(take(state, 2));
+    case 0xce:
+      return data.readUInt32BE(take(state, 4));
+    case 0xcf: {
+      const offset = take(state, 8);
+      return data.readUInt32BE(offset) * HIGH_WORD + data.readUInt32BE(offset + 4);
+    }
+    case 0xd0:
+      return data.readInt8(take(state, 1));
+    case 0xd1:
+      return data.readInt16BE(take(state, 2));
+    case 0xd2:
+      return data.readInt32BE(take(state, 4));
+    case 0xd3: {
+      const offset = take(state, 8);
+      return data.readInt32BE(offset) * HIGH_WORD + data.readUInt32BE(offset + 4);
+    }
+    case 0xd4:
+      return decodeExtension(state, 1);
+    case 0xd5:
+      return decodeExtension(state, 2);
+    case 0xd6:
+      return decodeExtension(state, 4);
+    case 0xd7:
+      return decodeExtension(state, 8);
+    case 0xd8:
+      return decodeExtension(state, 16);
+    case 0xd9:
+      return decodeString(state, readLength(state, 1));
+    case 0xda:
+      return decodeString(state, readLength(state, 2));
+    case 0xdb:
+      return decodeString(state, readLength(state, 4));
+    case 0xdc:
+      return decodeArray(state, readLength(state, 2));
+    case 0xdd:
+      return decodeArray(state, readLength(state, 4));
+    case 0xde:
+      return decodeMap(state, readLength(state, 2));
+    case 0xdf:
+      return decodeMap(state, readLength(state, 4));
+    default:
+      throw new errors.CodecError(`Invalid MessagePack format code 0x${code.toString(16)}.`);
+  }
+}
+
+/* eslint-enable no-use-before-define */
+
+/**
+ * Decodes a MessagePack value.
+ * @param {Buffer} data - The encoded value.
+ * @returns {*}
+ * @throws {module:lib/errors~CodecError} If the data is not valid MessagePack.
+ */
+function decode(data) {
+  if (!Buffer.isBuffer(data)) {
+    throw new TypeError('"data" should be a Buffer.');
+  }
+
+  const state = { data, offset: 0 };
+  const value = decodeValue(state);
+  if (state.offset !== data.length) {
+    throw new errors.CodecError("The MessagePack data has unexpected trailing bytes.");
+  }
+  return value;
+}
+
+module.exports = {
+  encode,
+  decode,
+};
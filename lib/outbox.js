@@ -0,0 +1,382 @@
+/* eslint-disable max-classes-per-file */
+
+/**
+ * Module for holding publishes made while a transport is disconnected, and sending them once
+ * it reconnects.
+ * @module lib/outbox
+ */
+
+const fs = require("fs");
+const Promise = require("bluebird");
+const _ = require("lodash");
+const defaults = require("../defaults");
+const errors = require("./errors");
+
+/**
+ * Default outbox store, which keeps entries in memory.
+ *
+ * Custom stores must implement the same promise-returning `add(entry)`, `list()`,
+ * `remove(count)` and `count()` methods, and keep entries in the order they were added.
+ */
+class MemoryOutboxStore {
+  /**
+   * Constructor for the MemoryOutboxStore object.
+   */
+  constructor() {
+    /**
+     * The stored entries, oldest first.
+     * @type {object[]}
+     */
+    this.entries = [];
+  }
+
+  /**
+   * Stores an entry after the others.
+   * @param {object} entry - The entry to store.
+   * @returns {Promise}
+   */
+  add(entry) {
+    this.entries.push(entry);
+    return Promise.resolve();
+  }
+
+  /**
+   * Lists the stored entries, oldest first.
+   * @returns {Promise}
+   */
+  list() {
+    return Promise.resolve(this.entries.slice());
+  }
+
+  /**
+   * Deletes the oldest entries.
+   * @param {number} count - The number of entries to delete.
+   * @returns {Promise}
+   */
+  remove(count) {
+    this.entries.splice(0, count);
+    return Promise.resolve();
+  }
+
+  /**
+   * Counts the stored entries.
+   * @returns {Promise}
+   */
+  count() {
+    return Promise.resolve(this.entries.length);
+  }
+}
+
+/**
+ * Outbox store that spools entries to an append-only NDJSON file, so they survive a restart
+ * of the process. Sent entries are removed by rewriting the file with the remaining ones, and
+ * the file is deleted once it is empty. File operations run one at a time.
+ *
+ * If the process stopped while appending, the last line of the file may be incomplete. That
+ * line is dropped and logged, and the file is rewritten without it. Invalid lines elsewhere in
+ * the file are treated as corruption and reject every operation.
+ */
+class FileOutboxStore {
+  /**
+   * Constructor for the FileOutboxStore object.
+   * @param {object} options - Settings for the store.
+   * @param {string} options.path - The file to spool entries to.
+   * @param {object} [options.logger] - Where to log an incomplete last line that was dropped.
+   */
+  constructor(options) {
+    if (!_.isString(_.get(options, "path"))) {
+      throw new TypeError('"options.path" should be a string.');
+    }
+
+    /**
+     * The file entries are spooled to.
+     * @type {string}
+     */
+    this.path = options.path;
+
+    /**
+     * The number of entries in the file, once it has been read.
+     * @type {number|null}
+     */
+    this.size = null;
+
+    this.logger = options.logger;
+
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Runs a file operation once the previous ones have finished.
+   * @param {function} fn - The operation, returning a Promise.
+   * @returns {Promise}
+   * @private
+   */
+  enqueue(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(_.noop);
+    return result;
+  }
+
+  /**
+   * Reads the entries in the file. A last line without a line break was cut short by a crash
+   * while appending, so it is dropped if it is not valid JSON, and the file is rewritten to end
+   * with a complete line.
+   * @returns {Promise} Resolves to the entries, oldest first.
+   * @private
+   */
+  read() {
+    return Promise.fromCallback((callback) => fs.readFile(this.path, "utf8", callback))
+      .catch((err) => {
+        if (err.code === "ENOENT") {
+          return "";
+        }
+        throw err;
+      })
+      .then((data) => {
+        const lines = data.split("\n");
+        const partial = lines.pop();
+        const parse = (line, index) => {
+          try {
+            return JSON.parse(line);
+          } catch (err) {
+            throw new SyntaxError(
+              `Line ${index + 1} of "${this.path}" is not valid JSON: ${err.message}`
+            );
+          }
+        };
+        const entries = _.compact(
+          lines.map((line, index) => (line.trim() ? parse(line, index) : null))
+        );
+        if (!partial.trim()) {
+          this.size = entries.length;
+          return entries;
+        }
+        try {
+          entries.push(parse(partial, lines.length));
+        } catch (err) {
+          if (this.logger && this.logger.error) {
+            this.logger.error(
+              new SyntaxError(`Dropped an incomplete entry from the outbox. ${err.message}`)
+            );
+          }
+        }
+        return this.write(entries).then(() => entries);
+      });
+  }
+
+  /**
+   * Replaces the contents of the file with entries, or deletes it if there are none. A copy is
+   * written and renamed over the file, so a crash cannot leave it half-written.
+   * @param {object[]} entries - The entries to keep, oldest first.
+   * @returns {Promise}
+   * @private
+   */
+  write(entries) {
+    this.size = entries.length;
+    if (entries.length === 0) {
+      return Promise.fromCallback((callback) => fs.unlink(this.path, callback));
+    }
+    const copy = `${this.path}.tmp`;
+    const data = entries.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+    return Promise.fromCallback((callback) => fs.writeFile(copy, data, callback)).then(() =>
+      Promise.fromCallback((callback) => fs.rename(copy, this.path, callback))
+    );
+  }
+
+  /**
+   * Appends an entry to the file.
+   * @param {object} entry - The entry to store.
+   * @returns {Promise}
+   */
+  add(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    return this.enqueue(() =>
+      (this.size === null ? this.read() : Promise.resolve())
+        .then(() => Promise.fromCallback((callback) => fs.appendFile(this.path, line, callback)))
+        .then(() => {
+          this.size += 1;
+        })
+    );
+  }
+
+  /**
+   * Lists the entries in the file, oldest first.
+   * @returns {Promise}
+   */
+  list() {
+    return this.enqueue(() => this.read());
+  }
+
+  /**
+   * Deletes the oldest entries from the file.
+   * @param {number} count - The number of entries to delete.
+   * @returns {Promise}
+   */
+  remove(count) {
+    return this.enqueue(() =>
+      this.read().then((entries) => {
+        if (count === 0) {
+          return undefined;
+        }
+        return this.write(entries.slice(count));
+      })
+    );
+  }
+
+  /**
+   * Counts the entries in the file.
+   * @returns {Promise}
+   */
+  count() {
+    return this.enqueue(() =>
+      this.size === null ? this.read().then((entries) => entries.length) : this.size
+    );
+  }
+}
+
+/**
+ * Holds publishes until they can be sent, and sends them in the order they were made.
+ *
+ * Entries are sent at least once: if the process stops while flushing, entries already sent
+ * may be sent again when the outbox is next flushed. They keep their message id, so listeners
+ * with de-duplication enabled handle them once.
+ */
+class Outbox {
+  /**
+   * Constructor for the Outbox object.
+   * @param {object} [options] - Optional settings.
+   * @param {number} [options.maxEntries] - The maximum number of entries to hold. Further entries are rejected with a QueueFullError.
+   * @param {string} [options.path] - A file to spool entries to, using a {@link module:lib/outbox~FileOutboxStore}.
+   * @param {object} [options.store] - Where entries are held. Defaults to a {@link module:lib/outbox~MemoryOutboxStore}, or a file store if a path is given.
+   * @param {object} [options.logger] - Passed to the file store, if a path is given.
+   */
+  constructor(options = {}) {
+    if (
+      !_.isUndefined(options.maxEntries) &&
+      !(_.isInteger(options.maxEntries) && options.maxEntries > 0)
+    ) {
+      throw new TypeError('"options.maxEntries" should be a positive integer.');
+    }
+    if (!_.isUndefined(options.path) && !_.isString(options.path)) {
+      throw new TypeError('"options.path" should be a string.');
+    }
+    if (
+      !_.isUndefined(options.store) &&
+      !_.every(["add", "list", "remove", "count"], (method) =>
+        _.isFunction(_.get(options.store, method))
+      )
+    ) {
+      throw new TypeError('"options.store" should implement add(), list(), remove() and count().');
+    }
+    if (!_.isUndefined(options.path) && !_.isUndefined(options.store)) {
+      throw new TypeError('Only one of "options.path" and "options.store" should be given.');
+    }
+
+    /**
+     * The maximum number of entries to hold.
+     * @type {number}
+     */
+    this.maxEntries = options.maxEntries || defaults.outbox.maxEntries;
+
+    /**
+     * Where entries are held.
+     * @type {object}
+     */
+    this.store =
+      options.store ||
+      (options.path
+        ? new FileOutboxStore({ path: options.path, logger: options.logger })
+        : new MemoryOutboxStore());
+
+    /**
+     * The flush in progress, if any.
+     * @type {Promise|null}
+     */
+    this.flushing = null;
+
+    this.adding = Promise.resolve();
+  }
+
+  /**
+   * Adds an entry after the others.
+   * @param {object} entry - The entry to hold.
+   * @returns {Promise} Rejects with a QueueFullError if the outbox is full.
+   */
+  add(entry) {
+    const result = this.adding.then(() =>
+      Promise.resolve(this.store.count()).then((size) => {
+        if (size >= this.maxEntries) {
+          throw new errors.QueueFullError(
+            `Unable to hold more than ${this.maxEntries} messages in the outbox.`
+          );
+        }
+        return this.store.add(entry);
+      })
+    );
+    this.adding = result.catch(_.noop);
+    return result;
+  }
+
+  /**
+   * Sends the held entries in order, including entries added while flushing, and removes them.
+   * Flushing stops at the first entry that fails with a TransportDisconnectedError, which is
+   * kept for the next flush. Entries that fail with other errors are removed, as sending them
+   * again would fail the same way.
+   * @param {function} send - Sends an entry, returning a Promise.
+   * @param {function} [onProgress] - Called after each entry is handled, with its `entry`, the `error` it failed with, if any, and the number of entries `sent` and `failed` so far.
+   * @returns {Promise} Resolves to a report with the number of entries `sent` and `failed`,
+   * the number still held (`remaining`), and the `error` that stopped the flush, if any.
+   */
+  flush(send, onProgress = _.noop) {
+    if (this.flushing) {
+      return this.flushing;
+    }
+
+    const report = { sent: 0, failed: 0, remaining: 0, error: null };
+    const sendFrom = (entries, index) => {
+      if (index >= entries.length) {
+        return Promise.resolve(index);
+      }
+      const entry = entries[index];
+      return Promise.try(() => send(entry)).then(
+        () => {
+          report.sent += 1;
+          onProgress({ entry, error: null, sent: report.sent, failed: report.failed });
+          return sendFrom(entries, index + 1);
+        },
+        (err) => {
+          if (err instanceof errors.TransportDisconnectedError) {
+            report.error = err;
+            return index;
+          }
+          report.failed += 1;
+          onProgress({ entry, error: err, sent: report.sent, failed: report.failed });
+          return sendFrom(entries, index + 1);
+        }
+      );
+    };
+    const flushHeld = () =>
+      Promise.resolve(this.store.list()).then((entries) => {
+        if (entries.length === 0) {
+          return undefined;
+        }
+        return sendFrom(entries, 0)
+          .then((handled) => this.store.remove(handled))
+          .then(() => (report.error ? undefined : flushHeld()));
+      });
+
+    this.flushing = flushHeld()
+      .then(() => this.store.count())
+      .then((remaining) => ({ ...report, remaining }))
+      .finally(() => {
+        this.flushing = null;
+      });
+    return this.flushing;
+  }
+}
+
+module.exports = {
+  MemoryOutboxStore,
+  FileOutboxStore,
+  Outbox,
+};
@@ -0,0 +1,223 @@
+/**
+ * Module for exporting transport metrics in the Prometheus text exposition format.
+ * @module lib/prometheus
+ */
+
+const http = require("http");
+const Promise = require("bluebird");
+const _ = require("lodash");
+
+/**
+ * The content type of the Prometheus text exposition format.
+ * @type {string}
+ */
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/**
+ * Matches a valid metric name prefix.
+ * @private
+ */
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+/**
+ * Matches a valid label name.
+ * @private
+ */
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Descriptions of the exported metric groups.
+ * @private
+ */
+const GROUPS = {
+  handlers: { label: "topic", description: "message handler" },
+  publishes: { label: "routing_key", description: "published message" },
+  requests: { label: "routing_key", description: "request" },
+};
+
+/**
+ * Escapes a label value.
+ * @param {string} value - The label value.
+ * @returns {string}
+ * @private
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a set of labels.
+ * @param {object} labels - The label names and values.
+ * @returns {string}
+ * @private
+ */
+function formatLabels(labels) {
+  const pairs = _.map(labels, (value, name) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Formats a sample value.
+ * @param {number} value - The sample value.
+ * @returns {string}
+ * @private
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  return String(value);
+}
+
+/**
+ * Renders a transport's metrics in the Prometheus text exposition format.
+ *
+ * Publishes and requests are labelled with their routing key. The transport tracks a limited
+ * number of keys, set by its `metricsMaxKeys` option, and combines the rest under one label
+ * value, so routing keys that hold ids do not create a series for every id.
+ * @param {module:lib/transport~Transport} transport - The transport whose metrics should be rendered.
+ * @param {object} [options] - Optional settings.
+ * @param {string} [options.prefix] - Prefix for every metric name, matching `[a-zA-Z_:][a-zA-Z0-9_:]*`. Defaults to "postmaster".
+ * @param {object} [options.labels] - Constant labels added to every sample, e.g. the service name. Names should match `[a-zA-Z_][a-zA-Z0-9_]*`.
+ * @returns {string}
+ */
+function render(transport, options = {}) {
+  if (!transport || !_.isFunction(transport.getMetrics)) {
+    throw new TypeError('"transport" should be a Transport.');
+  }
+  if (
+    !_.isUndefined(options.prefix) &&
+    !(options.prefix === "" || (_.isString(options.prefix) && METRIC_NAME.test(options.prefix)))
+  ) {
+    throw new TypeError('"options.prefix" should be a valid metric name.');
+  }
+  if (!_.isUndefined(options.labels) && !_.isPlainObject(options.labels)) {
+    throw new TypeError('"options.labels" should be an object.');
+  }
+  const invalidLabel = _.find(_.keys(options.labels), (name) => !LABEL_NAME.test(name));
+  if (!_.isUndefined(invalidLabel)) {
+    throw new TypeError(`"options.labels" has an invalid label name "${invalidLabel}".`);
+  }
+
+  const prefix = _.isUndefined(options.prefix) ? "postmaster" : options.prefix;
+  const constantLabels = options.labels || {};
+  const metrics = transport.getMetrics();
+  const lines = [];
+
+  const family = (name, type, help, samples) => {
+    const fullName = prefix ? `${prefix}_${name}` : name;
+    lines.push(`# HELP ${fullName} ${help}`);
+    lines.push(`# TYPE ${fullName} ${type}`);
+    samples.forEach(([suffix, labels, value]) => {
+      const sampleLabels = formatLabels({ ...constantLabels, ...labels });
+      lines.push(`${fullName}${suffix}${sampleLabels} ${formatValue(value)}`);
+    });
+  };
+
+  _.forEach(GROUPS, ({ label, description }, group) => {
+    const entries = _.toPairs(metrics[group]);
+
+    family(
+      `${group}_total`,
+      "counter",
+      `Total number of completed ${description}s.`,
+      entries.map(([key, stats]) => ["", { [label]: key }, stats.count])
+    );
+    family(
+      `${group}_errors_total`,
+      "counter",
+      `Total number of failed ${description}s, by error name.`,
+      _.flatMap(entries, ([key, stats]) =>
+        _.map(stats.errors, (count, error) => ["", { [label]: key, error }, count])
+      )
+    );
+    family(
+      `${group}_in_flight`,
+      "gauge",
+      `Number of ${description}s currently in progress.`,
+      entries.map(([key, stats]) => ["", { [label]: key }, stats.inFlight])
+    );
+    if (group === "handlers") {
+      family(
+        `${group}_queued`,
+        "gauge",
+        `Number of ${description}s waiting for a concurrency slot.`,
+        entries.map(([key, stats]) => ["", { [label]: key }, stats.queued])
+      );
+    }
+    family(
+      `${group}_duration_seconds`,
+      "histogram",
+      `Duration of ${description}s, in seconds.`,
+      _.flatMap(entries, ([key, stats]) => [
+        ...stats.latency.buckets.map((bucket) => [
+          "_bucket",
+          { [label]: key, le: formatValue(bucket.le / 1000) },
+          bucket.count,
+        ]),
+        ["_sum", { [label]: key }, stats.latency.sum / 1000],
+        ["_count", { [label]: key }, stats.latency.count],
+      ])
+    );
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Starts a local HTTP server that serves a transport's metrics for Prometheus to scrape.
+ * @param {module:lib/transport~Transport} transport - The transport whose metrics should be served.
+ * @param {object} [options] - Optional settings.
+ * @param {number} [options.port] - The port to listen on. Defaults to 9464; use 0 for a random port.
+ * @param {string} [options.host] - The host to bind to. Defaults to "127.0.0.1"; use "0.0.0.0" to serve on all interfaces.
+ * @param {string} [options.path] - The path metrics are served on. Defaults to "/metrics".
+ * @param {string} [options.prefix] - Prefix for every metric name, passed to {@link module:lib/prometheus.render}.
+ * @param {object} [options.labels] - Constant labels, passed to {@link module:lib/prometheus.render}.
+ * @returns {Promise} Resolves to the listening http.Server once it is ready.
+ */
+function serve(transport, options = {}) {
+  return new Promise((resolve, reject) => {
+    if (!_.isUndefined(options.port) && !_.isInteger(options.port)) {
+      throw new TypeError('"options.port" should be an integer.');
+    }
+    if (!_.isUndefined(options.path) && !_.isString(options.path)) {
+      throw new TypeError('"options.path" should be a string.');
+    }
+
+    const path = options.path || "/metrics";
+    const renderOptions = _.pick(options, ["prefix", "labels"]);
+
+    // Throws for an invalid transport, prefix or labels.
+    render(transport, renderOptions);
+
+    const server = http.createServer((req, res) => {
+      if (req.method !== "GET" || req.url.split("?")[0] !== path) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      try {
+        const body = render(transport, renderOptions);
+        res.writeHead(200, { "Content-Type": CONTENT_TYPE });
+        res.end(body);
+      } catch (err) {
+        res.writeHead(500);
+        res.end();
+      }
+    });
+
+    server.once("error", reject);
+    const port = _.isUndefined(options.port) ? 9464 : options.port;
+    server.listen(port, options.host || "127.0.0.1", () => {
+      server.removeListener("error", reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  render,
+  serve,
+};
@@ -0,0 +1,326 @@
+/**
+ * Module for recording the message traffic of a transport to an NDJSON file, and replaying
+ * recorded messages into listeners to reproduce problems locally.
+ *
+ * Each line of a recording is a JSON object with the `type` of the record ("publish", "request"
+ * or "inbound"), the `routingKey`, the listener `pattern` of inbound messages, the `message`,
+ * `messageId`, `correlationId` and `initiator`, when the call started (`startedAt`) and how long
+ * it took (`duration`), and either its `result` or its `error`.
+ * @module lib/recorder
+ */
+
+const fs = require("fs");
+const Promise = require("bluebird");
+const _ = require("lodash");
+const errors = require("./errors");
+const Transport = require("./transport");
+
+/**
+ * The types of records.
+ * @type {object}
+ */
+const TYPES = {
+  PUBLISH: "publish",
+  REQUEST: "request",
+  INBOUND: "inbound",
+};
+
+/**
+ * Copies a value the way it would be written to a recording.
+ * @param {*} value - The value to copy.
+ * @returns {*}
+ * @private
+ */
+function toRecorded(value) {
+  return _.isUndefined(value) ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Records the publishes, requests and handled messages of a transport, from the moment it is
+ * created until it is stopped. Recording uses inbound and outbound middleware, so only calls
+ * made after the recorder is created are captured.
+ *
+ * Recording never changes the outcome of a call. Calls that cannot be serialized are not
+ * recorded, and errors writing the recording stop it; both are logged to the transport's logger.
+ */
+class Recorder {
+  /**
+   * Constructor for the Recorder object.
+   * @param {module:lib/transport~Transport} transport - The transport to record.
+   * @param {object} options - Settings for the recording.
+   * @param {string} [options.path] - The file to append records to.
+   * @param {stream.Writable} [options.stream] - A stream to write records to, instead of a file.
+   */
+  constructor(transport, options) {
+    if (!(transport instanceof Transport)) {
+      throw new TypeError('"transport" should be a Transport.');
+    }
+    if (!_.isPlainObject(options)) {
+      throw new TypeError('"options" should be an object.');
+    }
+    if (_.isString(options.path) === !_.isUndefined(options.stream)) {
+      throw new TypeError('Either "options.path" or "options.stream" should be given.');
+    }
+    if (!_.isUndefined(options.stream) && !_.isFunction(_.get(options.stream, "write"))) {
+      throw new TypeError('"options.stream" should be a writable stream.');
+    }
+
+    /**
+     * The recorded transport.
+     * @type {module:lib/transport~Transport}
+     */
+    this.transport = transport;
+
+    /**
+     * The stream records are written to.
+     * @type {stream.Writable}
+     */
+    this.stream = options.stream || fs.createWriteStream(options.path, { flags: "a" });
+
+    /**
+     * Whether the recorder opened the stream, and should close it when stopped.
+     * @type {boolean}
+     */
+    this.ownsStream = !options.stream;
+
+    /**
+     * The error that stopped the recording, if writing it failed.
+     * @type {Error|null}
+     */
+    this.error = null;
+
+    this.stream.on("error", (err) => {
+      this.error = err;
+      this.logError(err);
+    });
+
+    /**
+     * The number of records written so far.
+     * @type {number}
+     */
+    this.count = 0;
+
+    this.inbound = (ctx, next) => this.capture(TYPES.INBOUND, ctx, next);
+    this.outbound = (ctx, next) => this.capture(ctx.type, ctx, next);
+    transport.use(this.inbound);
+    transport.useOutbound(this.outbound);
+  }
+
+  /**
+   * Records a call once it settles.
+   * @param {string} type - The type of record.
+   * @param {object} ctx - The middleware context of the call.
+   * @param {function} next - Continues the middleware chain.
+   * @returns {Promise}
+   * @private
+   */
+  capture(type, ctx, next) {
+    let record;
+    try {
+      record = {
+        type,
+        routingKey: ctx.routingKey,
+        pattern: ctx.pattern,
+        message: toRecorded(ctx.message),
+        messageId: type === TYPES.INBOUND ? ctx.messageId : ctx.options.messageId,
+        correlationId: ctx.correlationId,
+        initiator: ctx.initiator,
+        startedAt: new Date().getTime(),
+      };
+    } catch (err) {
+      this.logError(err);
+      return next();
+    }
+    const write = (outcome) => {
+      this.write({ ...record, duration: new Date().getTime() - record.startedAt, ...outcome });
+    };
+
+    return next().then(
+      () => write({ result: ctx.result }),
+      (err) => {
+        write({ error: errors.toJSON(err) });
+        throw err;
+      }
+    );
+  }
+
+  /**
+   * Writes a record to the stream.
+   * @param {object} record - The record to write.
+   * @private
+   */
+  write(record) {
+    if (!this.stream || this.error) {
+      return;
+    }
+    try {
+      this.stream.write(`${JSON.stringify(record)}\n`);
+      this.count += 1;
+    } catch (err) {
+      this.logError(err);
+    }
+  }
+
+  /**
+   * Logs an error that prevented a call from being recorded.
+   * @param {Error} err - The error.
+   * @private
+   */
+  logError(err) {
+    const { logger } = this.transport;
+    if (logger && logger.error) {
+      logger.error(err);
+    }
+  }
+
+  /**
+   * Stops recording, closing the file if the recorder opened it.
+   * @returns {Promise} Resolves once the records have been flushed.
+   */
+  stop() {
+    _.pull(this.transport.inboundMiddleware, this.inbound);
+    _.pull(this.transport.outboundMiddleware, this.outbound);
+
+    const { stream } = this;
+    this.stream = null;
+    if (!stream || !this.ownsStream || this.error) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      stream.once("error", reject);
+      stream.end(resolve);
+    });
+  }
+}
+
+/**
+ * Reads the records of a recording.
+ * @param {string} path - The NDJSON file to read.
+ * @returns {Promise} Resolves to the records, in the order they were written.
+ */
+function readRecords(path) {
+  return new Promise((resolve) => {
+    if (!_.isString(path)) {
+      throw new TypeError('"path" should be a string.');
+    }
+    resolve(Promise.fromCallback((callback) => fs.readFile(path, "utf8", callback)));
+  }).then((data) =>
+    _.compact(
+      data.split("\n").map((line, index) => {
+        if (!line.trim()) {
+          return null;
+        }
+        try {
+          return JSON.parse(line);
+        } catch (err) {
+          throw new SyntaxError(`Line ${index + 1} of "${path}" is not valid JSON: ${err.message}`);
+        }
+      })
+    )
+  );
+}
+
+/**
+ * Describes the outcome of a call for comparison, as it would be recorded.
+ * @param {object} outcome - A record, or the reflected outcome of a replayed call.
+ * @returns {object} The `result`, or the `name` and `message` of the `error`.
+ * @private
+ */
+function describeOutcome(outcome) {
+  if (outcome.error) {
+    return { error: _.pick(outcome.error, ["name", "message"]) };
+  }
+  return { result: outcome.result };
+}
+
+/**
+ * Replays the inbound messages of a recording into the listeners of a transport, through the
+ * same wrapped handlers as messages received from the broker, and compares each outcome with
+ * the recorded one. Messages are dispatched in the recorded order, and each is dispatched as
+ * soon as its recorded start time is due, without waiting for earlier handlers to finish.
+ * @param {module:lib/transport~Transport} transport - The transport whose listeners receive the messages.
+ * @param {string|object[]} source - The NDJSON file to replay, or records read with {@link module:lib/recorder.readRecords}.
+ * @param {object} [options] - Optional settings.
+ * @param {number} [options.speed] - How much faster than recorded to dispatch messages. Defaults to 1, the original timing; use Infinity to dispatch without delays.
+ * @returns {Promise} Resolves to a report with the number of messages `replayed` and `matched`,
+ * and the `divergences`, each with the `index` of the record, its `routingKey` and
+ * `correlationId`, and the `expected` and `actual` outcome.
+ */
+function replay(transport, source, options = {}) {
+  return new Promise((resolve) => {
+    if (!(transport instanceof Transport)) {
+      throw new TypeError('"transport" should be a Transport.');
+    }
+    if (!_.isString(source) && !_.isArray(source)) {
+      throw new TypeError('"source" should be a path or an array of records.');
+    }
+    if (!_.isUndefined(options.speed) && !(_.isNumber(options.speed) && options.speed > 0)) {
+      throw new TypeError('"options.speed" should be a positive number.');
+    }
+    resolve(_.isString(source) ? readRecords(source) : source);
+  }).then((records) => {
+    const speed = options.speed || 1;
+    const inbound = records
+      .map((record, index) => ({ record, index }))
+      .filter(({ record }) => record.type === TYPES.INBOUND);
+    const start = new Date().getTime();
+    const firstStartedAt = inbound.length > 0 ? inbound[0].record.startedAt : 0;
+
+    const dispatch = ({ record }) => {
+      const listener = transport.matchListener(record.routingKey);
+      if (!listener) {
+        return Promise.reject(
+          new errors.RequestError(`No listener registered for routing key "${record.routingKey}".`)
+        );
+      }
+      return listener.handler(_.cloneDeep(record.message), record.correlationId, record.initiator, {
+        routingKey: record.routingKey,
+        messageId: record.messageId,
+      });
+    };
+
+    return Promise.mapSeries(inbound, (entry) => {
+      const due = start + (entry.record.startedAt - firstStartedAt) / speed;
+      return Promise.delay(Math.max(due - new Date().getTime(), 0)).then(() => ({
+        entry,
+        outcome: Promise.try(() => dispatch(entry)).reflect(),
+      }));
+    })
+      .then((dispatched) =>
+        Promise.map(dispatched, ({ entry, outcome }) =>
+          outcome.then((inspection) => {
+            const expected = describeOutcome(entry.record);
+            const actual = describeOutcome(
+              inspection.isFulfilled()
+                ? { result: toRecorded(inspection.value()) }
+                : { error: inspection.reason() }
+            );
+            return _.isEqual(expected, actual)
+              ? null
+              : {
+                  index: entry.index,
+                  routingKey: entry.record.routingKey,
+                  correlationId: entry.record.correlationId,
+                  expected,
+                  actual,
+                };
+          })
+        )
+      )
+      .then((results) => {
+        const divergences = _.compact(results);
+        return {
+          replayed: inbound.length,
+          matched: inbound.length - divergences.length,
+          divergences,
+        };
+      });
+  });
+}
+
+module.exports = {
+  TYPES,
+  Recorder,
+  readRecords,
+  replay,
+};
@@ -0,0 +1,124 @@
+/**
+ * Module for retrying failed operations with exponential backoff.
+ * @module lib/retry
+ */
+
+const Promise = require("bluebird");
+const _ = require("lodash");
+const defaults = require("../defaults");
+const errors = require("./errors");
+
+/**
+ * Error classes retried by default.
+ * @type {function[]}
+ */
+const RETRYABLE_ERRORS = [errors.RequestError, errors.TransportDisconnectedError];
+
+/**
+ * Error classes never retried by default, even if they extend a retryable class.
+ * @type {function[]}
+ */
+const NON_RETRYABLE_ERRORS = [errors.ResponseError];
+
+/**
+ * Creates a retry policy, filling in any missing settings.
+ * @param {object} [options] - Settings for the policy.
+ * @param {number} [options.maxAttempts] - The maximum number of attempts, including the first. 1 disables retries.
+ * @param {number} [options.initialDelay] - The delay before the first retry, in milliseconds.
+ * @param {number} [options.maxDelay] - The maximum delay between attempts, in milliseconds.
+ * @param {number} [options.factor] - The multiplier applied to the delay after each attempt.
+ * @param {number} [options.jitter] - The fraction of each delay, between 0 and 1, that is randomized.
+ * @param {function[]} [options.retryableErrors] - Error classes that should be retried.
+ * @param {function[]} [options.nonRetryableErrors] - Error classes that should never be retried. Takes precedence over retryableErrors.
+ * @param {object} [base] - A policy to inherit unspecified settings from. Defaults to the default policy.
+ * @returns {object}
+ */
+function createPolicy(options = {}, base) {
+  if (!_.isPlainObject(options)) {
+    throw new TypeError('"options" should be an object.');
+  }
+  ["maxAttempts", "initialDelay", "maxDelay", "factor"].forEach((key) => {
+    if (!_.isUndefined(options[key]) && (!_.isNumber(options[key]) || options[key] < 0)) {
+      throw new TypeError(`"options.${key}" should be a non-negative number.`);
+    }
+  });
+  if (!_.isUndefined(options.maxAttempts) && options.maxAttempts < 1) {
+    throw new TypeError('"options.maxAttempts" should be at least 1.');
+  }
+  if (
+    !_.isUndefined(options.jitter) &&
+    (!_.isNumber(options.jitter) || options.jitter < 0 || options.jitter > 1)
+  ) {
+    throw new TypeError('"options.jitter" should be a number between 0 and 1.');
+  }
+  ["retryableErrors", "nonRetryableErrors"].forEach((key) => {
+    if (!_.isUndefined(options[key]) && !_.every(_.castArray(options[key]), _.isFunction)) {
+      throw new TypeError(`"options.${key}" should be an array of error classes.`);
+    }
+  });
+
+  return {
+    retryableErrors: RETRYABLE_ERRORS,
+    nonRetryableErrors: NON_RETRYABLE_ERRORS,
+    ...(base || defaults.retry),
+    ..._.omitBy(options, _.isUndefined),
+  };
+}
+
+/**
+ * Checks whether a policy allows an error to be retried.
+ * @param {object} policy - The retry policy.
+ * @param {Error} err - The error to check.
+ * @returns {boolean}
+ */
+function isRetryable(policy, err) {
+  const isInstance = (ErrorClass) => err instanceof ErrorClass;
+  return (
+    !_.some(_.castArray(policy.nonRetryableErrors), isInstance) &&
+    _.some(_.castArray(policy.retryableErrors), isInstance)
+  );
+}
+
+/**
+ * Calculates the delay before an attempt.
+ * @param {object} policy - The retry policy.
+ * @param {number} attempt - The number of the attempt about to be made, starting at 2 for the first retry.
+ * @returns {number} The delay, in milliseconds.
+ */
+function getDelay(policy, attempt) {
+  const delay = Math.min(policy.maxDelay, policy.initialDelay * policy.factor ** (attempt - 2));
+  return Math.round(delay * (1 - policy.jitter * Math.random()));
+}
+
+/**
+ * Runs an operation, retrying it according to a policy.
+ * @param {object} policy - The retry policy.
+ * @param {function} fn - The operation, called with the attempt number and returning a Promise.
+ * @param {function} [onRetry] - Called with `(err, attempt, delay)` before each retry.
+ * @returns {Promise} Resolves or rejects with the outcome of the final attempt.
+ */
+function run(policy, fn, onRetry) {
+  const attempt = (n) =>
+    Promise.try(() => fn(n)).catch((err) => {
+      if (n >= policy.maxAttempts || !isRetryable(policy, err)) {
+        throw err;
+      }
+
+      const delay = getDelay(policy, n + 1);
+      if (onRetry) {
+        onRetry(err, n + 1, delay);
+      }
+      return Promise.delay(delay).then(() => attempt(n + 1));
+    });
+
+  return attempt(1);
+}
+
+module.exports = {
+  RETRYABLE_ERRORS,
+  NON_RETRYABLE_ERRORS,
+  createPolicy,
+  isRetryable,
+  getDelay,
+  run,
+};
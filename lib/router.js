@@ -0,0 +1,225 @@
+/**
+ * Module for matching routing keys against listener patterns.
+ *
+ * Routing keys are made up of segments separated by dots. Patterns support the
+ * AMQP-style wildcards `*`, matching exactly one segment, and `#`, matching zero or
+ * more segments, as well as named parameters such as `:id`, which match exactly one
+ * segment and capture its value.
+ * @module lib/router
+ */
+
+const _ = require("lodash");
+
+/**
+ * Ranks used to compare the specificity of pattern segments. Higher is more specific.
+ * @private
+ */
+const RANKS = {
+  literal: 3,
+  param: 2,
+  word: 2,
+  multi: 1,
+};
+
+/**
+ * Parses a routing key pattern.
+ * @param {string} pattern - The pattern to parse.
+ * @returns {object} The parsed pattern, with its `segments` and their `ranks`.
+ */
+function parse(pattern) {
+  if (!_.isString(pattern)) {
+    throw new TypeError('"pattern" should be a string.');
+  }
+
+  const segments = pattern.split(".").map((value) => {
+    if (value === "*") {
+      return { type: "word" };
+    }
+    if (value === "#") {
+      return { type: "multi" };
+    }
+    if (value.length > 1 && value[0] === ":") {
+      return { type: "param", name: value.slice(1) };
+    }
+    return { type: "literal", value };
+  });
+
+  return {
+    pattern,
+    segments,
+    ranks: segments.map((segment) => RANKS[segment.type]),
+  };
+}
+
+/**
+ * Matches the segments of a routing key against the segments of a parsed pattern.
+ * @param {object[]} segments - The remaining pattern segments.
+ * @param {string[]} words - The remaining routing key segments.
+ * @param {object} params - The parameters captured so far.
+ * @returns {object|null}
+ * @private
+ */
+function matchSegments(segments, words, params) {
+  if (segments.length === 0) {
+    return words.length === 0 ? params : null;
+  }
+
+  const [segment, ...rest] = segments;
+  if (segment.type === "multi") {
+    for (let i = 0; i <= words.length; i += 1) {
+      const result = matchSegments(rest, words.slice(i), params);
+      if (result) {
+        return result;
+      }
+    }
+    return null;
+  }
+
+  if (words.length === 0) {
+    return null;
+  }
+
+  const [word, ...remaining] = words;
+  if (segment.type === "literal") {
+    return segment.value === word ? matchSegments(rest, remaining, params) : null;
+  }
+  if (segment.type === "param") {
+    return matchSegments(rest, remaining, { ...params, [segment.name]: word });
+  }
+  return matchSegments(rest, remaining, params);
+}
+
+/**
+ * Matches a routing key against a pattern.
+ * @param {string|object} pattern - The pattern, either as a string or as returned by {@link module:lib/router.parse}.
+ * @param {string} routingKey - The routing key to match.
+ * @returns {object|null} The captured parameters if the routing key matches, otherwise null.
+ */
+function match(pattern, routingKey) {
+  if (!_.isString(routingKey)) {
+    throw new TypeError('"routingKey" should be a string.');
+  }
+  const parsed = _.isString(pattern) ? parse(pattern) : pattern;
+  return matchSegments(parsed.segments, routingKey.split("."), {});
+}
+
+/**
+ * Converts a pattern into its broker binding form, replacing named parameters with `*`.
+ * @param {string} pattern - The pattern to convert.
+ * @returns {string}
+ */
+function toTopic(pattern) {
+  return parse(pattern)
+    .segments.map((segment) => {
+      if (segment.type === "literal") {
+        return segment.value;
+      }
+      return segment.type === "multi" ? "#" : "*";
+    })
+    .join(".");
+}
+
+/**
+ * Compares the specificity of two parsed patterns. Segments are compared from left to right,
+ * with literal segments beating single-segment wildcards and parameters, which in turn beat `#`.
+ * @param {object} a - The first parsed pattern.
+ * @param {object} b - The second parsed pattern.
+ * @returns {number} A positive number if `a` is more specific, negative if `b` is, otherwise 0.
+ */
+function compareSpecificity(a, b) {
+  const length = Math.max(a.ranks.length, b.ranks.length);
+  for (let i = 0; i < length; i += 1) {
+    const diff = (a.ranks[i] || 0) - (b.ranks[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * A registry of values keyed by routing key pattern.
+ */
+class Router {
+  /**
+   * Constructor for the Router object.
+   */
+  constructor() {
+    /**
+     * The registered routes, in registration order.
+     * @type {object[]}
+     */
+    this.routes = [];
+  }
+
+  /**
+   * Registers a value for a pattern, replacing any value previously registered for it.
+   * @param {string} pattern - The routing key pattern.
+   * @param {*} value - The value to register.
+   */
+  add(pattern, value) {
+    const route = { ...parse(pattern), value };
+    const index = _.findIndex(this.routes, { pattern });
+    if (index === -1) {
+      this.routes.push(route);
+    } else {
+      this.routes[index] = route;
+    }
+  }
+
+  /**
+   * Removes the value registered for a pattern.
+   * @param {string} pattern - The routing key pattern.
+   * @returns {boolean} True if a value was removed.
+   */
+  remove(pattern) {
+    return _.remove(this.routes, { pattern }).length > 0;
+  }
+
+  /**
+   * Retrieves the value registered for a pattern.
+   * @param {string} pattern - The routing key pattern.
+   * @returns {*}
+   */
+  get(pattern) {
+    const route = _.find(this.routes, { pattern });
+    return route ? route.value : undefined;
+  }
+
+  /**
+   * Finds the most specific route matching a routing key. When several equally specific
+   * routes match, the first one registered wins.
+   * @param {string} routingKey - The routing key to match.
+   * @returns {object|undefined} The matching `pattern`, its captured `params` and registered `value`.
+   */
+  match(routingKey) {
+    let best;
+    this.routes.forEach((route) => {
+      const params = match(route, routingKey);
+      if (params && (!best || compareSpecificity(route, best.route) > 0)) {
+        best = { route, params };
+      }
+    });
+
+    if (!best) {
+      return undefined;
+    }
+    return { pattern: best.route.pattern, params: best.params, value: best.route.value };
+  }
+
+  /**
+   * Lists the registered patterns and values, in registration order.
+   * @returns {object[]}
+   */
+  list() {
+    return this.routes.map((route) => ({ pattern: route.pattern, value: route.value }));
+  }
+}
+
+module.exports = {
+  parse,
+  match,
+  toTopic,
+  compareSpecificity,
+  Router,
+};
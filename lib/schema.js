@@ -0,0 +1,244 @@
+/**
+ * Module for validating messages against JSON Schemas.
+ *
+ * Supports the commonly used JSON Schema keywords: `type`, `enum`, `const`, `properties`,
+ * `required`, `additionalProperties`, `minProperties`, `maxProperties`, `items`, `minItems`,
+ * `maxItems`, `uniqueItems`, `minLength`, `maxLength`, `pattern`, `minimum`, `maximum`,
+ * `exclusiveMinimum`, `exclusiveMaximum`, `multipleOf`, `allOf`, `anyOf`, `oneOf` and `not`.
+ * References (`$ref`) and formats are not supported.
+ * @module lib/schema
+ */
+
+const _ = require("lodash");
+const errors = require("./errors");
+
+/**
+ * Returns the JSON Schema type name of a value.
+ * @param {*} value - The value to check.
+ * @returns {string}
+ * @private
+ */
+function typeOf(value) {
+  if (_.isNull(value)) {
+    return "null";
+  }
+  if (_.isArray(value)) {
+    return "array";
+  }
+  if (_.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+/**
+ * Checks whether a value is of a JSON Schema type.
+ * @param {*} value - The value to check.
+ * @param {string} type - The JSON Schema type name.
+ * @returns {boolean}
+ * @private
+ */
+function isType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * Checks whether an object has its own property with a name. Unlike `_.has`, dotted names are
+ * not treated as paths.
+ * @param {object} object - The object to check.
+ * @param {string} key - The property name.
+ * @returns {boolean}
+ * @private
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Appends a segment to a JSON Pointer path.
+ * @param {string} path - The parent path.
+ * @param {string|number} segment - The segment to append.
+ * @returns {string}
+ * @private
+ */
+function childPath(path, segment) {
+  return `${path}/${String(segment).replace(/~/g, "~0").replace(/\//g, "~1")}`;
+}
+
+/**
+ * Checks whether a number is a multiple of another. Decimal divisors such as 0.01 cannot be
+ * represented exactly, so the quotient is compared with a small relative tolerance.
+ * @param {number} value - The value to check.
+ * @param {number} divisor - The number it should be a multiple of.
+ * @returns {boolean}
+ * @private
+ */
+function isMultipleOf(value, divisor) {
+  const quotient = value / divisor;
+  return Math.abs(quotient - Math.round(quotient)) <= 1e-9 * Math.max(1, Math.abs(quotient));
+}
+
+/**
+ * Validates a value against a schema, collecting any failures.
+ * @param {object|boolean} schema - The schema to validate against.
+ * @param {*} value - The value to validate.
+ * @param {string} path - The JSON Pointer path of the value.
+ * @param {object[]} failures - The list to append failures to.
+ * @private
+ */
+function check(schema, value, path, failures) {
+  const fail = (message) => failures.push({ path, message });
+  const passes = (subschema) => {
+    const subfailures = [];
+    check(subschema, value, path, subfailures);
+    return subfailures.length === 0;
+  };
+
+  if (schema === true) {
+    return;
+  }
+  if (schema === false) {
+    fail("should not be present");
+    return;
+  }
+
+  if (!_.isUndefined(schema.type)) {
+    const types = _.castArray(schema.type);
+    if (!_.some(types, (type) => isType(value, type))) {
+      fail(`should be of type ${types.join(" or ")}`);
+      return;
+    }
+  }
+  if (!_.isUndefined(schema.enum) && !_.some(schema.enum, (item) => _.isEqual(item, value))) {
+    fail("should be one of the allowed values");
+  }
+  if (!_.isUndefined(schema.const) && !_.isEqual(schema.const, value)) {
+    fail("should be equal to the constant value");
+  }
+
+  if (_.isString(value)) {
+    if (_.isNumber(schema.minLength) && value.length < schema.minLength) {
+      fail(`should have at least ${schema.minLength} characters`);
+    }
+    if (_.isNumber(schema.maxLength) && value.length > schema.maxLength) {
+      fail(`should have at most ${schema.maxLength} characters`);
+    }
+    if (_.isString(schema.pattern) && !new RegExp(schema.pattern).test(value)) {
+      fail(`should match pattern "${schema.pattern}"`);
+    }
+  }
+
+  if (_.isNumber(value)) {
+    if (_.isNumber(schema.minimum) && value < schema.minimum) {
+      fail(`should be >= ${schema.minimum}`);
+    }
+    if (_.isNumber(schema.maximum) && value > schema.maximum) {
+      fail(`should be <= ${schema.maximum}`);
+    }
+    if (_.isNumber(schema.exclusiveMinimum) && value <= schema.exclusiveMinimum) {
+      fail(`should be > ${schema.exclusiveMinimum}`);
+    }
+    if (_.isNumber(schema.exclusiveMaximum) && value >= schema.exclusiveMaximum) {
+      fail(`should be < ${schema.exclusiveMaximum}`);
+    }
+    if (_.isNumber(schema.multipleOf) && !isMultipleOf(value, schema.multipleOf)) {
+      fail(`should be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (_.isArray(value)) {
+    if (_.isNumber(schema.minItems) && value.length < schema.minItems) {
+      fail(`should have at least ${schema.minItems} items`);
+    }
+    if (_.isNumber(schema.maxItems) && value.length > schema.maxItems) {
+      fail(`should have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && _.uniqWith(value, _.isEqual).length !== value.length) {
+      fail("should not contain duplicate items");
+    }
+    if (_.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, i) => {
+        if (i < value.length) {
+          check(itemSchema, value[i], childPath(path, i), failures);
+        }
+      });
+    } else if (!_.isUndefined(schema.items)) {
+      value.forEach((item, i) => check(schema.items, item, childPath(path, i), failures));
+    }
+  }
+
+  if (_.isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (_.isNumber(schema.minProperties) && keys.length < schema.minProperties) {
+      fail(`should have at least ${schema.minProperties} properties`);
+    }
+    if (_.isNumber(schema.maxProperties) && keys.length > schema.maxProperties) {
+      fail(`should have at most ${schema.maxProperties} properties`);
+    }
+    _.forEach(schema.required, (key) => {
+      if (!hasOwn(value, key)) {
+        failures.push({ path: childPath(path, key), message: "is required" });
+      }
+    });
+
+    const properties = schema.properties || {};
+    keys.forEach((key) => {
+      if (hasOwn(properties, key)) {
+        check(properties[key], value[key], childPath(path, key), failures);
+      } else if (schema.additionalProperties === false) {
+        failures.push({ path: childPath(path, key), message: "is not an allowed property" });
+      } else if (_.isPlainObject(schema.additionalProperties)) {
+        check(schema.additionalProperties, value[key], childPath(path, key), failures);
+      }
+    });
+  }
+
+  _.forEach(schema.allOf, (subschema) => check(subschema, value, path, failures));
+  if (_.isArray(schema.anyOf) && !_.some(schema.anyOf, passes)) {
+    fail("should match at least one schema in anyOf");
+  }
+  if (_.isArray(schema.oneOf) && _.filter(schema.oneOf, passes).length !== 1) {
+    fail("should match exactly one schema in oneOf");
+  }
+  if (!_.isUndefined(schema.not) && passes(schema.not)) {
+    fail("should not match the schema in not");
+  }
+}
+
+/**
+ * Validates a value against a JSON Schema.
+ * @param {object|boolean} schema - The schema to validate against.
+ * @param {*} value - The value to validate.
+ * @returns {object[]} The failures found, each with the JSON Pointer `path` of the failing value and a `message`. Empty if the value is valid.
+ */
+function validate(schema, value) {
+  if (!_.isPlainObject(schema) && !_.isBoolean(schema)) {
+    throw new TypeError('"schema" should be an object.');
+  }
+
+  const failures = [];
+  check(schema, value, "", failures);
+  return failures;
+}
+
+/**
+ * Validates a message against a JSON Schema, throwing if it is invalid.
+ * @param {object|boolean} schema - The schema to validate against.
+ * @param {*} message - The message to validate.
+ * @param {string} routingKey - The routing key of the message, used in the error message.
+ * @throws {module:lib/errors~InvalidMessageError} The `response.errors` of the error lists the failures.
+ */
+function assertValid(schema, message, routingKey) {
+  const failures = validate(schema, message);
+  if (failures.length > 0) {
+    throw new errors.InvalidMessageError(`Message for "${routingKey}" failed schema validation.`, {
+      errors: failures,
+    });
+  }
+}
+
+module.exports = {
+  validate,
+  assertValid,
+};
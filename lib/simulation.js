@@ -0,0 +1,62 @@
+/**
+ * Module for simulating connectivity changes on in-process transports, for tests.
+ * @module lib/simulation
+ */
+
+const errors = require("./errors");
+
+/**
+ * Extends a transport class with methods that simulate losing and regaining connectivity. The
+ * class should track whether it is connected in a `connected` property.
+ * @param {function} Base - The transport class to extend.
+ * @returns {function} The extended class.
+ */
+function withSimulation(Base) {
+  return class extends Base {
+    /**
+     * Simulates an unexpected loss of connectivity.
+     * @fires disconnected
+     */
+    simulateDisconnect() {
+      if (this.connected) {
+        this.connected = false;
+        this.emit("disconnected");
+      }
+    }
+
+    /**
+     * Simulates the transport re-establishing connectivity.
+     * @fires reconnected
+     */
+    simulateReconnect() {
+      if (!this.connected) {
+        this.connected = true;
+        this.emit("reconnected");
+      }
+    }
+
+    /**
+     * Simulates a fatal transport error.
+     * @param {Error} [err] - The error to emit. Defaults to a TransportDisconnectedError.
+     * @fires error
+     */
+    simulateError(err) {
+      this.connected = false;
+      this.emit("error", err || new errors.TransportDisconnectedError("Unable to reconnect."));
+    }
+
+    /**
+     * Throws if the transport is not connected.
+     * @private
+     */
+    assertConnected() {
+      if (!this.connected) {
+        throw new errors.TransportDisconnectedError("The transport is not connected.");
+      }
+    }
+  };
+}
+
+module.exports = {
+  withSimulation,
+};
@@ -0,0 +1,238 @@
+/**
+ * Module for propagating W3C Trace Context (traceparent and tracestate) and baggage headers.
+ *
+ * The correlationId of a message and its trace id are the same identifier in two formats:
+ * a correlationId in uuid format is used as the trace id with its dashes removed, and messages
+ * continuing a trace without a correlationId of their own are given the trace id in uuid format.
+ * @module lib/tracing
+ */
+
+const crypto = require("crypto");
+const _ = require("lodash");
+
+/**
+ * Matches a traceparent header, capturing the version, trace id, parent span id and flags.
+ * @private
+ */
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+/**
+ * Matches a correlationId in uuid format.
+ * @private
+ */
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Matches ids made up entirely of zeros, which are invalid.
+ * @private
+ */
+const ZEROS = /^0+$/;
+
+/**
+ * The span kinds used for each type of call.
+ * @type {object}
+ */
+const KINDS = {
+  publish: "producer",
+  request: "client",
+  inbound: "consumer",
+};
+
+/**
+ * Generates a random id.
+ * @param {number} bytes - The length of the id, in bytes.
+ * @returns {string} The id, in lowercase hex.
+ * @private
+ */
+function generateId(bytes) {
+  const id = crypto.randomBytes(bytes).toString("hex");
+  return ZEROS.test(id) ? generateId(bytes) : id;
+}
+
+/**
+ * Parses a traceparent header.
+ * @param {string} header - The header value.
+ * @returns {object|null} The `version`, `traceId`, parent `spanId` and `flags`, or null if the header is invalid.
+ */
+function parseTraceparent(header) {
+  const match = _.isString(header) && TRACEPARENT.exec(header.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, version, traceId, spanId, flags, rest] = match;
+  if (version === "ff" || (version === "00" && rest) || ZEROS.test(traceId) || ZEROS.test(spanId)) {
+    return null;
+  }
+  return { version, traceId, spanId, flags };
+}
+
+/**
+ * Formats a span context as a traceparent header.
+ * @param {object} span - The span context, with a `traceId`, `spanId` and `flags`.
+ * @returns {string}
+ */
+function formatTraceparent(span) {
+  return `00-${span.traceId}-${span.spanId}-${span.flags}`;
+}
+
+/**
+ * Parses a baggage header into an object. Entry properties are discarded.
+ * @param {string} [header] - The header value.
+ * @returns {object} The baggage values, keyed by name.
+ */
+function parseBaggage(header) {
+  const baggage = {};
+  if (!_.isString(header)) {
+    return baggage;
+  }
+
+  header.split(",").forEach((member) => {
+    const [pair] = member.split(";");
+    const index = pair.indexOf("=");
+    const key = pair.slice(0, Math.max(index, 0)).trim();
+    if (key) {
+      try {
+        baggage[key] = decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (err) {
+        // Skip values that are not valid percent-encoded strings.
+      }
+    }
+  });
+  return baggage;
+}
+
+/**
+ * Formats baggage values as a baggage header.
+ * @param {object} baggage - The baggage values, keyed by name.
+ * @returns {string}
+ */
+function formatBaggage(baggage) {
+  return _.map(baggage, (value, key) => `${key}=${encodeURIComponent(value)}`).join(",");
+}
+
+/**
+ * Converts a trace id into a correlationId in uuid format.
+ * @param {string} traceId - The trace id.
+ * @returns {string}
+ */
+function toCorrelationId(traceId) {
+  return [
+    traceId.slice(0, 8),
+    traceId.slice(8, 12),
+    traceId.slice(12, 16),
+    traceId.slice(16, 20),
+    traceId.slice(20),
+  ].join("-");
+}
+
+/**
+ * Converts a correlationId into a trace id, if it is in uuid format.
+ * @param {string} [correlationId] - The correlationId.
+ * @returns {string|null} The trace id, or null if the correlationId cannot be used as one.
+ */
+function fromCorrelationId(correlationId) {
+  if (!_.isString(correlationId) || !UUID.test(correlationId)) {
+    return null;
+  }
+  const traceId = correlationId.replace(/-/g, "").toLowerCase();
+  return ZEROS.test(traceId) ? null : traceId;
+}
+
+/**
+ * Extracts the parent span context from received trace headers.
+ * @param {object} [headers] - The received `traceparent`, `tracestate` and `baggage` headers.
+ * @returns {object|null} The `traceId`, `spanId`, `flags`, `tracestate` and `baggage` of the parent, or null if there is no valid traceparent.
+ */
+function fromHeaders(headers) {
+  const parent = parseTraceparent(_.get(headers, "traceparent"));
+  if (!parent) {
+    return null;
+  }
+  return {
+    traceId: parent.traceId,
+    spanId: parent.spanId,
+    flags: parent.flags,
+    tracestate: _.isString(headers.tracestate) ? headers.tracestate : undefined,
+    baggage: parseBaggage(headers.baggage),
+  };
+}
+
+/**
+ * Converts a span context into the headers that propagate it.
+ * @param {object} span - The span context.
+ * @returns {object} The `traceparent`, and if set, `tracestate` and `baggage` headers.
+ */
+function toHeaders(span) {
+  const headers = { traceparent: formatTraceparent(span) };
+  if (span.tracestate) {
+    headers.tracestate = span.tracestate;
+  }
+  if (!_.isEmpty(span.baggage)) {
+    headers.baggage = formatBaggage(span.baggage);
+  }
+  return headers;
+}
+
+/**
+ * Creates a span, continuing the trace of its parent if it has one. Without a parent, the trace
+ * id is derived from the correlationId, or generated if the correlationId is not in uuid format.
+ * @param {object} options - Settings for the span.
+ * @param {string} options.name - The name of the span, usually the routing key or topic.
+ * @param {string} options.kind - The kind of span, one of the {@link module:lib/tracing.KINDS} values.
+ * @param {string} options.correlationId - The correlationId of the message.
+ * @param {object} [options.parent] - The parent span context.
+ * @param {object} [options.baggage] - Baggage values added to those of the parent.
+ * @returns {object} The span, with its `name`, `kind`, `traceId`, `spanId`, `parentSpanId`,
+ * `flags`, `tracestate`, `baggage` and `correlationId`, plus the `startTime`, `endTime`,
+ * `duration` and `error` filled in as it runs.
+ */
+function createSpan(options) {
+  const { parent } = options;
+  return {
+    name: options.name,
+    kind: options.kind,
+    traceId: parent ? parent.traceId : fromCorrelationId(options.correlationId) || generateId(16),
+    spanId: generateId(8),
+    parentSpanId: parent ? parent.spanId : null,
+    flags: parent ? parent.flags : "01",
+    tracestate: parent ? parent.tracestate : undefined,
+    baggage: { ...(parent && parent.baggage), ...options.baggage },
+    correlationId: options.correlationId,
+    startTime: null,
+    endTime: null,
+    duration: null,
+    error: null,
+  };
+}
+
+/**
+ * Checks whether a value can be used as a parent span context.
+ * @param {*} span - The value to check.
+ * @returns {boolean}
+ */
+function isSpanContext(span) {
+  return (
+    _.isObject(span) &&
+    _.isString(span.traceId) &&
+    /^[0-9a-f]{32}$/.test(span.traceId) &&
+    _.isString(span.spanId) &&
+    /^[0-9a-f]{16}$/.test(span.spanId) &&
+    _.isString(span.flags) &&
+    /^[0-9a-f]{2}$/.test(span.flags)
+  );
+}
+
+module.exports = {
+  KINDS,
+  parseTraceparent,
+  formatTraceparent,
+  parseBaggage,
+  formatBaggage,
+  toCorrelationId,
+  fromCorrelationId,
+  fromHeaders,
+  toHeaders,
+  createSpan,
+  isSpanContext,
+};
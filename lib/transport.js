@@ -10,23 +10,188 @@ const Promise = require("bluebird");
 const _ = require("lodash");
 const uuidv4 = require("uuid/v4");
 const defaults = require("../defaults");
+const { CircuitBreaker, STATES } = require("./circuit-breaker");
+const codecs = require("./codecs");
+const messageContext = require("./context");
+const { DeadLetterQueue } = require("./dead-letter");
+const { Deduplicator } = require("./dedup");
+const envelope = require("./envelope");
+const errors = require("./errors");
+const { Limiter } = require("./limiter");
+const metrics = require("./metrics");
+const middleware = require("./middleware");
+const { Outbox } = require("./outbox");
+const retry = require("./retry");
+const router = require("./router");
+const schema = require("./schema");
+const tracing = require("./tracing");
+
+/**
+ * The events fired when a circuit breaker enters each state.
+ * @private
+ */
+const STATE_EVENTS = {
+  [STATES.OPEN]: "circuitOpened",
+  [STATES.HALF_OPEN]: "circuitHalfOpened",
+  [STATES.CLOSED]: "circuitClosed",
+};
+
+/**
+ * The modes of delivering outbound messages to listeners registered on the same transport.
+ * @private
+ */
+const LOCAL_DELIVERY_MODES = ["broker", "local", "both"];
+
+/**
+ * What to do with publishes while the transport is reconnecting.
+ * @private
+ */
+const WHILE_DOWN_MODES = ["buffer", "reject"];
+
+/**
+ * Creates the settings of the reconnect supervisor, filling in any missing settings.
+ * @param {object} options - The reconnect options passed to the transport.
+ * @returns {object} The backoff `policy`, and the `whileDown` and `maxBuffered` settings.
+ * @private
+ */
+function createReconnectSettings(options) {
+  const { whileDown, maxBuffered, ...backoff } = options;
+  if (!_.isUndefined(whileDown) && !_.includes(WHILE_DOWN_MODES, whileDown)) {
+    throw new TypeError('"options.reconnect.whileDown" should be "buffer" or "reject".');
+  }
+  if (!_.isUndefined(maxBuffered) && !(_.isInteger(maxBuffered) && maxBuffered >= 0)) {
+    throw new TypeError('"options.reconnect.maxBuffered" should be a non-negative integer.');
+  }
+
+  return {
+    policy: retry.createPolicy(
+      backoff,
+      _.pick(defaults.reconnect, ["maxAttempts", "initialDelay", "maxDelay", "factor", "jitter"])
+    ),
+    whileDown: whileDown || defaults.reconnect.whileDown,
+    maxBuffered: _.isUndefined(maxBuffered) ? defaults.reconnect.maxBuffered : maxBuffered,
+  };
+}
+
+/**
+ * The publishing options kept with messages held in the outbox.
+ * @private
+ */
+const OUTBOX_OPTIONS = [
+  "correlationId",
+  "initiator",
+  "messageId",
+  "headers",
+  "contentType",
+  "contentEncoding",
+  "compressionThreshold",
+];
+
+/**
+ * The headers that propagate the trace context, which are set from the span of each message
+ * rather than inherited.
+ * @private
+ */
+const TRACE_HEADERS = ["traceparent", "tracestate", "baggage"];
+
+/**
+ * The connection states of a transport.
+ * @private
+ */
+const CONNECTION_STATES = Object.freeze({
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  LISTENING: "listening",
+  RECONNECTING: "reconnecting",
+  DRAINING: "draining",
+  CLOSED: "closed",
+  FAILED: "failed",
+});
 
 /**
  * Base class of all transports.
  *
  * Calling code should be prepared to handle the "error" event, generated when
  * the transport cannot re-establish connectivity to a service it needs. This case
- * should be treated as a fatal error.
+ * should be treated as a fatal error. Concrete transports may reconnect on their own, or
+ * leave it to the base class by reporting lost connectivity with the "disconnected" event
+ * and enabling the `reconnect` option.
  * @extends EventEmitter
  * @fires disconnected
  * @fires reconnected
+ * @fires retry
+ * @fires circuitOpened
+ * @fires circuitHalfOpened
+ * @fires circuitClosed
+ * @fires deadLetter
+ * @fires duplicate
+ * @fires queueFull
+ * @fires intakePaused
+ * @fires intakeResumed
+ * @fires spanStart
+ * @fires spanFinish
+ * @fires stateChange
+ * @fires outboxOverflow
+ * @fires outboxFlush
+ * @fires outboxFlushed
  * @fires error
  */
 class Transport extends EventEmitter {
+  /**
+   * The connection states a transport can be in, reported by
+   * {@link module:lib/transport~Transport#getHealth}:
+   * "closed" until it connects and after it disconnects, "connecting", "connected",
+   * "listening" once it is consuming messages, "reconnecting" after it lost connectivity,
+   * "draining" while it shuts down gracefully, and "failed" once it gave up reconnecting.
+   * @type {object}
+   */
+  static get STATES() {
+    return CONNECTION_STATES;
+  }
+
+  /**
+   * Returns the context of the message currently being handled by any transport. Available
+   * anywhere in the async call tree of a message handler, including loggers and nested calls.
+   * Publishes and requests made while handling a message inherit its correlationId, initiator,
+   * headers and trace context unless they are passed explicitly.
+   * @returns {object|undefined} The `transport`, `routingKey`, `pattern`, `topic`, `correlationId`,
+   * `initiator`, trace `span` and `headers` of the message, or undefined outside a handler. The
+   * headers are those received with the message, with the trace headers of its span.
+   */
+  static currentContext() {
+    return messageContext.current();
+  }
+
   /**
    * Constructor for the Transport object.
    * @param {object} [options] - Optional settings.
    * @param {number} [options.timingsResetInterval] - How frequently should the transport clear its timing metrics, in milliseconds.
+   * @param {number} [options.requestTimeout] - How long to wait for a response to a request, in milliseconds. Use 0 to wait indefinitely.
+   * @param {number} [options.drainDeadline] - How long {@link module:lib/transport~Transport#drain} waits for in-flight work by default, in milliseconds.
+   * @param {number[]} [options.metricsBuckets] - The upper bounds of the latency histogram buckets, in milliseconds.
+   * @param {number} [options.metricsMaxKeys] - The maximum number of topics or routing keys tracked in each metric group. See {@link module:lib/metrics~Metrics}.
+   * @param {number} [options.errorWindow] - How far back errors count as recent in {@link module:lib/transport~Transport#getHealth}, in milliseconds.
+   * @param {object} [options.retry] - The retry policy for publishes and requests. See {@link module:lib/retry.createPolicy}. Retries are disabled by default.
+   * @param {object|boolean} [options.deadLetter] - Enables dead-lettering of messages whose handlers keep failing. Dead-lettered messages are acknowledged: their handler resolves without a response. Pass true for the defaults, or settings for a {@link module:lib/dead-letter~DeadLetterQueue}.
+   * @param {object|boolean} [options.dedup] - Enables de-duplication of redelivered messages by message id. Pass true for the defaults, or settings for a {@link module:lib/dedup~Deduplicator}.
+   * @param {object|boolean} [options.reconnect] - Enables reconnecting automatically when the transport fires "disconnected". Pass true for the defaults, or an object with settings.
+   * @param {number} [options.reconnect.maxAttempts] - The maximum number of connection attempts before firing "error" with a TransportDisconnectedError.
+   * @param {number} [options.reconnect.initialDelay] - The delay before the second attempt, in milliseconds. The first attempt is made immediately.
+   * @param {number} [options.reconnect.maxDelay] - The maximum delay between attempts, in milliseconds.
+   * @param {number} [options.reconnect.factor] - The multiplier applied to the delay after each attempt.
+   * @param {number} [options.reconnect.jitter] - The fraction of each delay, between 0 and 1, that is randomized.
+   * @param {string} [options.reconnect.whileDown] - What to do with publishes while reconnecting: "buffer" them until the transport reconnects, or "reject" them with a TransportDisconnectedError.
+   * @param {number} [options.reconnect.maxBuffered] - The maximum number of buffered publishes. Further publishes are rejected with a QueueFullError.
+   * @param {object|boolean} [options.outbox] - Enables holding publishes made while the transport is disconnected in an outbox, and sending them once it reconnects. Takes precedence over the `whileDown` setting of the reconnect supervisor. Pass true for the defaults, or settings for a {@link module:lib/outbox~Outbox}, such as a `path` to spool messages to. The outbox logs to the transport's logger.
+   * @param {object|boolean} [options.circuitBreaker] - Enables a circuit breaker per routing key for requests. Pass true for the defaults, or settings for a {@link module:lib/circuit-breaker~CircuitBreaker}.
+   * @param {number} [options.maxConcurrency] - The maximum number of message handlers running at once across all listeners. Unlimited by default.
+   * @param {number} [options.maxQueueLength] - The maximum number of messages waiting for a handler slot. See {@link module:lib/limiter~Limiter}.
+   * @param {string} [options.overflow] - What to do when the queue is full: "reject" the message with a QueueFullError, or "pause" intake.
+   * @param {string} [options.localDelivery] - How publishes and requests reach listeners registered on this transport while it is listening: "broker" sends everything through the broker, "local" delivers in-process when a listener matches and sends other messages through the broker, and "both" also sends locally delivered publishes through the broker, for listeners in other services. In "both" mode this transport may receive the brokered copy as well; enable dedup to handle it once. Defaults to "broker".
+   * @param {string} [options.contentType] - The content type messages are encoded as, one registered with {@link module:lib/codecs}. Defaults to "application/json".
+   * @param {string} [options.contentEncoding] - The content encoding, such as "gzip" or "deflate", that large messages are compressed with. Messages are not compressed by default.
+   * @param {number} [options.compressionThreshold] - The encoded size in bytes from which messages are compressed.
+   * @param {number} [options.maxDecodedSize] - The largest size in bytes that received messages may decompress to. Larger messages are rejected with a CodecError.
    */
   constructor(options = {}) {
     super();
@@ -34,6 +199,77 @@ class Transport extends EventEmitter {
     if (!_.isUndefined(options.timingsResetInterval) && !_.isNumber(options.timingsResetInterval)) {
       throw new TypeError('"options.timingsResetInterval" should be a number.');
     }
+    if (!_.isUndefined(options.requestTimeout) && !_.isNumber(options.requestTimeout)) {
+      throw new TypeError('"options.requestTimeout" should be a number.');
+    }
+    if (
+      !_.isUndefined(options.drainDeadline) &&
+      (!_.isNumber(options.drainDeadline) || options.drainDeadline < 0)
+    ) {
+      throw new TypeError('"options.drainDeadline" should be a non-negative number.');
+    }
+    if (!_.isUndefined(options.retry) && !_.isPlainObject(options.retry)) {
+      throw new TypeError('"options.retry" should be an object.');
+    }
+    if (
+      !_.isUndefined(options.deadLetter) &&
+      !_.isBoolean(options.deadLetter) &&
+      !_.isPlainObject(options.deadLetter)
+    ) {
+      throw new TypeError('"options.deadLetter" should be an object or boolean.');
+    }
+    if (
+      !_.isUndefined(options.dedup) &&
+      !_.isBoolean(options.dedup) &&
+      !_.isPlainObject(options.dedup)
+    ) {
+      throw new TypeError('"options.dedup" should be an object or boolean.');
+    }
+    if (
+      !_.isUndefined(options.circuitBreaker) &&
+      !_.isBoolean(options.circuitBreaker) &&
+      !_.isPlainObject(options.circuitBreaker)
+    ) {
+      throw new TypeError('"options.circuitBreaker" should be an object or boolean.');
+    }
+    if (
+      !_.isUndefined(options.reconnect) &&
+      !_.isBoolean(options.reconnect) &&
+      !_.isPlainObject(options.reconnect)
+    ) {
+      throw new TypeError('"options.reconnect" should be an object or boolean.');
+    }
+    if (
+      !_.isUndefined(options.outbox) &&
+      !_.isBoolean(options.outbox) &&
+      !_.isPlainObject(options.outbox)
+    ) {
+      throw new TypeError('"options.outbox" should be an object or boolean.');
+    }
+    if (
+      !_.isUndefined(options.localDelivery) &&
+      !_.includes(LOCAL_DELIVERY_MODES, options.localDelivery)
+    ) {
+      throw new TypeError('"options.localDelivery" should be "broker", "local" or "both".');
+    }
+    if (!_.isUndefined(options.contentType) && !codecs.get(options.contentType)) {
+      throw new TypeError('"options.contentType" should be a registered content type.');
+    }
+    if (!_.isUndefined(options.contentEncoding) && !codecs.getEncoding(options.contentEncoding)) {
+      throw new TypeError('"options.contentEncoding" should be a registered content encoding.');
+    }
+    if (
+      !_.isUndefined(options.compressionThreshold) &&
+      (!_.isNumber(options.compressionThreshold) || options.compressionThreshold < 0)
+    ) {
+      throw new TypeError('"options.compressionThreshold" should be a non-negative number.');
+    }
+    if (
+      !_.isUndefined(options.maxDecodedSize) &&
+      !(_.isInteger(options.maxDecodedSize) && options.maxDecodedSize > 0)
+    ) {
+      throw new TypeError('"options.maxDecodedSize" should be a positive integer.');
+    }
 
     /**
      * A mapping of topics to timing metrics.
@@ -47,6 +283,18 @@ class Transport extends EventEmitter {
      */
     this.listening = false;
 
+    /**
+     * The connection state of the transport, one of {@link module:lib/transport~Transport.STATES}.
+     * @type {string}
+     */
+    this.state = CONNECTION_STATES.CLOSED;
+
+    /**
+     * When the transport entered its connection state.
+     * @type {number}
+     */
+    this.stateChangedAt = new Date().getTime();
+
     /**
      * How frequently should the transport clear its timing metrics, in milliseconds.
      * @type {number}
@@ -55,90 +303,977 @@ class Transport extends EventEmitter {
 
     this.timingsTimeout = null;
 
+    /**
+     * How long to wait for a response to a request, in milliseconds.
+     * @type {number}
+     */
+    this.requestTimeout = _.isUndefined(options.requestTimeout)
+      ? defaults.requestTimeout
+      : options.requestTimeout;
+
+    /**
+     * A mapping of request ids to requests that are still waiting for a response.
+     * @type {Map}
+     */
+    this.pendingRequests = new Map();
+
+    /**
+     * Message handlers that have been called and not yet settled, including those waiting for a concurrency slot.
+     * @type {Set}
+     */
+    this.inFlightHandlers = new Set();
+
+    /**
+     * How long to wait for in-flight work when draining, in milliseconds.
+     * @type {number}
+     */
+    this.drainDeadline = _.isUndefined(options.drainDeadline)
+      ? defaults.drainDeadline
+      : options.drainDeadline;
+
+    /**
+     * How publishes and requests reach listeners registered on this transport.
+     * @type {string}
+     */
+    this.localDelivery = options.localDelivery || defaults.localDelivery;
+
+    /**
+     * The drain in progress, if any.
+     * @type {Promise|null}
+     */
+    this.draining = null;
+
+    /**
+     * The default retry policy for publishes and requests.
+     * @type {object}
+     */
+    this.retryPolicy = retry.createPolicy(options.retry);
+
+    /**
+     * How publishes and requests encode their messages, unless overridden per call.
+     * @type {object}
+     */
+    this.codecSettings = {
+      contentType: options.contentType || defaults.codec.contentType,
+      contentEncoding: options.contentEncoding,
+      compressionThreshold: _.isUndefined(options.compressionThreshold)
+        ? defaults.codec.compressionThreshold
+        : options.compressionThreshold,
+    };
+
+    /**
+     * The largest size in bytes that received messages may decompress to.
+     * @type {number}
+     */
+    this.maxDecodedSize = options.maxDecodedSize || defaults.codec.maxDecodedSize;
+
+    /**
+     * Tracks handler failures and stores dead-lettered messages, if dead-lettering is enabled.
+     * @type {module:lib/dead-letter~DeadLetterQueue|null}
+     */
+    this.deadLetterQueue = options.deadLetter
+      ? new DeadLetterQueue(options.deadLetter === true ? {} : options.deadLetter)
+      : null;
+
+    /**
+     * Remembers handled messages so redelivered duplicates are not handled again, if de-duplication is enabled.
+     * @type {module:lib/dedup~Deduplicator|null}
+     */
+    this.deduplicator = options.dedup
+      ? new Deduplicator(options.dedup === true ? {} : options.dedup)
+      : null;
+
+    /**
+     * Settings for the per-routing-key circuit breakers, or null if they are disabled.
+     * @type {object|null}
+     */
+    this.circuitBreakerSettings = null;
+    if (options.circuitBreaker) {
+      this.circuitBreakerSettings = options.circuitBreaker === true ? {} : options.circuitBreaker;
+      CircuitBreaker.validateSettings(this.circuitBreakerSettings);
+    }
+
+    /**
+     * Settings for reconnecting automatically after losing connectivity, or null if it is disabled.
+     * @type {object|null}
+     */
+    this.reconnectSettings = options.reconnect
+      ? createReconnectSettings(options.reconnect === true ? {} : options.reconnect)
+      : null;
+
+    /**
+     * The reconnection in progress, if any.
+     * @type {object|null}
+     */
+    this.reconnection = null;
+
+    this.reconnectTimer = null;
+
+    /**
+     * Publishes waiting for the transport to reconnect, oldest first.
+     * @type {object[]}
+     */
+    this.publishBuffer = [];
+
+    /**
+     * Holds publishes made while the transport is disconnected, if the outbox is enabled.
+     * @type {module:lib/outbox~Outbox|null}
+     */
+    this.outbox = options.outbox
+      ? new Outbox({ logger: options.logger, ...(options.outbox === true ? {} : options.outbox) })
+      : null;
+
+    /**
+     * The circuit breakers for requests, keyed by routing key.
+     * @type {Map}
+     */
+    this.circuitBreakers = new Map();
+
+    /**
+     * Cumulative handler, publish and request metrics.
+     * @type {module:lib/metrics~Metrics}
+     */
+    this.metrics = new metrics.Metrics({
+      buckets: options.metricsBuckets || defaults.metricsBuckets,
+      errorWindow: options.errorWindow,
+      maxKeys: options.metricsMaxKeys,
+    });
+
+    /**
+     * Middleware run around every inbound message handler invocation.
+     * @type {function[]}
+     */
+    this.inboundMiddleware = [
+      middleware.tracing(),
+      middleware.dedup(),
+      middleware.deadLetter(),
+      middleware.errorLogging(),
+      middleware.timing(),
+    ];
+
+    /**
+     * Middleware run around every outbound publish and request.
+     * @type {function[]}
+     */
+    this.outboundMiddleware = [middleware.tracing(), middleware.outboundMetrics()];
+
+    /**
+     * The registered message listeners, keyed by routing key pattern.
+     * @type {module:lib/router~Router}
+     */
+    this.listenerRouter = new router.Router();
+
     this.logger = options.logger;
+
+    /**
+     * Limits how many message handlers run at once across all listeners, if configured.
+     * @type {module:lib/limiter~Limiter|null}
+     */
+    this.limiter = this.createLimiter(null, options);
   }
 
   /**
    * Connects the transport from to any services it needs to function.
+   * The connection is made by {@link module:lib/transport~Transport#openConnection}, and the
+   * transport reports itself connected once it succeeds, or closed again if it fails. While the
+   * reconnect supervisor is retrying, the transport stays reconnecting until an attempt succeeds.
    * @returns {Promise}
    */
   connect() {
+    const reconnecting = Boolean(this.reconnection);
+    if (!reconnecting) {
+      this.setState(CONNECTION_STATES.CONNECTING);
+    }
+    return Promise.try(() => this.openConnection()).then(
+      () => {
+        this.setState(this.listening ? CONNECTION_STATES.LISTENING : CONNECTION_STATES.CONNECTED);
+      },
+      (err) => {
+        if (!reconnecting) {
+          this.setState(CONNECTION_STATES.CLOSED);
+        }
+        throw err;
+      }
+    );
+  }
+
+  /**
+   * Connects to the services the transport needs. Concrete transports should override this
+   * rather than {@link module:lib/transport~Transport#connect}, which tracks the connection state.
+   * This base class implementation does nothing.
+   * @returns {Promise}
+   * @protected
+   */
+  openConnection() {
     return Promise.resolve();
   }
 
   /**
    * Disconnects the transport from any services it references.
+   * Any requests still waiting for a response, and publishes waiting for the transport to
+   * reconnect, are rejected with a TransportDisconnectedError.
    * @returns {Promise}
    */
   disconnect() {
     return new Promise((resolve) => {
       this.listening = false;
+      this.setState(CONNECTION_STATES.CLOSED);
       if (this.timingsTimeout) {
         clearTimeout(this.timingsTimeout);
       }
+      if (this.reconnection) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnection = null;
+        this.flushPublishBuffer(
+          new errors.TransportDisconnectedError(
+            "Transport disconnected before it was able to reconnect."
+          )
+        );
+      }
+      this.pendingRequests.forEach((pending, requestId) => {
+        this.settleRequest(
+          requestId,
+          new errors.TransportDisconnectedError(
+            `Transport disconnected before a response to "${pending.routingKey}" was received.`
+          )
+        );
+      });
       resolve();
     });
   }
 
   /**
-   * Processes a routing key into a format appropriate for the transport type.
-   * @param {string} routingKey - The routing key to convert.
-   * @returns {string}
+   * Gracefully shuts the transport down. Stops accepting new messages, waits for in-flight
+   * message handlers and pending requests to settle, then disconnects. Work still unsettled
+   * when the deadline passes is abandoned: handlers keep running but their outcome is ignored,
+   * and pending requests are rejected by {@link module:lib/transport~Transport#disconnect}.
+   * Messages received while draining are rejected with a TransportDisconnectedError.
+   * @param {object} [options] - Optional settings.
+   * @param {number} [options.deadline] - How long to wait for in-flight work, in milliseconds. Defaults to the transport's drainDeadline.
+   * @returns {Promise} Resolves to a report once the transport has disconnected, with whether
+   * everything `settled`, the `duration` of the drain in milliseconds, and the abandoned
+   * `handlers` and `requests`.
+   */
+  drain(options = {}) {
+    if (this.draining) {
+      return this.draining;
+    }
+
+    this.draining = new Promise((resolve) => {
+      if (
+        !_.isUndefined(options.deadline) &&
+        (!_.isNumber(options.deadline) || options.deadline < 0)
+      ) {
+        throw new TypeError('"options.deadline" should be a non-negative number.');
+      }
+
+      const deadline = _.isUndefined(options.deadline) ? this.drainDeadline : options.deadline;
+      const start = new Date().getTime();
+      this.listening = false;
+      this.setState(CONNECTION_STATES.DRAINING);
+
+      const work = [
+        ...Array.from(this.inFlightHandlers, (entry) => entry.promise),
+        ...Array.from(this.pendingRequests.values(), (pending) => pending.promise),
+      ];
+      resolve(
+        Promise.all(work.map((promise) => promise.reflect()))
+          .timeout(deadline)
+          .catch(Promise.TimeoutError, _.noop)
+          .then(() => {
+            const report = {
+              settled: this.inFlightHandlers.size === 0 && this.pendingRequests.size === 0,
+              duration: new Date().getTime() - start,
+              handlers: Array.from(this.inFlightHandlers, (entry) => _.omit(entry, "promise")),
+              requests: Array.from(this.pendingRequests.values(), (pending) =>
+                _.pick(pending, ["routingKey", "correlationId", "startedAt"])
+              ),
+            };
+            return this.disconnect().then(() => report);
+          })
+      );
+    }).finally(() => {
+      this.draining = null;
+    });
+    return this.draining;
+  }
+
+  /**
+   * Moves the transport to a connection state. Concrete transports with states the base class
+   * cannot observe may call this directly.
+   * @param {string} state - One of {@link module:lib/transport~Transport.STATES}.
+   * @fires stateChange
+   * @protected
+   */
+  setState(state) {
+    if (state === this.state) {
+      return;
+    }
+    const previousState = this.state;
+    this.state = state;
+    this.stateChangedAt = new Date().getTime();
+    this.emit("stateChange", { state, previousState });
+  }
+
+  /**
+   * Fires an event, first updating the connection state when concrete transports report a lost
+   * connection with "disconnected", a restored one with "reconnected", or a fatal "error".
+   * Losses and recoveries reported after the transport was closed are not state changes.
+   * Once the listeners of "reconnected" have run, the outbox is flushed, if it is enabled.
+   * @param {string} event - The name of the event.
+   * @param {...*} args - The arguments passed to the listeners.
+   * @returns {boolean} True if the event had listeners.
+   */
+  emit(event, ...args) {
+    const closed =
+      this.state === CONNECTION_STATES.CLOSED || this.state === CONNECTION_STATES.DRAINING;
+    if (event === "disconnected" && !closed) {
+      this.setState(CONNECTION_STATES.RECONNECTING);
+      if (this.reconnectSettings) {
+        this.superviseReconnect();
+      }
+    } else if (event === "reconnected" && !closed) {
+      this.setState(this.listening ? CONNECTION_STATES.LISTENING : CONNECTION_STATES.CONNECTED);
+    } else if (event === "error") {
+      this.setState(CONNECTION_STATES.FAILED);
+    }
+    const handled = super.emit(event, ...args);
+    if (event === "reconnected" && !closed && this.outbox) {
+      this.flushOutbox().catch((err) => {
+        if (this.logger && this.logger.error) {
+          this.logger.error(err);
+        }
+      });
+    }
+    return handled;
+  }
+
+  /**
+   * Reconnects the transport after it lost connectivity, retrying with backoff. Once connected,
+   * every registered listener is added again, so concrete transports can restore their broker
+   * bindings, listening resumes if it was active, "reconnected" is fired and buffered publishes
+   * are sent in order. If every attempt fails, buffered publishes are rejected and "error" is
+   * fired with a TransportDisconnectedError.
+   * @returns {Promise}
+   * @fires reconnected
+   * @fires error
+   * @private
+   */
+  superviseReconnect() {
+    if (this.reconnection) {
+      return this.reconnection.promise;
+    }
+
+    const { policy } = this.reconnectSettings;
+    const reconnection = { promise: null };
+    const active = () => this.reconnection === reconnection;
+    const resumeListening = this.listening;
+
+    const attempt = (n) => {
+      if (!active()) {
+        return Promise.resolve();
+      }
+      return Promise.try(() => this.connect()).catch((err) => {
+        if (n >= policy.maxAttempts || !active()) {
+          throw err;
+        }
+        this.setState(CONNECTION_STATES.RECONNECTING);
+        return new Promise((resolve) => {
+          this.reconnectTimer = setTimeout(resolve, retry.getDelay(policy, n + 1));
+        }).then(() => attempt(n + 1));
+      });
+    };
+
+    this.reconnection = reconnection;
+    // Start on a later tick, so the other "disconnected" listeners run first.
+    reconnection.promise = Promise.resolve()
+      .then(() => attempt(1))
+      .then(() => {
+        if (!active()) {
+          return undefined;
+        }
+        return Promise.mapSeries(this.listenerRouter.list(), ({ pattern, value }) =>
+          this.addMessageListener(pattern, value.callback, value.options)
+        )
+          .then(() => resumeListening && this.listen())
+          .then(() => {
+            this.reconnection = null;
+            this.emit("reconnected");
+            this.flushPublishBuffer();
+          });
+      })
+      .catch((err) => {
+        if (!active()) {
+          return;
+        }
+        this.reconnection = null;
+        const failure = new errors.TransportDisconnectedError(
+          `Unable to reconnect after ${policy.maxAttempts} attempt(s): ${err.message}`
+        );
+        this.flushPublishBuffer(failure);
+        // Fire outside the promise chain, so an unhandled "error" event crashes the process.
+        process.nextTick(() => this.emit("error", failure));
+      });
+    return reconnection.promise;
+  }
+
+  /**
+   * Waits until the transport is able to send messages. While it is reconnecting, publishes are
+   * buffered or rejected according to the reconnect settings. Once it has failed, they are
+   * rejected until it is connected again.
+   * @returns {Promise}
+   * @private
+   */
+  waitForConnection() {
+    if (this.state === CONNECTION_STATES.FAILED) {
+      return Promise.reject(new errors.TransportDisconnectedError("The transport has failed."));
+    }
+    if (!this.reconnection) {
+      return Promise.resolve();
+    }
+
+    const { whileDown, maxBuffered } = this.reconnectSettings;
+    if (whileDown === "reject") {
+      return Promise.reject(
+        new errors.TransportDisconnectedError("The transport is reconnecting.")
+      );
+    }
+    if (this.publishBuffer.length >= maxBuffered) {
+      return Promise.reject(
+        new errors.QueueFullError(
+          `Unable to buffer more than ${maxBuffered} publishes while the transport is reconnecting.`
+        )
+      );
+    }
+    return new Promise((resolve, reject) => {
+      this.publishBuffer.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Releases the publishes waiting for the transport to reconnect, in the order they were made.
+   * @param {Error} [err] - The error to reject them with, if the transport could not reconnect.
+   * @private
+   */
+  flushPublishBuffer(err) {
+    const waiting = this.publishBuffer;
+    this.publishBuffer = [];
+    waiting.forEach((entry) => (err ? entry.reject(err) : entry.resolve()));
+  }
+
+  /**
+   * Checks whether publishes should be held in the outbox: while the transport is disconnected,
+   * and while the outbox is being flushed, so later publishes do not overtake held ones.
+   * @returns {boolean}
+   * @private
+   */
+  shouldHoldPublishes() {
+    return Boolean(
+      this.outbox &&
+        (this.outbox.flushing || this.reconnection || this.state === CONNECTION_STATES.RECONNECTING)
+    );
+  }
+
+  /**
+   * Holds a publish in the outbox, with the options needed to send it later.
+   * @param {string} routingKey - The routing key to attach to the message.
+   * @param {object} [message] - The message data to publish.
+   * @param {object} options - The validated publishing options.
+   * @returns {Promise} Rejects with a QueueFullError if the outbox is full.
+   * @fires outboxOverflow
+   * @private
+   */
+  holdPublish(routingKey, message, options) {
+    const entry = {
+      routingKey,
+      message,
+      options: _.omitBy(_.pick(options, OUTBOX_OPTIONS), _.isUndefined),
+      heldAt: new Date().getTime(),
+    };
+    return this.outbox.add(entry).catch(errors.QueueFullError, (err) => {
+      this.emit("outboxOverflow", {
+        routingKey,
+        correlationId: options.correlationId,
+        maxEntries: this.outbox.maxEntries,
+      });
+      throw err;
+    });
+  }
+
+  /**
+   * Sends the publishes held in the outbox in the order they were made, with their original
+   * correlationId, initiator, message id and headers. This is done automatically when the
+   * transport fires "reconnected"; call it after connecting to send messages spooled to a file
+   * by a previous process.
+   * @returns {Promise} Resolves to a report, see {@link module:lib/outbox~Outbox#flush}.
+   * @fires outboxFlush
+   * @fires outboxFlushed
+   */
+  flushOutbox() {
+    return new Promise((resolve) => {
+      if (!this.outbox) {
+        throw new errors.NotImplementedError("The outbox is not enabled for this transport.");
+      }
+      resolve(
+        this.outbox.flush(
+          (entry) => this.sendPublish(entry.routingKey, entry.message, entry.options),
+          ({ entry, error, sent, failed }) => {
+            this.emit("outboxFlush", {
+              routingKey: entry.routingKey,
+              correlationId: entry.options.correlationId,
+              error,
+              sent,
+              failed,
+            });
+          }
+        )
+      );
+    }).then((report) => {
+      this.emit("outboxFlushed", report);
+      return report;
+    });
+  }
+
+  /**
+   * Reports the health of the transport, for liveness and readiness probes. The transport is
+   * live unless it has failed, and ready while it is connected or listening.
+   * @returns {object} The connection `state` and when it was entered (`stateChangedAt`),
+   * whether the transport is `live` and `ready`, when a message handler, publish or request last
+   * succeeded (`lastSuccessAt`) and how many milliseconds ago (`timeSinceLastSuccess`), both null
+   * if none has, the number of registered `listeners`, of `pendingRequests`, of
+   * `inFlightHandlers` and of `bufferedPublishes`, and the `recentErrors` by group, see {@link module:lib/metrics~Metrics#countRecentErrors}.
+   */
+  getHealth() {
+    const now = new Date().getTime();
+    const { lastSuccessAt } = this.metrics;
+    return {
+      state: this.state,
+      stateChangedAt: this.stateChangedAt,
+      live: this.state !== CONNECTION_STATES.FAILED,
+      ready:
+        this.state === CONNECTION_STATES.CONNECTED || this.state === CONNECTION_STATES.LISTENING,
+      lastSuccessAt,
+      timeSinceLastSuccess: lastSuccessAt === null ? null : now - lastSuccessAt,
+      listeners: this.listenerRouter.list().length,
+      pendingRequests: this.pendingRequests.size,
+      inFlightHandlers: this.inFlightHandlers.size,
+      bufferedPublishes: this.publishBuffer.length,
+      recentErrors: this.metrics.countRecentErrors(),
+    };
+  }
+
+  /**
+   * Processes a routing key into a format appropriate for the transport type.
+   * Named parameters in routing key patterns (e.g. `users.:id.updated`) are replaced with
+   * the `*` wildcard, so the result can be used to bind to AMQP-style brokers.
+   * @param {string} routingKey - The routing key to convert.
+   * @returns {string}
+   */
+  resolveTopic(routingKey) {
+    if (!_.isString(routingKey)) {
+      throw new TypeError('"routingKey" should be a string.');
+    }
+    return router.toTopic(routingKey);
+  }
+
+  /**
+   * Adds a middleware function to run around every inbound message handler invocation.
+   * Middleware run in the order they are added, after the built-in tracing, de-duplication, dead-letter, error logging and timing middleware.
+   *
+   * The context passed to inbound middleware contains the `routingKey` of the received message,
+   * the `pattern`, `topic` and `options` of the listener, the `params` captured from the routing key,
+   * the `message`, `messageId`, `correlationId`, `initiator` and `headers` of the received message, its trace `span`,
+   * a `state` object for sharing data between middleware, and the handler `result`.
+   * @param {function} fn - The middleware function, called with `(ctx, next)`.
+   * @returns {Transport}
+   */
+  use(fn) {
+    if (!_.isFunction(fn)) {
+      throw new TypeError('"fn" should be a function.');
+    }
+    this.inboundMiddleware.push(fn);
+    return this;
+  }
+
+  /**
+   * Adds a middleware function to run around every outbound publish and request.
+   * Middleware run in the order they are added, after the built-in tracing and metrics middleware.
+   *
+   * The context passed to outbound middleware contains the `type` of call ("publish" or "request"),
+   * the `routingKey`, `message`, `correlationId` and `initiator` to send, the trace `span` of the
+   * call, the publishing `options`, a `state` object for sharing data between middleware, and the
+   * `result` of the call.
+   * @param {function} fn - The middleware function, called with `(ctx, next)`.
+   * @returns {Transport}
+   */
+  useOutbound(fn) {
+    if (!_.isFunction(fn)) {
+      throw new TypeError('"fn" should be a function.');
+    }
+    this.outboundMiddleware.push(fn);
+    return this;
+  }
+
+  /**
+   * Adds a new message handler. The routing key may be a pattern containing `*` and `#` wildcards
+   * or named parameters such as `:id`; see {@link module:lib/router}.
+   *
+   * Resolves to a wrapped handler, which concrete transports should call with
+   * `(msg, correlationId, initiator, details)`, where `details.routingKey` is the routing key
+   * the message was actually received with, `details.messageId` is the id the message was sent
+   * with, and `details.headers` holds the received headers, including any `traceparent`,
+   * `tracestate` and `baggage` headers. Transports should carry messages in a
+   * {@link module:lib/envelope} so they interoperate. The callback is invoked with the same first
+   * three arguments, plus an object containing the `routingKey`, the listener `pattern`, the
+   * `params` captured from the routing key, the `messageId`, the received `headers`, and the trace
+   * `span` of the handler, which can be passed as the `parentSpan` of outbound calls to continue the trace.
+   * @param {string} routingKey - The routing key pattern of the messages to handle.
+   * @param {function} callback - The function to call when a new message is received.
+   * @param {object} [options] - Optional params for configuring the handler.
+   * @param {object} [options.schema] - A JSON Schema that received messages must match. Invalid messages are rejected with an InvalidMessageError before the callback is invoked.
+   * @param {object|boolean} [options.deadLetter] - False to disable dead-lettering for this listener, or an object with a `maxFailures` overriding the transport's setting.
+   * @param {boolean} [options.dedup] - False to disable de-duplication for this listener. While enabled, a message whose id was already handled is not passed to the callback again, and requests get the response of the first delivery.
+   * @param {number} [options.maxConcurrency] - The maximum number of messages handled by this listener at once. Applies in addition to the transport-wide limit.
+   * @param {number} [options.maxQueueLength] - The maximum number of messages waiting for this listener.
+   * @param {string} [options.overflow] - What to do when the queue is full: "reject" the message with a QueueFullError, or "pause" intake for this listener.
+   * @returns {Promise}
+   */
+  addMessageListener(routingKey, callback, options = {}) {
+    return new Promise((resolve) => {
+      if (!_.isString(routingKey)) {
+        throw new TypeError('"routingKey" should be a string.');
+      }
+      if (!_.isFunction(callback)) {
+        throw new TypeError('"callback" should be a function that returns a Promise.');
+      }
+      if (!_.isUndefined(options.schema) && !_.isPlainObject(options.schema)) {
+        throw new TypeError('"options.schema" should be an object.');
+      }
+      if (
+        !_.isUndefined(options.deadLetter) &&
+        options.deadLetter !== false &&
+        !_.isPlainObject(options.deadLetter)
+      ) {
+        throw new TypeError('"options.deadLetter" should be an object or false.');
+      }
+      if (!_.isUndefined(options.dedup) && options.dedup !== false) {
+        throw new TypeError('"options.dedup" should be false.');
+      }
+
+      const topic = this.resolveTopic(routingKey);
+      const pattern = router.parse(routingKey);
+      const limiter = this.createLimiter(routingKey, options);
+
+      const handler = (msg, correlationId, initiator, details = {}) => {
+        if (this.draining) {
+          return Promise.reject(
+            new errors.TransportDisconnectedError(
+              "The transport is draining and not accepting messages."
+            )
+          );
+        }
+
+        const received = details.routingKey || routingKey;
+        const ctx = {
+          direction: "inbound",
+          transport: this,
+          routingKey: received,
+          pattern: routingKey,
+          params: (details.routingKey && router.match(pattern, details.routingKey)) || {},
+          topic,
+          message: msg,
+          messageId: details.messageId,
+          correlationId,
+          initiator,
+          headers: details.headers || {},
+          options,
+          span: tracing.createSpan({
+            name: topic,
+            kind: tracing.KINDS.inbound,
+            correlationId,
+            parent: tracing.fromHeaders(details.headers),
+            baggage: tracing.parseBaggage(_.get(details.headers, "baggage")),
+          }),
+          state: {},
+          result: undefined,
+        };
+        const tracked = { topic, routingKey: received, correlationId, initiator };
+        const ambient = {
+          transport: this,
+          routingKey: received,
+          pattern: routingKey,
+          topic,
+          correlationId,
+          initiator,
+          span: ctx.span,
+          headers: { ..._.omit(ctx.headers, TRACE_HEADERS), ...tracing.toHeaders(ctx.span) },
+        };
+        return messageContext.run(ambient, () =>
+          this.trackHandler(tracked, () =>
+            this.runLimited(topic, [limiter, this.limiter], () =>
+              middleware.compose(this.inboundMiddleware)(ctx, () => {
+                if (options.schema) {
+                  schema.assertValid(options.schema, ctx.message, ctx.routingKey);
+                }
+                return callback(ctx.message, ctx.correlationId, ctx.initiator, {
+                  routingKey: ctx.routingKey,
+                  pattern: ctx.pattern,
+                  params: ctx.params,
+                  messageId: ctx.messageId,
+                  headers: ctx.headers,
+                  span: ctx.span,
+                });
+              })
+            )
+          )
+        );
+      };
+
+      this.listenerRouter.add(routingKey, { handler, callback, options, limiter });
+      resolve(handler);
+    });
+  }
+
+  /**
+   * Creates a concurrency limiter from listener or transport options, if they set a maxConcurrency.
+   * @param {string|null} pattern - The routing key pattern of the listener, or null for the transport-wide limiter.
+   * @param {object} options - The listener or transport options.
+   * @returns {module:lib/limiter~Limiter|null}
+   * @fires queueFull
+   * @fires intakePaused
+   * @fires intakeResumed
+   * @private
+   */
+  createLimiter(pattern, options) {
+    if (_.isUndefined(options.maxConcurrency)) {
+      if (!_.isUndefined(options.maxQueueLength) || !_.isUndefined(options.overflow)) {
+        throw new TypeError('"options.maxConcurrency" is required to limit the queue.');
+      }
+      return null;
+    }
+
+    return new Limiter({
+      maxConcurrency: options.maxConcurrency,
+      maxQueueLength: options.maxQueueLength,
+      overflow: options.overflow,
+      onOverflow: (queueLength) => this.emit("queueFull", { pattern, queueLength }),
+      onPause: (queueLength) => this.pauseIntake(pattern, queueLength),
+      onResume: (queueLength) => this.resumeIntake(pattern, queueLength),
+    });
+  }
+
+  /**
+   * Runs a message handler once the listener and transport-wide concurrency limits allow,
+   * counting it in the queued gauge of its topic while it waits.
+   * @param {string} topic - The topic of the listener.
+   * @param {Array} limiters - The limiters to pass through, outermost first. Null entries are skipped.
+   * @param {function} fn - Runs the handler and returns a Promise.
+   * @returns {Promise}
+   * @private
+   */
+  runLimited(topic, limiters, fn) {
+    const active = _.compact(limiters);
+    if (active.length === 0) {
+      return fn();
+    }
+
+    let queued = true;
+    const leaveQueue = () => {
+      if (queued) {
+        queued = false;
+        this.metrics.dequeue("handlers", topic);
+      }
+    };
+
+    this.metrics.enqueue("handlers", topic);
+    const limited = active.reduceRight(
+      (next, limiter) => () => limiter.run(next),
+      () => {
+        leaveQueue();
+        return fn();
+      }
+    );
+    return limited().catch((err) => {
+      leaveQueue();
+      throw err;
+    });
+  }
+
+  /**
+   * Tracks a message handler call until it settles, so it can be waited for when draining.
+   * @param {object} details - The `topic`, `routingKey`, `correlationId` and `initiator` of the message.
+   * @param {function} fn - Runs the handler and returns a Promise.
+   * @returns {Promise}
+   * @private
+   */
+  trackHandler(details, fn) {
+    const entry = { ...details, startedAt: new Date().getTime(), promise: null };
+    entry.promise = Promise.try(fn).finally(() => {
+      this.inFlightHandlers.delete(entry);
+    });
+    this.inFlightHandlers.add(entry);
+    return entry.promise;
+  }
+
+  /**
+   * Called when a queue of messages waiting for a handler is full and intake should stop.
+   * Concrete transports should override this to stop consuming from their broker, calling
+   * this base class implementation to fire the event.
+   * @param {string|null} pattern - The routing key pattern of the listener, or null if the transport-wide queue is full.
+   * @param {number} queueLength - The number of messages waiting.
+   * @fires intakePaused
+   * @protected
+   */
+  pauseIntake(pattern, queueLength) {
+    this.emit("intakePaused", { pattern, queueLength });
+  }
+
+  /**
+   * Called when a full queue of messages has drained enough for intake to resume.
+   * Concrete transports should override this to resume consuming from their broker, calling
+   * this base class implementation to fire the event.
+   * @param {string|null} pattern - The routing key pattern of the listener, or null for the transport-wide queue.
+   * @param {number} queueLength - The number of messages waiting.
+   * @fires intakeResumed
+   * @protected
+   */
+  resumeIntake(pattern, queueLength) {
+    this.emit("intakeResumed", { pattern, queueLength });
+  }
+
+  /**
+   * Checks whether intake of messages with a routing key is paused, because the queue of the
+   * listener that would handle them, or the transport-wide queue, is full.
+   * @param {string} routingKey - The routing key of a message.
+   * @returns {boolean}
+   */
+  isIntakePaused(routingKey) {
+    if (this.limiter && this.limiter.paused) {
+      return true;
+    }
+    const found = this.listenerRouter.match(routingKey);
+    return Boolean(found && found.value.limiter && found.value.limiter.paused);
+  }
+
+  /**
+   * Finds the registered listener that best matches a routing key. When several patterns match,
+   * the most specific one wins, comparing segments from left to right: literal segments beat
+   * `*` wildcards and named parameters, which beat `#` wildcards.
+   * @param {string} routingKey - The routing key of a received message.
+   * @returns {object|undefined} The matching listener's `pattern` and wrapped `handler`, and the captured `params`.
    */
-  resolveTopic(routingKey) {
+  matchListener(routingKey) {
     if (!_.isString(routingKey)) {
       throw new TypeError('"routingKey" should be a string.');
     }
-    return routingKey;
+
+    const found = this.listenerRouter.match(routingKey);
+    if (!found) {
+      return undefined;
+    }
+    return { pattern: found.pattern, params: found.params, handler: found.value.handler };
   }
 
   /**
-   * Adds a new message handler.
-   * @param {string} routingKey - The routing key of the message to handle.
-   * @param {function} callback - The function to call when a new message is received.
-   * @param {object} [options] - Optional params for configuring the handler.
-   * @returns {Promise}
+   * Dead-letters a message whose handler keeps failing. The entry is stored in the dead-letter
+   * sink and, if configured, published to the dead-letter routing key. Failures to store or
+   * publish the entry are logged rather than thrown.
+   * @param {object} details - The `routingKey`, `pattern`, `topic`, `message`, `correlationId` and `initiator` of the failed message.
+   * @param {Error} err - The error the handler last failed with.
+   * @param {number} attempts - How many times the handler failed.
+   * @returns {Promise} Resolves to the dead-letter entry.
+   * @fires deadLetter
+   * @private
    */
-  // eslint-disable-next-line no-unused-vars
-  addMessageListener(routingKey, callback, options = {}) {
-    return new Promise((resolve) => {
-      if (!_.isString(routingKey)) {
-        throw new TypeError('"routingKey" should be a string.');
-      }
-      if (!_.isFunction(callback)) {
-        throw new TypeError('"callback" should be a function that returns a Promise.');
-      }
-
-      const topic = this.resolveTopic(routingKey);
+  deadLetterMessage(details, err, attempts) {
+    const queue = this.deadLetterQueue;
+    const entry = {
+      id: uuidv4(),
+      routingKey: details.routingKey,
+      pattern: details.pattern,
+      topic: details.topic,
+      message: details.message,
+      correlationId: details.correlationId,
+      initiator: details.initiator,
+      attempts,
+      error: errors.toJSON(err),
+      deadLetteredAt: new Date().getTime(),
+    };
 
-      resolve((msg, correlationId, initiator) => {
-        const start = new Date().getTime();
-        return callback(msg, correlationId, initiator)
-          .then((res) => {
-            this.recordTiming(topic, start);
-            return res;
-          })
-          .catch((err) => {
-            this.recordTiming(topic, start);
+    return Promise.all([
+      queue.sink.add(entry),
+      queue.routingKey &&
+        this.publish(queue.routingKey, entry, {
+          correlationId: entry.correlationId,
+          initiator: entry.initiator,
+        }),
+    ])
+      .catch((failure) => {
+        if (this.logger && this.logger.error) {
+          this.logger.error(failure);
+        }
+      })
+      .then(() => {
+        this.emit("deadLetter", entry);
+        return entry;
+      });
+  }
 
-            // Add automatic logging of all errors unless specified.
-            if (this.logger && this.logger.error && !err.skipLog) {
-              this.logger.error(err);
-            }
+  /**
+   * Lists the dead-lettered messages held in the dead-letter sink.
+   * @returns {Promise} Resolves to the dead-letter entries, with the `error`, `attempts`, `correlationId` and `initiator` of each message.
+   */
+  getDeadLetters() {
+    return new Promise((resolve) => {
+      this.assertDeadLetterEnabled();
+      resolve(this.deadLetterQueue.sink.list());
+    });
+  }
 
-            throw err;
-          });
-      });
+  /**
+   * Publishes a dead-lettered message back to its original routing key, with its original
+   * correlationId and initiator, and removes it from the dead-letter sink.
+   * @param {string} id - The id of the dead-letter entry.
+   * @param {object} [options] - Optional publishing options, overriding those of the original message.
+   * @returns {Promise} Resolves to the correlationId of the replayed message.
+   */
+  replayDeadLetter(id, options = {}) {
+    return new Promise((resolve) => {
+      if (!_.isString(id)) {
+        throw new TypeError('"id" should be a string.');
+      }
+      this.assertDeadLetterEnabled();
+      resolve(this.deadLetterQueue.sink.get(id));
+    }).then((entry) => {
+      if (!entry) {
+        throw new errors.NotFoundError(`Dead-letter entry "${id}" does not exist.`, { id });
+      }
+      return this.publish(entry.routingKey, entry.message, {
+        correlationId: entry.correlationId,
+        initiator: entry.initiator,
+        ...options,
+      }).then((correlationId) => this.deadLetterQueue.sink.remove(id).then(() => correlationId));
     });
   }
 
+  /**
+   * Throws if dead-lettering is not enabled.
+   * @private
+   */
+  assertDeadLetterEnabled() {
+    if (!this.deadLetterQueue) {
+      throw new errors.NotImplementedError("Dead-lettering is not enabled for this transport.");
+    }
+  }
+
   /**
    * Logs timing data for message handlers.
    * @param {string} topic - The processed routing key of the message to time.
    * @param {number} start - The timestamp at which the message handler started processing.
+   * @param {Error} [err] - The error the message handler failed with, if any.
    * @private
    */
-  recordTiming(topic, start) {
+  recordTiming(topic, start, err) {
     if (!_.isString(topic)) {
       throw new TypeError('"topic" should be a string.');
     }
@@ -147,6 +1282,8 @@ class Transport extends EventEmitter {
     }
 
     const elapsed = new Date().getTime() - start;
+    this.metrics.observe("handlers", topic, elapsed, err);
+
     this.timings[topic] = this.timings[topic] || {
       messageCount: 0,
       elapsedTime: 0,
@@ -164,12 +1301,24 @@ class Transport extends EventEmitter {
     }
   }
 
+  /**
+   * Returns a snapshot of the transport's cumulative metrics. Unlike
+   * {@link module:lib/transport~Transport#timings}, these are never reset.
+   * @returns {object} See {@link module:lib/metrics~Metrics#snapshot}.
+   */
+  getMetrics() {
+    return this.metrics.snapshot();
+  }
+
   /**
    * Called periodically to reset handler timings to keep the data sample fresh.
    * @private
    */
   resetTimings() {
     this.timings = {};
+    if (this.timingsTimeout) {
+      clearTimeout(this.timingsTimeout);
+    }
     if (this.listening) {
       this.timingsTimeout = setTimeout(() => this.resetTimings(), this.timingsResetInterval);
     }
@@ -188,6 +1337,7 @@ class Transport extends EventEmitter {
 
       const topic = this.resolveTopic(routingKey);
       delete this.timings[topic];
+      this.listenerRouter.remove(routingKey);
 
       resolve();
     });
@@ -200,6 +1350,7 @@ class Transport extends EventEmitter {
   listen() {
     return new Promise((resolve) => {
       this.listening = true;
+      this.setState(CONNECTION_STATES.LISTENING);
       this.resetTimings();
       resolve();
     });
@@ -207,12 +1358,21 @@ class Transport extends EventEmitter {
 
   /**
    * Publishes a fire-and-forget message that is not expected to return a meaningful response.
-   * This base class implementation resolves to the correlationId of the message, either passed or generated.
+   * The message is passed through the outbound middleware and sent by
+   * {@link module:lib/transport~Transport#sendPublish}. Resolves to the correlationId of the message, either passed or generated.
    * @param {string} routingKey - The routing key to attach to the message.
    * @param {object} [message] - The message data to publish.
    * @param {object} [options] - Optional publishing options.
-   * @param {object} [options.correlationId] - Optional marker used for tracing requests through the system.
-   * @param {object} [options.initiator] - Optional marker used for identifying the user who generated the initial request.
+   * @param {object} [options.correlationId] - Optional marker used for tracing requests through the system. Defaults to that of the message being handled, the trace id of the parentSpan, or a new uuid, which also becomes the trace id.
+   * @param {object} [options.initiator] - Optional marker used for identifying the user who generated the initial request. Defaults to that of the message being handled.
+   * @param {string} [options.messageId] - The unique id of the message, which listeners with de-duplication use to recognize redeliveries. Defaults to a new uuid, shared by every attempt.
+   * @param {object} [options.parentSpan] - The span context to continue, such as the `span` passed to a message handler, or one read from headers with {@link module:lib/tracing.fromHeaders}. Defaults to the span of the message being handled.
+   * @param {object} [options.baggage] - Baggage values to propagate, added to those of the parentSpan.
+   * @param {object} [options.headers] - String headers to send with the message. The trace headers are set by the transport.
+   * @param {string} [options.contentType] - The content type to encode the message as. Defaults to that of the transport.
+   * @param {string} [options.contentEncoding] - The content encoding to compress the message with, if it reaches the compression threshold. Defaults to that of the transport.
+   * @param {object} [options.schema] - A JSON Schema the message must match. Invalid messages are rejected with an InvalidMessageError without being sent.
+   * @param {object|boolean} [options.retry] - Overrides settings of the transport's retry policy for this call, or false to disable retries. Every attempt uses the same correlationId.
    * @returns {Promise}
    */
   publish(routingKey, message, options = {}) {
@@ -226,24 +1386,79 @@ class Transport extends EventEmitter {
       if (!_.isUndefined(options.initiator) && !_.isString(options.initiator)) {
         throw new TypeError('"options.initiator" should be a string.');
       }
-
-      if (_.isUndefined(options.correlationId)) {
-        // eslint-disable-next-line no-param-reassign
-        options.correlationId = uuidv4();
+      if (!_.isUndefined(options.messageId) && !_.isString(options.messageId)) {
+        throw new TypeError('"options.messageId" should be a string.');
+      }
+      if (!_.isUndefined(options.parentSpan) && !tracing.isSpanContext(options.parentSpan)) {
+        throw new TypeError('"options.parentSpan" should be a span context.');
+      }
+      if (
+        !_.isUndefined(options.baggage) &&
+        (!_.isPlainObject(options.baggage) || !_.every(options.baggage, _.isString))
+      ) {
+        throw new TypeError('"options.baggage" should be an object of strings.');
+      }
+      if (!_.isUndefined(options.headers) && !envelope.isHeaders(options.headers)) {
+        throw new TypeError('"options.headers" should be an object of strings.');
+      }
+      if (!_.isUndefined(options.contentType) && !codecs.get(options.contentType)) {
+        throw new TypeError('"options.contentType" should be a registered content type.');
+      }
+      if (!_.isUndefined(options.contentEncoding) && !codecs.getEncoding(options.contentEncoding)) {
+        throw new TypeError('"options.contentEncoding" should be a registered content encoding.');
+      }
+      if (!_.isUndefined(options.schema) && !_.isPlainObject(options.schema)) {
+        throw new TypeError('"options.schema" should be an object.');
       }
 
-      resolve(options.correlationId);
+      const resolved = this.resolveOutboundOptions(options);
+      const policy = this.resolveRetryPolicy(resolved.retry);
+
+      resolve(
+        this.runOutbound("publish", routingKey, message, resolved, (key, msg, opts) =>
+          this.runWithRetries(policy, key, opts, () => this.dispatchPublish(key, msg, opts)).then(
+            () => opts.correlationId
+          )
+        )
+      );
     });
   }
 
+  /**
+   * Sends a fire-and-forget message. Concrete transports should override this rather than
+   * {@link module:lib/transport~Transport#publish}, which handles validation and middleware.
+   * This base class implementation does nothing.
+   * @param {string} routingKey - The routing key to attach to the message.
+   * @param {object} [message] - The message data to publish.
+   * @param {object} options - The validated publishing options, including the correlationId, messageId, headers and codec settings.
+   * @returns {Promise}
+   */
+  // eslint-disable-next-line no-unused-vars
+  sendPublish(routingKey, message, options) {
+    return Promise.resolve();
+  }
+
   /**
    * Publishes an RPC-style message that waits for a response.
-   * This base class implementation resolves to the correlationId of the message, either passed or generated.
+   * The message is passed through the outbound middleware and sent by
+   * {@link module:lib/transport~Transport#sendRequest}, and the base class tracks the request
+   * until its response arrives, it times out, or the transport disconnects. Responses that
+   * arrive after that are discarded.
    * @param {string} routingKey - The routing key to attach to the message.
    * @param {object} [message] - The message data to publish.
    * @param {object} [options] - Optional publishing options.
-   * @param {object} [options.correlationId] - Optional marker used for tracing requests through the system.
-   * @param {object} [options.initiator] - Optional marker used for identifying the user who generated the initial request.
+   * @param {object} [options.correlationId] - Optional marker used for tracing requests through the system. Defaults to that of the message being handled, the trace id of the parentSpan, or a new uuid, which also becomes the trace id.
+   * @param {object} [options.initiator] - Optional marker used for identifying the user who generated the initial request. Defaults to that of the message being handled.
+   * @param {string} [options.messageId] - The unique id of the message, which listeners with de-duplication use to recognize redeliveries. Defaults to a new uuid, shared by every attempt.
+   * @param {object} [options.parentSpan] - The span context to continue, such as the `span` passed to a message handler, or one read from headers with {@link module:lib/tracing.fromHeaders}. Defaults to the span of the message being handled.
+   * @param {object} [options.baggage] - Baggage values to propagate, added to those of the parentSpan.
+   * @param {object} [options.headers] - String headers to send with the message. The trace headers are set by the transport.
+   * @param {string} [options.contentType] - The content type to encode the message as. Defaults to that of the transport.
+   * @param {string} [options.contentEncoding] - The content encoding to compress the message with, if it reaches the compression threshold. Defaults to that of the transport.
+   * @param {number} [options.timeout] - How long to wait for a response, in milliseconds. Use 0 to wait indefinitely.
+   * @param {object} [options.schema] - A JSON Schema the message must match. Invalid messages are rejected with an InvalidMessageError without being sent.
+   * @param {object|boolean} [options.retry] - Overrides settings of the transport's retry policy for this call, or false to disable retries. Every attempt uses the same correlationId.
+   * @param {boolean} [options.circuitBreaker] - False to bypass the routing key's circuit breaker for this call. While the breaker is open, other requests are rejected with a CircuitOpenError without being sent.
    * @returns {Promise}
    */
   request(routingKey, message, options = {}) {
@@ -257,19 +1472,461 @@ class Transport extends EventEmitter {
       if (!_.isUndefined(options.initiator) && !_.isString(options.initiator)) {
         throw new TypeError('"options.initiator" should be a string.');
       }
+      if (!_.isUndefined(options.messageId) && !_.isString(options.messageId)) {
+        throw new TypeError('"options.messageId" should be a string.');
+      }
+      if (!_.isUndefined(options.parentSpan) && !tracing.isSpanContext(options.parentSpan)) {
+        throw new TypeError('"options.parentSpan" should be a span context.');
+      }
+      if (
+        !_.isUndefined(options.baggage) &&
+        (!_.isPlainObject(options.baggage) || !_.every(options.baggage, _.isString))
+      ) {
+        throw new TypeError('"options.baggage" should be an object of strings.');
+      }
+      if (!_.isUndefined(options.headers) && !envelope.isHeaders(options.headers)) {
+        throw new TypeError('"options.headers" should be an object of strings.');
+      }
+      if (!_.isUndefined(options.contentType) && !codecs.get(options.contentType)) {
+        throw new TypeError('"options.contentType" should be a registered content type.');
+      }
+      if (!_.isUndefined(options.contentEncoding) && !codecs.getEncoding(options.contentEncoding)) {
+        throw new TypeError('"options.contentEncoding" should be a registered content encoding.');
+      }
+      if (!_.isUndefined(options.schema) && !_.isPlainObject(options.schema)) {
+        throw new TypeError('"options.schema" should be an object.');
+      }
+      if (
+        !_.isUndefined(options.timeout) &&
+        (!_.isNumber(options.timeout) || options.timeout < 0)
+      ) {
+        throw new TypeError('"options.timeout" should be a non-negative number.');
+      }
+      if (!_.isUndefined(options.circuitBreaker) && options.circuitBreaker !== false) {
+        throw new TypeError('"options.circuitBreaker" should be false.');
+      }
+
+      const resolved = this.resolveOutboundOptions(options);
+      const policy = this.resolveRetryPolicy(resolved.retry);
+
+      resolve(
+        this.runOutbound("request", routingKey, message, resolved, (key, msg, opts) =>
+          this.runWithRetries(policy, key, opts, () =>
+            this.runWithCircuitBreaker(key, opts, () =>
+              this.trackRequest(key, opts, () => this.dispatchRequest(key, msg, opts))
+            )
+          )
+        )
+      );
+    });
+  }
+
+  /**
+   * Sends a request message and resolves to its response. Concrete transports should override
+   * this rather than {@link module:lib/transport~Transport#request}, which handles validation,
+   * middleware, timeouts and bookkeeping. This base class implementation resolves to the correlationId of the message.
+   * @param {string} routingKey - The routing key to attach to the message.
+   * @param {object} [message] - The message data to publish.
+   * @param {object} options - The validated publishing options, including the correlationId, messageId, headers and codec settings.
+   * @returns {Promise}
+   */
+  // eslint-disable-next-line no-unused-vars
+  sendRequest(routingKey, message, options) {
+    return Promise.resolve(options.correlationId);
+  }
+
+  /**
+   * Hands a publish to a local listener or to {@link module:lib/transport~Transport#sendPublish},
+   * according to the localDelivery mode. Locally delivered publishes resolve once dispatched,
+   * and errors thrown by the handler are not returned to the caller. Publishes sent through the
+   * broker while the transport is disconnected are held in the outbox if it is enabled, and
+   * otherwise buffered or rejected while the transport is reconnecting.
+   * @param {string} routingKey - The routing key to attach to the message.
+   * @param {object} [message] - The message data to publish.
+   * @param {object} options - The validated publishing options.
+   * @returns {Promise}
+   * @private
+   */
+  dispatchPublish(routingKey, message, options) {
+    const send = () =>
+      this.shouldHoldPublishes()
+        ? this.holdPublish(routingKey, message, options)
+        : this.waitForConnection().then(() => this.sendPublish(routingKey, message, options));
+    const listener = this.matchLocalListener(routingKey);
+    if (!listener) {
+      return send();
+    }
+
+    this.deliverLocally(listener, routingKey, message, options).catch(_.noop);
+    return this.localDelivery === "both" ? send() : Promise.resolve();
+  }
+
+  /**
+   * Hands a request to a local listener or to {@link module:lib/transport~Transport#sendRequest},
+   * according to the localDelivery mode.
+   * @param {string} routingKey - The routing key to attach to the message.
+   * @param {object} [message] - The message data to publish.
+   * @param {object} options - The validated publishing options.
+   * @returns {Promise} Resolves to the response.
+   * @private
+   */
+  dispatchRequest(routingKey, message, options) {
+    const listener = this.matchLocalListener(routingKey);
+    return listener
+      ? this.deliverLocally(listener, routingKey, message, options)
+      : this.sendRequest(routingKey, message, options);
+  }
+
+  /**
+   * Finds the listener on this transport that should receive an outbound message in-process.
+   * @param {string} routingKey - The routing key of the message.
+   * @returns {object|undefined} The matching listener, or undefined if the message should go through the broker.
+   * @private
+   */
+  matchLocalListener(routingKey) {
+    if (this.localDelivery === "broker" || !this.listening) {
+      return undefined;
+    }
+    return this.matchListener(routingKey);
+  }
+
+  /**
+   * Delivers an outbound message to a local listener through its wrapped handler, so it passes
+   * the same middleware, limits and bookkeeping as a message received from the broker. The
+   * message and response are copied, as they would be when sent over the wire.
+   * @param {object} listener - The matching listener.
+   * @param {string} routingKey - The routing key of the message.
+   * @param {object} [message] - The message data.
+   * @param {object} options - The validated publishing options, including the headers to send.
+   * @returns {Promise} Resolves to the response of the handler.
+   * @private
+   */
+  deliverLocally(listener, routingKey, message, options) {
+    return new Promise((resolve) => setImmediate(resolve))
+      .then(() =>
+        listener.handler(_.cloneDeep(message), options.correlationId, options.initiator, {
+          routingKey,
+          messageId: options.messageId,
+          headers: { ...options.headers },
+        })
+      )
+      .then((res) => _.cloneDeep(res));
+  }
+
+  /**
+   * Copies the validated options of an outbound call, filling in the inherited context, the
+   * codec settings of the transport, the correlationId and the messageId. The caller's options
+   * are left untouched, so they can be reused for other calls.
+   * @param {object} options - The validated publishing options.
+   * @returns {object} The options to send the call with.
+   * @private
+   */
+  resolveOutboundOptions(options) {
+    const resolved = { ...options };
+    this.inheritContext(resolved);
+    _.defaults(resolved, this.codecSettings);
+    if (_.isUndefined(resolved.correlationId)) {
+      resolved.correlationId = resolved.parentSpan
+        ? tracing.toCorrelationId(resolved.parentSpan.traceId)
+        : uuidv4();
+    }
+    if (_.isUndefined(resolved.messageId)) {
+      resolved.messageId = uuidv4();
+    }
+    return resolved;
+  }
+
+  /**
+   * Fills in the correlationId, initiator and parentSpan of an outbound call that did not set
+   * them from the context of the message being handled, if any. The headers received with that
+   * message are sent too, apart from the trace headers, unless the call sets them itself.
+   * @param {object} options - The validated publishing options, updated in place.
+   * @private
+   */
+  inheritContext(options) {
+    const ambient = messageContext.current();
+    if (!ambient) {
+      return;
+    }
+    ["correlationId", "initiator"].forEach((key) => {
+      if (_.isUndefined(options[key]) && !_.isUndefined(ambient[key])) {
+        options[key] = ambient[key]; // eslint-disable-line no-param-reassign
+      }
+    });
+    if (_.isUndefined(options.parentSpan)) {
+      options.parentSpan = ambient.span; // eslint-disable-line no-param-reassign
+    }
+    const inherited = _.omit(ambient.headers, TRACE_HEADERS);
+    if (!_.isEmpty(inherited)) {
+      options.headers = { ...inherited, ...options.headers }; // eslint-disable-line no-param-reassign
+    }
+  }
+
+  /**
+   * Runs an outbound call through the outbound middleware.
+   * @param {string} type - The type of call, either "publish" or "request".
+   * @param {string} routingKey - The routing key to attach to the message.
+   * @param {object} message - The message data to publish.
+   * @param {object} options - The validated publishing options.
+   * @param {function} send - Called with the final routing key, message and options to perform the call.
+   * @returns {Promise}
+   * @private
+   */
+  runOutbound(type, routingKey, message, options, send) {
+    const ctx = {
+      direction: "outbound",
+      type,
+      transport: this,
+      routingKey,
+      message,
+      correlationId: options.correlationId,
+      initiator: options.initiator,
+      options,
+      span: tracing.createSpan({
+        name: routingKey,
+        kind: tracing.KINDS[type],
+        correlationId: options.correlationId,
+        parent: options.parentSpan,
+        baggage: options.baggage,
+      }),
+      state: {},
+      result: undefined,
+    };
+    return middleware.compose(this.outboundMiddleware)(ctx, () => {
+      if (options.schema) {
+        schema.assertValid(options.schema, ctx.message, ctx.routingKey);
+      }
+      return send(ctx.routingKey, ctx.message, {
+        ...ctx.options,
+        correlationId: ctx.correlationId,
+        initiator: ctx.initiator,
+        headers: { ...ctx.options.headers, ...tracing.toHeaders(ctx.span) },
+      });
+    });
+  }
+
+  /**
+   * Resolves the retry policy for a single publish or request.
+   * @param {object|boolean} [overrides] - Settings overriding the transport's policy, or false to disable retries.
+   * @returns {object}
+   * @private
+   */
+  resolveRetryPolicy(overrides) {
+    if (overrides === false) {
+      return retry.createPolicy({ maxAttempts: 1 }, this.retryPolicy);
+    }
+    if (!_.isUndefined(overrides) && !_.isPlainObject(overrides)) {
+      throw new TypeError('"options.retry" should be an object or false.');
+    }
+    return retry.createPolicy(overrides, this.retryPolicy);
+  }
+
+  /**
+   * Runs an outbound send, retrying it according to a retry policy.
+   * @param {object} policy - The retry policy.
+   * @param {string} routingKey - The routing key of the message.
+   * @param {object} options - The publishing options, including the correlationId.
+   * @param {function} send - Performs a single attempt and returns a Promise.
+   * @returns {Promise}
+   * @fires retry
+   * @private
+   */
+  runWithRetries(policy, routingKey, options, send) {
+    return retry.run(policy, send, (err, attempt, delay) => {
+      this.emit("retry", {
+        routingKey,
+        correlationId: options.correlationId,
+        attempt,
+        delay,
+        error: err,
+      });
+    });
+  }
+
+  /**
+   * Runs a single request attempt through the circuit breaker for its routing key, rejecting it
+   * with a CircuitOpenError without sending it while the breaker is open.
+   * @param {string} routingKey - The routing key of the request.
+   * @param {object} options - The validated publishing options.
+   * @param {function} send - Performs the attempt and returns a Promise.
+   * @returns {Promise}
+   * @private
+   */
+  runWithCircuitBreaker(routingKey, options, send) {
+    if (!this.circuitBreakerSettings || options.circuitBreaker === false) {
+      return Promise.try(send);
+    }
+
+    const breaker = this.getCircuitBreaker(routingKey);
+    if (!breaker.allowRequest()) {
+      return Promise.reject(
+        new errors.CircuitOpenError(`The circuit breaker for "${routingKey}" is open.`)
+      );
+    }
+    return Promise.try(send).then(
+      (res) => {
+        breaker.record();
+        return res;
+      },
+      (err) => {
+        breaker.record(err);
+        throw err;
+      }
+    );
+  }
+
+  /**
+   * Retrieves the circuit breaker for a routing key, creating it if needed.
+   * @param {string} routingKey - The routing key.
+   * @returns {module:lib/circuit-breaker~CircuitBreaker}
+   * @fires circuitOpened
+   * @fires circuitHalfOpened
+   * @fires circuitClosed
+   * @private
+   */
+  getCircuitBreaker(routingKey) {
+    if (!this.circuitBreakers.has(routingKey)) {
+      const breaker = new CircuitBreaker({
+        ...this.circuitBreakerSettings,
+        onStateChange: (state, previousState) => {
+          this.emit(STATE_EVENTS[state], {
+            routingKey,
+            previousState,
+            ...breaker.getState(),
+          });
+        },
+      });
+      this.circuitBreakers.set(routingKey, breaker);
+    }
+    return this.circuitBreakers.get(routingKey);
+  }
 
-      if (_.isUndefined(options.correlationId)) {
-        // eslint-disable-next-line no-param-reassign
-        options.correlationId = uuidv4();
+  /**
+   * Returns the state of the circuit breaker for every routing key that has been requested,
+   * for use in health checks.
+   * @returns {object} A mapping of routing keys to the `state` of their breaker, its
+   * `consecutiveFailures`, `failureRate` and number of recent `requests`, and when it opened.
+   */
+  getCircuitStates() {
+    const states = {};
+    this.circuitBreakers.forEach((breaker, routingKey) => {
+      states[routingKey] = breaker.getState();
+    });
+    return states;
+  }
+
+  /**
+   * Tracks a request until its response arrives, it times out, or the transport disconnects.
+   * @param {string} routingKey - The routing key of the request.
+   * @param {object} options - The validated publishing options.
+   * @param {function} send - Sends the request and returns a promise for its response.
+   * @returns {Promise}
+   * @private
+   */
+  trackRequest(routingKey, options, send) {
+    const requestId = uuidv4();
+    const promise = new Promise((resolve, reject) => {
+      const timeout = _.isUndefined(options.timeout) ? this.requestTimeout : options.timeout;
+      const pending = {
+        routingKey,
+        correlationId: options.correlationId,
+        startedAt: new Date().getTime(),
+        timer: null,
+        promise: null,
+        resolve,
+        reject,
+      };
+      if (timeout > 0) {
+        pending.timer = setTimeout(() => {
+          this.settleRequest(
+            requestId,
+            new errors.RequestTimeoutError(
+              `No response to "${routingKey}" was received within ${timeout}ms.`
+            )
+          );
+        }, timeout);
       }
+      this.pendingRequests.set(requestId, pending);
 
-      resolve(options.correlationId);
+      Promise.try(send).then(
+        (res) => this.settleRequest(requestId, null, res),
+        (err) => this.settleRequest(requestId, err)
+      );
     });
+
+    // The executor runs synchronously, so the request is already registered.
+    this.pendingRequests.get(requestId).promise = promise;
+    return promise;
+  }
+
+  /**
+   * Settles a pending request, if it is still waiting for a response.
+   * @param {string} requestId - The id of the pending request.
+   * @param {Error} [err] - The error to reject the request with.
+   * @param {*} [response] - The response to resolve the request with.
+   * @returns {boolean} False if the request had already been settled and the outcome was discarded.
+   * @private
+   */
+  settleRequest(requestId, err, response) {
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) {
+      return false;
+    }
+
+    this.pendingRequests.delete(requestId);
+    if (pending.timer) {
+      clearTimeout(pending.timer);
+    }
+
+    if (err) {
+      pending.reject(err);
+    } else {
+      pending.resolve(response);
+    }
+    return true;
   }
 }
 
 module.exports = Transport;
 
+/**
+ * Fired when the connection state of the transport changes.
+ * @event module:lib/transport~Transport#stateChange
+ * @type {object}
+ * @property {string} state - The new state, one of {@link module:lib/transport~Transport.STATES}.
+ * @property {string} previousState - The state the transport was in.
+ */
+
+/**
+ * Fired when a publish is rejected with a QueueFullError because the outbox is full.
+ * @event module:lib/transport~Transport#outboxOverflow
+ * @type {object}
+ * @property {string} routingKey - The routing key of the rejected message.
+ * @property {string} correlationId - The correlationId of the rejected message.
+ * @property {number} maxEntries - The maximum number of messages the outbox holds.
+ */
+
+/**
+ * Fired after each message held in the outbox is sent, or fails to send, while flushing.
+ * @event module:lib/transport~Transport#outboxFlush
+ * @type {object}
+ * @property {string} routingKey - The routing key of the message.
+ * @property {string} correlationId - The correlationId of the message.
+ * @property {Error|null} error - The error the message failed with, if any. Failed messages are discarded.
+ * @property {number} sent - How many messages the flush has sent so far.
+ * @property {number} failed - How many messages the flush has discarded so far.
+ */
+
+/**
+ * Fired when a flush of the outbox ends.
+ * @event module:lib/transport~Transport#outboxFlushed
+ * @type {object}
+ * @property {number} sent - How many messages were sent.
+ * @property {number} failed - How many messages failed and were discarded.
+ * @property {number} remaining - How many messages are still held, for the next flush.
+ * @property {Error|null} error - The error that stopped the flush when the transport disconnected again, if any.
+ */
+
 /**
  * Fired when the transport is disconnected unexpectedly.
  * @event module:lib/transport~Transport#disconnected
@@ -281,3 +1938,112 @@ module.exports = Transport;
  * @event module:lib/transport~Transport#reconnected
  * @type {object}
  */
+
+/**
+ * Fired before a failed publish or request is retried.
+ * @event module:lib/transport~Transport#retry
+ * @type {object}
+ * @property {string} routingKey - The routing key of the message.
+ * @property {string} correlationId - The correlationId of the message, shared by every attempt.
+ * @property {number} attempt - The number of the attempt about to be made.
+ * @property {number} delay - How long the transport will wait before the attempt, in milliseconds.
+ * @property {Error} error - The error the previous attempt failed with.
+ */
+
+/**
+ * Fired when a message is dead-lettered after its handler keeps failing.
+ * @event module:lib/transport~Transport#deadLetter
+ * @type {object}
+ * @property {string} id - The id of the dead-letter entry.
+ * @property {string} routingKey - The routing key the message was received with.
+ * @property {object} message - The message data.
+ * @property {string} correlationId - The correlationId of the message.
+ * @property {string} initiator - The initiator of the message.
+ * @property {number} attempts - How many times the handler failed.
+ * @property {object} error - The last error, serialized with {@link module:lib/errors.toJSON}.
+ */
+
+/**
+ * Fired when a message that was already handled is received again, and its handler is skipped.
+ * @event module:lib/transport~Transport#duplicate
+ * @type {object}
+ * @property {string} routingKey - The routing key the message was received with.
+ * @property {string} pattern - The routing key pattern of the listener.
+ * @property {string} messageId - The id of the message.
+ * @property {string} correlationId - The correlationId of the message.
+ */
+
+/**
+ * Fired when the circuit breaker for a routing key opens, and requests to it start failing fast.
+ * @event module:lib/transport~Transport#circuitOpened
+ * @type {object}
+ * @property {string} routingKey - The routing key of the breaker.
+ * @property {string} previousState - The state the breaker was in.
+ * @property {number} consecutiveFailures - How many requests failed in a row.
+ * @property {number} failureRate - The failure rate over the recent requests.
+ * @property {number} retryAt - When the breaker will allow trial requests.
+ */
+
+/**
+ * Fired when the cool-down period of an open circuit breaker has passed, and trial requests are allowed.
+ * @event module:lib/transport~Transport#circuitHalfOpened
+ * @type {object}
+ * @property {string} routingKey - The routing key of the breaker.
+ * @property {string} previousState - The state the breaker was in.
+ */
+
+/**
+ * Fired when a circuit breaker closes after its trial requests succeed.
+ * @event module:lib/transport~Transport#circuitClosed
+ * @type {object}
+ * @property {string} routingKey - The routing key of the breaker.
+ * @property {string} previousState - The state the breaker was in.
+ */
+
+/**
+ * Fired when a message is rejected because the queue of messages waiting for a handler is full.
+ * @event module:lib/transport~Transport#queueFull
+ * @type {object}
+ * @property {string|null} pattern - The routing key pattern of the listener, or null for the transport-wide queue.
+ * @property {number} queueLength - The number of messages waiting.
+ */
+
+/**
+ * Fired when a queue of messages waiting for a handler is full and intake is paused.
+ * @event module:lib/transport~Transport#intakePaused
+ * @type {object}
+ * @property {string|null} pattern - The routing key pattern of the listener, or null for the transport-wide queue.
+ * @property {number} queueLength - The number of messages waiting.
+ */
+
+/**
+ * Fired when a full queue has drained to half its maximum length and intake is resumed.
+ * @event module:lib/transport~Transport#intakeResumed
+ * @type {object}
+ * @property {string|null} pattern - The routing key pattern of the listener, or null for the transport-wide queue.
+ * @property {number} queueLength - The number of messages waiting.
+ */
+
+/**
+ * Fired when a span starts, as a message handler, publish or request begins. The same span
+ * object is later passed to the spanFinish event, so tracer bridges may attach state to it.
+ * @event module:lib/transport~Transport#spanStart
+ * @type {object}
+ * @property {string} name - The routing key of an outbound call, or the topic of a handler.
+ * @property {string} kind - "producer" for publishes, "client" for requests, or "consumer" for handlers.
+ * @property {string} traceId - The trace id.
+ * @property {string} spanId - The span id.
+ * @property {string|null} parentSpanId - The span id of the parent, if the trace was continued.
+ * @property {string} correlationId - The correlationId of the message.
+ * @property {object} baggage - The propagated baggage values.
+ * @property {number} startTime - When the span started.
+ */
+
+/**
+ * Fired when a span finishes.
+ * @event module:lib/transport~Transport#spanFinish
+ * @type {object}
+ * @property {number} endTime - When the span finished.
+ * @property {number} duration - How long the span took, in milliseconds.
+ * @property {Error|null} error - The error the span failed with, if any.
+ */
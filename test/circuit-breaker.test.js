@@ -0,0 +1,120 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const sinon = require("sinon");
+const { CircuitBreaker, STATES, isFailure } = require("../lib/circuit-breaker");
+const defaults = require("../defaults.json");
+const errors = require("../lib/errors");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("circuit-breaker:", () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe("isFailure:", () => {
+    it("should not count response errors other than processing errors", () => {
+      isFailure(new errors.RequestTimeoutError("slow")).should.be.true();
+      isFailure(new Error("boom")).should.be.true();
+      isFailure(new errors.NotFoundError("missing")).should.be.false();
+      isFailure(new errors.ResponseProcessingError("broken")).should.be.true();
+    });
+  });
+
+  describe("CircuitBreaker:", () => {
+    it("should use the defaults", () => {
+      const breaker = new CircuitBreaker();
+      breaker.settings.should.deep.equal(defaults.circuitBreaker);
+      breaker.state.should.equal(STATES.CLOSED);
+    });
+    it("should catch invalid settings", () => {
+      [
+        { failureThreshold: 0 },
+        { failureRateThreshold: 2 },
+        { coolDown: -1 },
+        { windowSize: 1.5 },
+        { isFailure: "bob" },
+      ].forEach((options) => {
+        expect(() => new CircuitBreaker(options)).to.throw(TypeError);
+      });
+    });
+    it("should validate settings without creating a breaker", () => {
+      expect(() => CircuitBreaker.validateSettings({ coolDown: 10 })).to.not.throw();
+      expect(() => CircuitBreaker.validateSettings()).to.not.throw();
+      expect(() => CircuitBreaker.validateSettings({ halfOpenRequests: 0 })).to.throw(
+        TypeError,
+        '"options.halfOpenRequests" should be a positive integer.'
+      );
+      expect(() => CircuitBreaker.validateSettings("bob")).to.throw(TypeError);
+    });
+    it("should open after consecutive failures", () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 2 });
+      breaker.record(new Error("boom"));
+      breaker.record();
+      breaker.record(new Error("boom"));
+      breaker.state.should.equal(STATES.CLOSED);
+      breaker.record(new Error("boom"));
+      breaker.state.should.equal(STATES.OPEN);
+      breaker.allowRequest().should.be.false();
+    });
+    it("should open when the failure rate is too high", () => {
+      const breaker = new CircuitBreaker({
+        failureThreshold: 10,
+        failureRateThreshold: 0.5,
+        minimumRequests: 4,
+      });
+      breaker.record(new Error("boom"));
+      breaker.record();
+      breaker.record(new Error("boom"));
+      breaker.state.should.equal(STATES.CLOSED);
+      breaker.record();
+      breaker.state.should.equal(STATES.CLOSED);
+      breaker.record(new Error("boom"));
+      breaker.state.should.equal(STATES.OPEN);
+    });
+    it("should ignore errors that are not failures", () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 1 });
+      breaker.record(new errors.InvalidMessageError("bad"));
+      breaker.state.should.equal(STATES.CLOSED);
+      breaker.getState().failureRate.should.equal(0);
+    });
+    it("should allow trial requests after the cool-down period", () => {
+      const onStateChange = sinon.spy();
+      const breaker = new CircuitBreaker({ failureThreshold: 1, coolDown: 1000, onStateChange });
+      breaker.record(new Error("boom"));
+      clock.tick(999);
+      breaker.allowRequest().should.be.false();
+      clock.tick(1);
+      breaker.allowRequest().should.be.true();
+      breaker.state.should.equal(STATES.HALF_OPEN);
+      breaker.allowRequest().should.be.false();
+      breaker.record();
+      breaker.state.should.equal(STATES.CLOSED);
+      onStateChange.args.should.deep.equal([
+        [STATES.OPEN, STATES.CLOSED],
+        [STATES.HALF_OPEN, STATES.OPEN],
+        [STATES.CLOSED, STATES.HALF_OPEN],
+      ]);
+    });
+    it("should reopen when a trial request fails", () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 1, coolDown: 1000 });
+      breaker.record(new Error("boom"));
+      clock.tick(1000);
+      breaker.allowRequest().should.be.true();
+      breaker.record(new Error("boom"));
+      breaker.state.should.equal(STATES.OPEN);
+      breaker.getState().retryAt.should.equal(2000);
+    });
+  });
+});
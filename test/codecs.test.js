@@ -0,0 +1,131 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const codecs = require("../lib/codecs");
+const errors = require("../lib/errors");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("codecs:", () => {
+  const payload = { events: new Array(100).fill({ type: "click", target: "button" }) };
+
+  describe("register:", () => {
+    it("should register a codec for its content type", () => {
+      const codec = {
+        contentType: "text/plain",
+        encode: (value) => Buffer.from(String(value)),
+        decode: (data) => data.toString(),
+      };
+      codecs.register(codec);
+      codecs.get("text/plain").should.equal(codec);
+      return codecs
+        .encode("hi", { contentType: "text/plain" })
+        .then((encoded) => codecs.decode(encoded.data, encoded.contentType))
+        .then((decoded) => {
+          decoded.should.equal("hi");
+        });
+    });
+    it("should error on an invalid codec", () => {
+      expect(() => codecs.register({ contentType: "text/plain" })).to.throw(TypeError);
+      expect(() => codecs.registerEncoding({ name: "br" })).to.throw(TypeError);
+    });
+  });
+
+  describe("encode:", () => {
+    it("should encode as JSON by default", () =>
+      codecs.encode(payload).then((encoded) => {
+        encoded.contentType.should.equal(codecs.JSON_TYPE);
+        expect(encoded.contentEncoding).to.be.undefined();
+        JSON.parse(encoded.data.toString()).should.deep.equal(payload);
+      }));
+    it("should encode as MessagePack", () =>
+      Promise.all([
+        codecs.encode(payload),
+        codecs.encode(payload, { contentType: codecs.MSGPACK_TYPE }),
+      ]).then(([json, packed]) => {
+        packed.contentType.should.equal(codecs.MSGPACK_TYPE);
+        packed.data.length.should.be.below(json.data.length);
+      }));
+    it("should compress payloads from the threshold", () =>
+      Promise.all([
+        codecs.encode(payload, { contentEncoding: "gzip", compressionThreshold: 1024 }),
+        codecs.encode({}, { contentEncoding: "gzip", compressionThreshold: 1024 }),
+      ]).then(([large, small]) => {
+        large.contentEncoding.should.equal("gzip");
+        large.data.length.should.be.below(1024);
+        expect(small.contentEncoding).to.be.undefined();
+      }));
+    it("should reject unregistered content types and encodings", () =>
+      Promise.all([
+        codecs.encode(payload, { contentType: "text/bob" }).reflect(),
+        codecs.encode(payload, { contentEncoding: "bob" }).reflect(),
+      ]).then((results) => {
+        results.forEach((result) => {
+          result.reason().should.be.an.instanceOf(TypeError);
+        });
+      }));
+  });
+
+  describe("decode:", () => {
+    it("should round trip each codec and encoding", () => {
+      const settings = [
+        { contentType: codecs.JSON_TYPE, contentEncoding: "deflate" },
+        { contentType: codecs.MSGPACK_TYPE, contentEncoding: "gzip" },
+        { contentType: codecs.MSGPACK_TYPE },
+      ];
+      return Promise.all(
+        settings.map((options) =>
+          codecs
+            .encode(payload, options)
+            .then((encoded) =>
+              codecs.decode(encoded.data, encoded.contentType, encoded.contentEncoding)
+            )
+        )
+      ).then((results) => {
+        results.forEach((decoded) => {
+          decoded.should.deep.equal(payload);
+        });
+      });
+    });
+    it("should reject with a CodecError on bad data", () =>
+      Promise.all([
+        codecs.decode(Buffer.from("{bob"), codecs.JSON_TYPE).reflect(),
+        codecs.decode(Buffer.from("{}"), codecs.JSON_TYPE, "gzip").reflect(),
+        codecs.decode(Buffer.from("{}"), "text/bob").reflect(),
+        codecs.decode(Buffer.from("{}"), codecs.JSON_TYPE, "bob").reflect(),
+      ]).then((results) => {
+        results.forEach((result) => {
+          result.reason().should.be.an.instanceOf(errors.CodecError);
+        });
+      }));
+    it("should reject payloads that decompress beyond the maximum size", () => {
+      const large = { text: "a".repeat(10000) };
+      return Promise.all(
+        ["gzip", "deflate"].map((contentEncoding) =>
+          codecs.encode(large, { contentEncoding }).then((encoded) => {
+            encoded.data.length.should.be.below(1000);
+            return Promise.all([
+              codecs
+                .decode(encoded.data, encoded.contentType, encoded.contentEncoding, {
+                  maxDecodedSize: 1000,
+                })
+                .reflect(),
+              codecs.decode(encoded.data, encoded.contentType, encoded.contentEncoding, {
+                maxDecodedSize: 20000,
+              }),
+            ]);
+          })
+        )
+      ).then((results) => {
+        results.forEach(([limited, decoded]) => {
+          limited.reason().should.be.an.instanceOf(errors.CodecError);
+          decoded.should.deep.equal(large);
+        });
+      });
+    });
+  });
+});
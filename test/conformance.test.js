@@ -0,0 +1,33 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const conformance = require("../lib/conformance");
+const MemoryBroker = require("../lib/memory-broker");
+const MemoryTransport = require("../lib/memory-transport");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("conformance:", () => {
+  describe("run:", () => {
+    it("should catch invalid input", () => {
+      expect(() => conformance.run(35353535, () => new MemoryTransport())).to.throw(TypeError);
+      expect(() => conformance.run("bob", "bob")).to.throw(TypeError);
+      expect(() => conformance.run("bob", () => null, { timeout: 0 })).to.throw(TypeError);
+      expect(() => conformance.run("bob", () => null, { errors: ["bob"] })).to.throw(TypeError);
+    });
+  });
+
+  conformance.run("MemoryTransport", () => new MemoryTransport(), { timeout: 500 });
+
+  const broker = new MemoryBroker();
+  conformance.run(
+    "MemoryTransport with a shared broker and local delivery",
+    () =>
+      new MemoryTransport({ broker, localDelivery: "local", contentType: "application/msgpack" }),
+    { timeout: 500 }
+  );
+});
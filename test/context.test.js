@@ -0,0 +1,43 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const Promise = require("bluebird");
+const messageContext = require("../lib/context");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("context:", () => {
+  it("should be undefined outside a message context", () => {
+    expect(messageContext.current()).to.be.undefined();
+  });
+  it("should follow bluebird promises, timers and callbacks", () => {
+    const seen = [];
+    const first = messageContext.run({ correlationId: "a" }, () =>
+      Promise.delay(5)
+        .then(() => seen.push(["a", messageContext.current().correlationId]))
+        .then(
+          () =>
+            new Promise((resolve) => {
+              setTimeout(() => {
+                seen.push(["a", messageContext.current().correlationId]);
+                resolve();
+              }, 1);
+            })
+        )
+    );
+    const second = messageContext.run({ correlationId: "b" }, () =>
+      Promise.resolve().then(() => seen.push(["b", messageContext.current().correlationId]))
+    );
+    return Promise.all([first, second]).then(() => {
+      seen.should.deep.equal([
+        ["b", "b"],
+        ["a", "a"],
+        ["a", "a"],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const Promise = require("bluebird");
+const sinon = require("sinon");
+const { MemoryDeadLetterSink, DeadLetterQueue } = require("../lib/dead-letter");
+const defaults = require("../defaults.json");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("dead-letter:", () => {
+  describe("MemoryDeadLetterSink:", () => {
+    it("should catch invalid input", () => {
+      try {
+        const sink = new MemoryDeadLetterSink({ maxEntries: "bob" });
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should add, get, list and remove entries", () => {
+      const sink = new MemoryDeadLetterSink();
+      return sink
+        .add({ id: "a" })
+        .then(() => sink.add({ id: "b" }))
+        .then(() => sink.get("a"))
+        .then((entry) => {
+          entry.should.deep.equal({ id: "a" });
+          return sink.remove("a");
+        })
+        .then((removed) => {
+          removed.should.be.true();
+          return sink.list();
+        })
+        .then((entries) => {
+          entries.should.deep.equal([{ id: "b" }]);
+        });
+    });
+    it("should drop the oldest entries beyond maxEntries", () => {
+      const sink = new MemoryDeadLetterSink({ maxEntries: 2 });
+      return Promise.each(["a", "b", "c"], (id) => sink.add({ id }))
+        .then(() => sink.list())
+        .then((entries) => {
+          entries.map((entry) => entry.id).should.deep.equal(["b", "c"]);
+        });
+    });
+  });
+
+  describe("DeadLetterQueue:", () => {
+    it("should use the defaults", () => {
+      const queue = new DeadLetterQueue();
+      queue.maxFailures.should.equal(defaults.deadLetter.maxFailures);
+      queue.sink.should.be.an.instanceOf(MemoryDeadLetterSink);
+      expect(queue.routingKey).to.be.undefined();
+    });
+    it("should catch invalid input", () => {
+      [{ maxFailures: 0 }, { routingKey: 1 }, { sink: {} }, { maxTracked: "bob" }].forEach(
+        (options) => {
+          (() => new DeadLetterQueue(options)).should.throw(TypeError);
+        }
+      );
+    });
+    it("should count and clear failures", () => {
+      const queue = new DeadLetterQueue();
+      queue.recordFailure("bob").should.equal(1);
+      queue.recordFailure("bob").should.equal(2);
+      queue.clearFailures("bob");
+      queue.recordFailure("bob").should.equal(1);
+    });
+    it("should forget the oldest failures beyond maxTracked", () => {
+      const queue = new DeadLetterQueue({ maxTracked: 2 });
+      queue.recordFailure("a");
+      queue.recordFailure("b");
+      queue.recordFailure("a");
+      queue.recordFailure("c");
+      queue.failures.has("b").should.be.false();
+      queue.recordFailure("a").should.equal(3);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const Promise = require("bluebird");
+const sinon = require("sinon");
+const { MemoryDedupStore, Deduplicator } = require("../lib/dedup");
+const defaults = require("../defaults.json");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("dedup:", () => {
+  describe("MemoryDedupStore:", () => {
+    let clock;
+
+    afterEach(() => {
+      if (clock) {
+        clock.restore();
+        clock = null;
+      }
+    });
+
+    it("should catch invalid input", () => {
+      expect(() => new MemoryDedupStore({ maxEntries: "bob" })).to.throw(TypeError);
+    });
+    it("should set and get entries", () => {
+      const store = new MemoryDedupStore();
+      return store
+        .set("a", { response: 1 }, 1000)
+        .then(() => Promise.all([store.get("a"), store.get("b")]))
+        .then(([a, b]) => {
+          a.should.deep.equal({ response: 1 });
+          expect(b).to.be.undefined();
+        });
+    });
+    it("should forget entries once they expire", () => {
+      clock = sinon.useFakeTimers();
+      const store = new MemoryDedupStore();
+      return store
+        .set("a", { response: 1 }, 1000)
+        .then(() => {
+          clock.tick(1000);
+          return store.get("a");
+        })
+        .then((entry) => {
+          expect(entry).to.be.undefined();
+          store.entries.size.should.equal(0);
+        });
+    });
+    it("should drop the least recently used entries beyond maxEntries", () => {
+      const store = new MemoryDedupStore({ maxEntries: 2 });
+      return store
+        .set("a", {}, 1000)
+        .then(() => store.set("b", {}, 1000))
+        .then(() => store.get("a"))
+        .then(() => store.set("c", {}, 1000))
+        .then(() => {
+          Array.from(store.entries.keys()).should.deep.equal(["a", "c"]);
+        });
+    });
+  });
+
+  describe("Deduplicator:", () => {
+    it("should use the defaults", () => {
+      const deduplicator = new Deduplicator();
+      deduplicator.ttl.should.equal(defaults.dedup.ttl);
+      deduplicator.store.should.be.an.instanceOf(MemoryDedupStore);
+      deduplicator.store.maxEntries.should.equal(defaults.dedup.maxEntries);
+    });
+    it("should catch invalid input", () => {
+      expect(() => new Deduplicator({ ttl: 0 })).to.throw(TypeError);
+      expect(() => new Deduplicator({ store: {} })).to.throw(TypeError);
+    });
+    it("should run each message once and return the first response to duplicates", () => {
+      const deduplicator = new Deduplicator();
+      const fn = sinon.stub().resolves({ ok: true });
+      return deduplicator
+        .run("a", fn)
+        .then((first) => {
+          first.should.deep.equal({ response: { ok: true }, duplicate: false });
+          return deduplicator.run("a", fn);
+        })
+        .then((second) => {
+          second.should.deep.equal({ response: { ok: true }, duplicate: true });
+          fn.calledOnce.should.be.true();
+        });
+    });
+    it("should share the outcome with duplicates received while in flight", () => {
+      const deduplicator = new Deduplicator();
+      const fn = sinon.stub().returns(Promise.delay(5).then(() => "hi"));
+      return Promise.all([deduplicator.run("a", fn), deduplicator.run("a", fn)]).then(
+        ([first, second]) => {
+          first.duplicate.should.be.false();
+          second.should.deep.equal({ response: "hi", duplicate: true });
+          fn.calledOnce.should.be.true();
+          deduplicator.inFlight.size.should.equal(0);
+        }
+      );
+    });
+    it("should run messages again after a failure", () => {
+      const deduplicator = new Deduplicator();
+      const fn = sinon.stub();
+      fn.onFirstCall().rejects(new Error("boom"));
+      fn.onSecondCall().resolves("hi");
+      return deduplicator
+        .run("a", fn)
+        .catch((err) => {
+          err.message.should.equal("boom");
+          return deduplicator.run("a", fn);
+        })
+        .then((outcome) => {
+          outcome.should.deep.equal({ response: "hi", duplicate: false });
+        });
+    });
+    it("should store entries with the ttl in a custom store", () => {
+      const store = { get: sinon.stub().resolves(undefined), set: sinon.stub().resolves() };
+      const deduplicator = new Deduplicator({ store, ttl: 500 });
+      return deduplicator
+        .run("a", () => Promise.resolve("hi"))
+        .then(() => {
+          store.set.calledOnceWith("a", { response: "hi" }, 500).should.be.true();
+        });
+    });
+  });
+});
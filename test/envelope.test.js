@@ -0,0 +1,146 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const codecs = require("../lib/codecs");
+const envelope = require("../lib/envelope");
+const errors = require("../lib/errors");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("envelope:", () => {
+  const fields = {
+    routingKey: "bob",
+    correlationId: "ggg",
+    initiator: "fff",
+    headers: { tenant: "acme" },
+    payload: { test: true },
+  };
+
+  describe("isHeaders:", () => {
+    it("should accept an object of strings", () => {
+      envelope.isHeaders({ tenant: "acme" }).should.be.true();
+      envelope.isHeaders({}).should.be.true();
+    });
+    it("should reject other values", () => {
+      envelope.isHeaders({ retries: 3 }).should.be.false();
+      envelope.isHeaders("tenant=acme").should.be.false();
+      envelope.isHeaders(null).should.be.false();
+    });
+  });
+
+  describe("create:", () => {
+    it("should fill in the defaults", () => {
+      const created = envelope.create({ routingKey: "bob", correlationId: "ggg" });
+      created.version.should.equal(envelope.VERSION);
+      created.id.should.be.a("string");
+      created.timestamp.should.be.a("number");
+      created.headers.should.deep.equal({});
+      created.contentType.should.equal("application/json");
+    });
+    it("should keep the given fields", () => {
+      const created = envelope.create({ ...fields, id: "abc", timestamp: 1000 });
+      created.should.deep.include({ ...fields, id: "abc", timestamp: 1000 });
+    });
+    it("should error on invalid fields", () => {
+      expect(() => envelope.create({ routingKey: 35353535, correlationId: "ggg" })).to.throw(
+        TypeError
+      );
+      expect(() => envelope.create({ ...fields, headers: { retries: 3 } })).to.throw(TypeError);
+      expect(() => envelope.create({ ...fields, initiator: 44444 })).to.throw(TypeError);
+    });
+  });
+
+  describe("wrap:", () => {
+    it("should embed JSON payloads as they are", () =>
+      envelope.wrap(fields).then((wrapped) => {
+        wrapped.payload.should.deep.equal(fields.payload);
+        expect(wrapped.contentEncoding).to.be.undefined();
+      }));
+    it("should embed other payloads as base64", () =>
+      envelope
+        .wrap(fields, { contentType: codecs.MSGPACK_TYPE, contentEncoding: "gzip" })
+        .then((wrapped) => {
+          wrapped.contentType.should.equal(codecs.MSGPACK_TYPE);
+          wrapped.contentEncoding.should.equal("gzip");
+          wrapped.payload.should.be.a("string");
+        }));
+    it("should embed JSON payloads below the compression threshold as they are", () =>
+      envelope
+        .wrap(fields, { contentEncoding: "gzip", compressionThreshold: 1024 })
+        .then((wrapped) => {
+          wrapped.payload.should.deep.equal(fields.payload);
+          expect(wrapped.contentEncoding).to.be.undefined();
+        }));
+  });
+
+  describe("unwrap:", () => {
+    it("should round trip payloads through encoding", () => {
+      const settings = [
+        {},
+        { contentType: codecs.MSGPACK_TYPE },
+        { contentType: codecs.JSON_TYPE, contentEncoding: "deflate" },
+      ];
+      return Promise.all(
+        settings.map((options) =>
+          envelope
+            .wrap(fields, options)
+            .then((wrapped) => envelope.unwrap(envelope.decode(envelope.encode(wrapped))))
+        )
+      ).then((payloads) => {
+        payloads.forEach((payload) => {
+          payload.should.deep.equal(fields.payload);
+        });
+      });
+    });
+    it("should reject encoded payloads that are not base64 strings", () => {
+      const created = envelope.create({ ...fields, contentType: codecs.MSGPACK_TYPE });
+      return envelope
+        .unwrap(created)
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.CodecError);
+        });
+    });
+  });
+
+  describe("encode:", () => {
+    it("should encode an envelope as JSON", () => {
+      const created = envelope.create(fields);
+      JSON.parse(envelope.encode(created)).should.deep.equal(created);
+    });
+    it("should error on an invalid envelope", () => {
+      expect(() => envelope.encode("bob")).to.throw(TypeError);
+    });
+  });
+
+  describe("decode:", () => {
+    it("should decode an encoded envelope", () => {
+      const created = envelope.create(fields);
+      envelope.decode(envelope.encode(created)).should.deep.equal(created);
+      envelope.decode(Buffer.from(envelope.encode(created))).should.deep.equal(created);
+    });
+    it("should error on data that is not a string or Buffer", () => {
+      expect(() => envelope.decode({})).to.throw(TypeError);
+    });
+    it("should error on data that is not JSON", () => {
+      expect(() => envelope.decode("{bob")).to.throw(errors.InvalidEnvelopeError);
+    });
+    it("should error on an unsupported version", () => {
+      const data = JSON.stringify({ ...envelope.create(fields), version: 99 });
+      expect(() => envelope.decode(data)).to.throw(errors.EnvelopeVersionError, /version 99/);
+    });
+    it("should error on a missing version", () => {
+      expect(() => envelope.decode("{}")).to.throw(errors.EnvelopeVersionError);
+    });
+    it("should error on missing fields", () => {
+      const data = JSON.stringify({ ...envelope.create(fields), correlationId: undefined });
+      expect(() => envelope.decode(data)).to.throw(errors.InvalidEnvelopeError, /correlationId/);
+    });
+  });
+});
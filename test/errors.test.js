@@ -0,0 +1,118 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+/* eslint max-classes-per-file: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const errors = require("../lib/errors");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("errors:", () => {
+  const roundTrip = (err) => errors.fromJSON(JSON.parse(JSON.stringify(err)));
+
+  describe("toJSON:", () => {
+    it("should serialize the error fields", () => {
+      const err = new errors.NotFoundError("missing", { id: 42 }, true);
+      err.code = "E_MISSING";
+      err.cause = new errors.RequestError("lookup failed");
+      err.toJSON().should.deep.equal({
+        name: "NotFoundError",
+        message: "missing",
+        response: { id: 42 },
+        skipLog: true,
+        code: "E_MISSING",
+        cause: { name: "RequestError", message: "lookup failed" },
+      });
+    });
+    it("should serialize errors without their own toJSON", () => {
+      const err = new TypeError("bad");
+      errors.toJSON(err).should.deep.equal({ name: "TypeError", message: "bad" });
+    });
+  });
+
+  describe("fromJSON:", () => {
+    it("should catch invalid input", () => {
+      try {
+        errors.fromJSON("bob");
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should rebuild every built-in error class", () => {
+      [
+        errors.NotImplementedError,
+        errors.TransportDisconnectedError,
+        errors.RequestError,
+        errors.RequestTimeoutError,
+        errors.CircuitOpenError,
+        errors.QueueFullError,
+        errors.InvalidEnvelopeError,
+        errors.EnvelopeVersionError,
+        errors.CodecError,
+        errors.ResponseError,
+        errors.InvalidMessageError,
+        errors.UnauthorizedError,
+        errors.ForbiddenError,
+        errors.NotFoundError,
+        errors.ResponseProcessingError,
+      ].forEach((ErrorClass) => {
+        const err = roundTrip(new ErrorClass("failed", { reason: "test" }));
+        err.should.be.an.instanceOf(ErrorClass);
+        err.message.should.equal("failed");
+      });
+    });
+    it("should restore the response, skipLog, code and cause", () => {
+      const original = new errors.ForbiddenError("denied", { role: "user" }, true);
+      original.code = 403;
+      original.cause = new errors.UnauthorizedError("expired");
+      const err = roundTrip(original);
+      err.response.should.deep.equal({ role: "user" });
+      err.skipLog.should.be.true();
+      err.code.should.equal(403);
+      err.cause.should.be.an.instanceOf(errors.UnauthorizedError);
+      err.cause.message.should.equal("expired");
+    });
+    it("should rebuild unknown errors as plain errors", () => {
+      const err = errors.fromJSON({ name: "WeirdError", message: "odd", response: { a: 1 } });
+      err.should.be.an.instanceOf(Error);
+      err.name.should.equal("WeirdError");
+      err.response.should.deep.equal({ a: 1 });
+    });
+    it("should not match names inherited from Object.prototype", () => {
+      ["toString", "valueOf", "__proto__", "constructor", "hasOwnProperty"].forEach((name) => {
+        const err = errors.fromJSON({ name, message: "odd" });
+        err.should.be.an.instanceOf(Error);
+        err.constructor.should.equal(Error);
+        err.message.should.equal("odd");
+      });
+    });
+  });
+
+  describe("registerError:", () => {
+    it("should catch invalid input", () => {
+      try {
+        errors.registerError({});
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should rebuild registered application errors", () => {
+      class ConflictError extends errors.ResponseError {
+        constructor(message, response, skipLog) {
+          super(message, response, skipLog);
+          this.name = "ConflictError";
+        }
+      }
+      errors.registerError(ConflictError);
+      const err = roundTrip(new ConflictError("taken", { field: "email" }));
+      err.should.be.an.instanceOf(ConflictError);
+      err.should.be.an.instanceOf(errors.ResponseError);
+      err.response.should.deep.equal({ field: "email" });
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const Promise = require("bluebird");
+const sinon = require("sinon");
+const defaults = require("../defaults.json");
+const errors = require("../lib/errors");
+const { Limiter } = require("../lib/limiter");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("limiter:", () => {
+  const deferred = () => {
+    const result = {};
+    result.promise = new Promise((resolve) => {
+      result.resolve = resolve;
+    });
+    return result;
+  };
+
+  it("should catch invalid settings", () => {
+    [
+      {},
+      { maxConcurrency: 0 },
+      { maxConcurrency: 1, maxQueueLength: -1 },
+      { maxConcurrency: 1, overflow: "bob" },
+      { maxConcurrency: 1, onPause: "bob" },
+    ].forEach((options) => {
+      expect(() => new Limiter(options)).to.throw(TypeError);
+    });
+  });
+  it("should use the defaults", () => {
+    const limiter = new Limiter({ maxConcurrency: 1 });
+    limiter.maxQueueLength.should.equal(defaults.concurrency.maxQueueLength);
+    limiter.overflow.should.equal(defaults.concurrency.overflow);
+  });
+  it("should run at most maxConcurrency tasks at once", () => {
+    const limiter = new Limiter({ maxConcurrency: 2 });
+    const tasks = [deferred(), deferred(), deferred()];
+    const started = [];
+    const results = tasks.map((task, i) =>
+      limiter.run(() => {
+        started.push(i);
+        return task.promise.then(() => i);
+      })
+    );
+    return Promise.delay(0)
+      .then(() => {
+        started.should.deep.equal([0, 1]);
+        limiter.queue.should.have.length(1);
+        tasks[0].resolve();
+        return results[0];
+      })
+      .then(() => Promise.delay(0))
+      .then(() => {
+        started.should.deep.equal([0, 1, 2]);
+        tasks[1].resolve();
+        tasks[2].resolve();
+        return Promise.all(results);
+      })
+      .then((values) => {
+        values.should.deep.equal([0, 1, 2]);
+        limiter.active.should.equal(0);
+      });
+  });
+  it("should reject tasks when the queue is full", () => {
+    const onOverflow = sinon.spy();
+    const limiter = new Limiter({ maxConcurrency: 1, maxQueueLength: 1, onOverflow });
+    const task = deferred();
+    limiter.run(() => task.promise);
+    limiter.run(() => Promise.resolve());
+    return limiter
+      .run(() => Promise.resolve())
+      .then(() => {
+        throw new Error("Failed to reject.");
+      })
+      .catch((err) => {
+        err.should.be.an.instanceOf(errors.QueueFullError);
+        onOverflow.calledOnceWith(1).should.be.true();
+        task.resolve();
+      });
+  });
+  it("should pause intake when the queue is full and resume once it drains", () => {
+    const onPause = sinon.spy();
+    const onResume = sinon.spy();
+    const limiter = new Limiter({
+      maxConcurrency: 1,
+      maxQueueLength: 2,
+      overflow: "pause",
+      onPause,
+      onResume,
+    });
+    const task = deferred();
+    const results = [
+      limiter.run(() => task.promise),
+      limiter.run(() => Promise.resolve()),
+      limiter.run(() => Promise.resolve()),
+      limiter.run(() => Promise.resolve()),
+    ];
+    onPause.calledOnceWith(2).should.be.true();
+    limiter.paused.should.be.true();
+    limiter.queue.should.have.length(3);
+    task.resolve();
+    return Promise.all(results).then(() => {
+      onResume.calledOnce.should.be.true();
+      limiter.paused.should.be.false();
+    });
+  });
+});
@@ -0,0 +1,548 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const Promise = require("bluebird");
+const sinon = require("sinon");
+const envelope = require("../lib/envelope");
+const errors = require("../lib/errors");
+const MemoryBroker = require("../lib/memory-broker");
+const MemoryTransport = require("../lib/memory-transport");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+// fs.rmSync needs Node 14.14, so older versions remove directories with rmdirSync.
+const removeDir = (dir) =>
+  fs.rmSync
+    ? fs.rmSync(dir, { recursive: true, force: true })
+    : fs.rmdirSync(dir, { recursive: true });
+
+describe("memory-transport:", () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    return transport.connect();
+  });
+
+  afterEach(() => transport.disconnect());
+
+  describe("constructor:", () => {
+    it("should create a private broker by default", () => {
+      transport.broker.should.be.an.instanceOf(MemoryBroker);
+    });
+    it("should error on an invalid broker", () => {
+      try {
+        const bad = new MemoryTransport({ broker: {} });
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+  });
+
+  describe("listen:", () => {
+    it("should reject while disconnected", () => {
+      const other = new MemoryTransport();
+      return other
+        .listen()
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.TransportDisconnectedError);
+        });
+    });
+  });
+
+  describe("publish:", () => {
+    it("should deliver the message to the listener", () => {
+      const spy = sinon.spy(() => Promise.resolve());
+      let correlationId;
+      return transport
+        .addMessageListener("bob", spy)
+        .then(() => transport.listen())
+        .then(() => transport.publish("bob", { test: true }, { initiator: "fff" }))
+        .then((id) => {
+          correlationId = id;
+          return Promise.delay(5);
+        })
+        .then(() => {
+          spy.calledOnce.should.be.true();
+          spy.calledWith({ test: true }, correlationId, "fff").should.be.true();
+        });
+    });
+    it("should hold messages until the transport listens", () => {
+      const spy = sinon.spy(() => Promise.resolve());
+      return transport
+        .addMessageListener("bob", spy)
+        .then(() => transport.publish("bob", { test: true }))
+        .then(() => Promise.delay(5))
+        .then(() => {
+          spy.called.should.be.false();
+          return transport.listen();
+        })
+        .then(() => Promise.delay(5))
+        .then(() => {
+          spy.calledOnce.should.be.true();
+        });
+    });
+    it("should not share message objects with the listener", () => {
+      const message = { test: true };
+      return transport
+        .addMessageListener("bob", (msg) => {
+          // eslint-disable-next-line no-param-reassign
+          msg.test = false;
+          return Promise.resolve();
+        })
+        .then(() => transport.listen())
+        .then(() => transport.publish("bob", message))
+        .then(() => Promise.delay(5))
+        .then(() => {
+          message.test.should.be.true();
+        });
+    });
+    it("should resolve even if the handler fails", () => {
+      return transport
+        .addMessageListener("bob", () => Promise.reject(new Error("boom")))
+        .then(() => transport.listen())
+        .then(() => transport.publish("bob", {}))
+        .then((correlationId) => {
+          correlationId.should.be.a("string");
+        });
+    });
+    it("should deliver to the most specific matching pattern", () => {
+      const general = sinon.spy(() => Promise.resolve());
+      const specific = sinon.spy(() => Promise.resolve());
+      return transport
+        .addMessageListener("orders.#", general)
+        .then(() => transport.addMessageListener("orders.:id.created", specific))
+        .then(() => transport.listen())
+        .then(() => transport.publish("orders.42.created", {}))
+        .then(() => transport.publish("orders.42.deleted", {}))
+        .then(() => Promise.delay(5))
+        .then(() => {
+          specific.calledOnce.should.be.true();
+          specific.firstCall.args[3].params.should.deep.equal({ id: "42" });
+          general.calledOnce.should.be.true();
+          general.firstCall.args[3].routingKey.should.equal("orders.42.deleted");
+        });
+    });
+    it("should reject while disconnected", () => {
+      transport.simulateDisconnect();
+      return transport
+        .publish("bob", {})
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.TransportDisconnectedError);
+        });
+    });
+  });
+
+  describe("request:", () => {
+    it("should resolve to the handler response", () => {
+      return transport
+        .addMessageListener("bob", (msg) => Promise.resolve({ echo: msg.value }))
+        .then(() => transport.listen())
+        .then(() => transport.request("bob", { value: 42 }))
+        .then((res) => {
+          res.should.deep.equal({ echo: 42 });
+        });
+    });
+    it("should reject with the handler error", () => {
+      return transport
+        .addMessageListener("bob", () => Promise.reject(new errors.NotFoundError("missing")))
+        .then(() => transport.listen())
+        .then(() => transport.request("bob", {}))
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.NotFoundError);
+        });
+    });
+    it("should rebuild handler errors as their original class", () => {
+      return transport
+        .addMessageListener("bob", () =>
+          Promise.reject(new errors.ForbiddenError("denied", { role: "user" }))
+        )
+        .then(() => transport.listen())
+        .then(() => transport.request("bob", {}))
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.ForbiddenError);
+          err.response.should.deep.equal({ role: "user" });
+        });
+    });
+    it("should reject when no listener is registered", () => {
+      return transport
+        .request("nobody", {})
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.RequestError);
+        });
+    });
+    it("should time out while the listener is not consuming", () => {
+      return transport
+        .addMessageListener("bob", () => Promise.resolve())
+        .then(() => transport.request("bob", {}, { timeout: 10 }))
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.RequestTimeoutError);
+        });
+    });
+    it("should propagate the trace context to the handler", () => {
+      let received;
+      return transport
+        .addMessageListener("bob", (msg, correlationId, initiator, details) => {
+          received = details.span;
+          return Promise.resolve();
+        })
+        .then(() => transport.listen())
+        .then(() => transport.request("bob", {}, { baggage: { tenant: "acme" } }))
+        .then(() => {
+          received.traceId.should.match(/^[0-9a-f]{32}$/);
+          received.parentSpanId.should.match(/^[0-9a-f]{16}$/);
+          received.baggage.should.deep.equal({ tenant: "acme" });
+        });
+    });
+    it("should pass headers to the handler", () => {
+      let received;
+      return transport
+        .addMessageListener("bob", (msg, correlationId, initiator, details) => {
+          received = details.headers;
+          return Promise.resolve();
+        })
+        .then(() => transport.listen())
+        .then(() => transport.request("bob", {}, { headers: { tenant: "acme" } }))
+        .then(() => {
+          received.tenant.should.equal("acme");
+          received.traceparent.should.be.a("string");
+        });
+    });
+    it("should decode messages sent with another codec and encoding", () => {
+      const message = { events: new Array(100).fill({ type: "click" }) };
+      const sender = new MemoryTransport({
+        broker: transport.broker,
+        contentType: "application/msgpack",
+        contentEncoding: "gzip",
+      });
+      let received;
+      return sender
+        .connect()
+        .then(() =>
+          transport.addMessageListener("bob", (msg) => {
+            received = msg;
+            return Promise.resolve("ok");
+          })
+        )
+        .then(() => transport.listen())
+        .then(() => sender.request("bob", message))
+        .then((res) => {
+          res.should.equal("ok");
+          received.should.deep.equal(message);
+        })
+        .finally(() => sender.disconnect());
+    });
+    it("should reject messages that decompress beyond the maximum size", () => {
+      const limited = new MemoryTransport({ broker: transport.broker, maxDecodedSize: 1000 });
+      const sender = new MemoryTransport({ broker: transport.broker, contentEncoding: "gzip" });
+      return Promise.all([limited.connect(), sender.connect()])
+        .then(() => limited.addMessageListener("bob", () => Promise.resolve("ok")))
+        .then(() => limited.listen())
+        .then(() => sender.request("bob", { text: "a".repeat(10000) }, { retry: false }))
+        .then(
+          () => {
+            throw new Error("Failed to reject.");
+          },
+          (err) => {
+            err.should.be.an.instanceOf(errors.CodecError);
+          }
+        )
+        .finally(() => Promise.all([limited.disconnect(), sender.disconnect()]));
+    });
+    it("should return the first response to redelivered requests", () => {
+      const deduplicating = new MemoryTransport({ dedup: true });
+      const callback = sinon.stub().resolves("hi");
+      return deduplicating
+        .connect()
+        .then(() => deduplicating.addMessageListener("bob", callback))
+        .then(() => deduplicating.listen())
+        .then(() =>
+          Promise.mapSeries([1, 2], () => deduplicating.request("bob", {}, { messageId: "abc" }))
+        )
+        .then((responses) => {
+          responses.should.deep.equal(["hi", "hi"]);
+          callback.calledOnce.should.be.true();
+          callback.firstCall.args[3].messageId.should.equal("abc");
+        })
+        .finally(() => deduplicating.disconnect());
+    });
+    it("should route between transports sharing a broker", () => {
+      const broker = new MemoryBroker();
+      const service = new MemoryTransport({ broker });
+      const client = new MemoryTransport({ broker });
+      return Promise.all([service.connect(), client.connect()])
+        .then(() => service.addMessageListener("bob", () => Promise.resolve("hi")))
+        .then(() => service.listen())
+        .then(() => client.request("bob", {}))
+        .then((res) => {
+          res.should.equal("hi");
+        })
+        .finally(() => Promise.all([service.disconnect(), client.disconnect()]));
+    });
+  });
+
+  describe("receive:", () => {
+    it("should reject envelopes with an unsupported version", () => {
+      const data = JSON.stringify({
+        ...envelope.create({ routingKey: "bob", correlationId: "ggg" }),
+        version: 99,
+      });
+      return transport
+        .addMessageListener("bob", () => Promise.resolve())
+        .then(() => transport.receive(data))
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.EnvelopeVersionError);
+        });
+    });
+    it("should reject envelopes without a matching listener", () => {
+      const data = envelope.encode(envelope.create({ routingKey: "bob", correlationId: "ggg" }));
+      return transport
+        .receive(data)
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.RequestError);
+        });
+    });
+  });
+
+  describe("concurrency limits:", () => {
+    it("should hold messages in the broker while intake is paused", () => {
+      let release;
+      const blocked = new Promise((resolve) => {
+        release = resolve;
+      });
+      const callback = sinon.spy(() => blocked);
+      const results = [];
+      return transport
+        .addMessageListener("bob", callback, {
+          maxConcurrency: 1,
+          maxQueueLength: 1,
+          overflow: "pause",
+        })
+        .then(() => transport.listen())
+        .then(() => {
+          results.push(transport.request("bob", {}));
+          return Promise.delay(5);
+        })
+        .then(() => {
+          results.push(transport.request("bob", {}));
+          return Promise.delay(5);
+        })
+        .then(() => {
+          transport.isIntakePaused("bob").should.be.true();
+          results.push(transport.request("bob", {}));
+          return Promise.delay(5);
+        })
+        .then(() => {
+          transport.broker.queued.should.have.length(1);
+          release("done");
+          return Promise.all(results);
+        })
+        .then((responses) => {
+          responses.should.deep.equal(["done", "done", "done"]);
+          callback.calledThrice.should.be.true();
+        });
+    });
+  });
+
+  describe("drain:", () => {
+    it("should finish in-flight handlers and hold new messages in the broker", () => {
+      let finish;
+      const callback = sinon.spy(
+        () =>
+          new Promise((resolve) => {
+            finish = resolve;
+          })
+      );
+      let first;
+      return transport
+        .addMessageListener("bob", callback)
+        .then(() => transport.listen())
+        .then(() => {
+          first = transport.request("bob", {});
+          return Promise.delay(5);
+        })
+        .then(() => {
+          const drained = transport.drain({ deadline: 1000 });
+          transport.publish("bob", {});
+          setTimeout(() => finish("done"), 5);
+          return Promise.all([drained, first]);
+        })
+        .then(([report, response]) => {
+          report.settled.should.be.true();
+          response.should.equal("done");
+          callback.calledOnce.should.be.true();
+          transport.connected.should.be.false();
+          transport.broker.queued.should.have.length(1);
+        });
+    });
+  });
+
+  describe("removeMessageListener:", () => {
+    it("should stop delivering messages to the listener", () => {
+      return transport
+        .addMessageListener("bob", () => Promise.resolve())
+        .then(() => transport.removeMessageListener("bob"))
+        .then(() => {
+          transport.hasListener("bob").should.be.false();
+        });
+    });
+  });
+
+  describe("events:", () => {
+    it("should emit disconnected and reconnected", () => {
+      const disconnected = sinon.spy();
+      const reconnected = sinon.spy();
+      transport.on("disconnected", disconnected);
+      transport.on("reconnected", reconnected);
+      transport.simulateDisconnect();
+      transport.connected.should.be.false();
+      transport.simulateReconnect();
+      transport.connected.should.be.true();
+      disconnected.calledOnce.should.be.true();
+      reconnected.calledOnce.should.be.true();
+    });
+    it("should deliver held messages after reconnecting", () => {
+      const broker = new MemoryBroker();
+      const service = new MemoryTransport({ broker });
+      const client = new MemoryTransport({ broker });
+      return Promise.all([service.connect(), client.connect()])
+        .then(() => service.addMessageListener("bob", () => Promise.resolve("hi")))
+        .then(() => service.listen())
+        .then(() => {
+          service.simulateDisconnect();
+          const pending = client.request("bob", {});
+          service.simulateReconnect();
+          return pending;
+        })
+        .then((res) => {
+          res.should.equal("hi");
+        })
+        .finally(() => Promise.all([service.disconnect(), client.disconnect()]));
+    });
+    it("should hold messages for a listener whose transport disconnected", () => {
+      const broker = new MemoryBroker();
+      const service = new MemoryTransport({ broker });
+      const client = new MemoryTransport({ broker });
+      return Promise.all([service.connect(), client.connect()])
+        .then(() => service.addMessageListener("bob", () => Promise.resolve("hi")))
+        .then(() => service.listen())
+        .then(() => service.disconnect())
+        .then(() => {
+          const pending = client.request("bob", {}, { retry: false });
+          return Promise.delay(5)
+            .then(() => {
+              pending.isPending().should.be.true();
+              return service.connect();
+            })
+            .then(() => service.listen())
+            .then(() => pending);
+        })
+        .then((res) => {
+          res.should.equal("hi");
+        })
+        .finally(() => Promise.all([service.disconnect(), client.disconnect()]));
+    });
+    it("should reconnect and send buffered publishes when enabled", () => {
+      const broker = new MemoryBroker();
+      const service = new MemoryTransport({ broker });
+      const client = new MemoryTransport({ broker, reconnect: { initialDelay: 1, jitter: 0 } });
+      const received = [];
+      return Promise.all([service.connect(), client.connect()])
+        .then(() =>
+          service.addMessageListener("bob", (msg) => {
+            received.push(msg);
+            return Promise.resolve();
+          })
+        )
+        .then(() => service.listen())
+        .then(() => {
+          const reconnected = new Promise((resolve) => client.once("reconnected", resolve));
+          client.simulateDisconnect();
+          return Promise.all([client.publish("bob", { n: 1 }), reconnected]);
+        })
+        .then(() => Promise.delay(10))
+        .then(() => {
+          client.connected.should.be.true();
+          received.should.deep.equal([{ n: 1 }]);
+        })
+        .finally(() => Promise.all([service.disconnect(), client.disconnect()]));
+    });
+    it("should spool publishes to a file while disconnected and flush them on reconnect", () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+      const file = path.join(dir, "outbox.ndjson");
+      const broker = new MemoryBroker();
+      const service = new MemoryTransport({ broker });
+      const client = new MemoryTransport({ broker, outbox: { path: file } });
+      const received = [];
+      return Promise.all([service.connect(), client.connect()])
+        .then(() =>
+          service.addMessageListener("bob", (msg, correlationId, initiator) => {
+            received.push({ msg, correlationId, initiator });
+            return Promise.resolve();
+          })
+        )
+        .then(() => service.listen())
+        .then(() => {
+          client.simulateDisconnect();
+          return client.publish("bob", { n: 1 }, { correlationId: "ggg", initiator: "fff" });
+        })
+        .then(() => {
+          fs.existsSync(file).should.be.true();
+          const flushed = new Promise((resolve) => client.once("outboxFlushed", resolve));
+          client.simulateReconnect();
+          return flushed;
+        })
+        .then((report) => {
+          report.sent.should.equal(1);
+          fs.existsSync(file).should.be.false();
+          return Promise.delay(10);
+        })
+        .then(() => {
+          received.should.deep.equal([{ msg: { n: 1 }, correlationId: "ggg", initiator: "fff" }]);
+        })
+        .finally(() => {
+          removeDir(dir);
+          return Promise.all([service.disconnect(), client.disconnect()]);
+        });
+    });
+    it("should emit a TransportDisconnectedError on error", () => {
+      const spy = sinon.spy();
+      transport.on("error", spy);
+      transport.simulateError();
+      spy.calledOnce.should.be.true();
+      spy.firstCall.args[0].should.be.an.instanceOf(errors.TransportDisconnectedError);
+    });
+  });
+});
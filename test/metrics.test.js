@@ -0,0 +1,127 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const sinon = require("sinon");
+const { OTHER_KEY, Histogram, Metrics } = require("../lib/metrics");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("metrics:", () => {
+  describe("Histogram:", () => {
+    it("should catch invalid buckets", () => {
+      try {
+        const histogram = new Histogram([10, "bob"]);
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should count observations into cumulative buckets", () => {
+      const histogram = new Histogram([10, 100]);
+      [1, 5, 50, 500].forEach((value) => histogram.observe(value));
+      const snapshot = histogram.snapshot();
+      snapshot.count.should.equal(4);
+      snapshot.sum.should.equal(556);
+      snapshot.min.should.equal(1);
+      snapshot.max.should.equal(500);
+      snapshot.buckets.should.deep.equal([
+        { le: 10, count: 2 },
+        { le: 100, count: 3 },
+        { le: Infinity, count: 4 },
+      ]);
+    });
+    it("should estimate quantiles", () => {
+      const histogram = new Histogram([10, 20, 30, 40, 50, 60, 70, 80, 90, 100]);
+      for (let i = 1; i <= 100; i += 1) {
+        histogram.observe(i);
+      }
+      histogram.quantile(0.5).should.be.closeTo(50, 1);
+      histogram.quantile(0.95).should.be.closeTo(95, 1);
+      histogram.quantile(0.99).should.be.closeTo(99, 1);
+    });
+    it("should return zero quantiles when empty", () => {
+      new Histogram([10]).quantile(0.5).should.equal(0);
+    });
+  });
+
+  describe("Metrics:", () => {
+    it("should catch invalid groups", () => {
+      try {
+        new Metrics({ buckets: [10] }).begin("bob", "bob");
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should track in-flight operations", () => {
+      const metrics = new Metrics({ buckets: [10] });
+      metrics.begin("handlers", "bob");
+      metrics.begin("handlers", "bob");
+      metrics.end("handlers", "bob");
+      metrics.snapshot().handlers.bob.inFlight.should.equal(1);
+    });
+    it("should track queued operations", () => {
+      const metrics = new Metrics({ buckets: [10] });
+      metrics.enqueue("handlers", "bob");
+      metrics.enqueue("handlers", "bob");
+      metrics.dequeue("handlers", "bob");
+      metrics.snapshot().handlers.bob.queued.should.equal(1);
+    });
+    it("should record when an operation last succeeded", () => {
+      const metrics = new Metrics({ buckets: [10] });
+      expect(metrics.lastSuccessAt).to.be.null();
+      metrics.observe("requests", "bob", 5, new Error("bad"));
+      expect(metrics.lastSuccessAt).to.be.null();
+      metrics.observe("requests", "bob", 5);
+      metrics.lastSuccessAt.should.be.a("number");
+    });
+    it("should count recent errors by group", () => {
+      const clock = sinon.useFakeTimers(1000);
+      try {
+        const metrics = new Metrics({ buckets: [10], errorWindow: 100 });
+        metrics.observe("handlers", "bob", 5, new Error("bad"));
+        clock.tick(60);
+        metrics.observe("requests", "bob", 5, new Error("bad"));
+        metrics.observe("requests", "bob", 5);
+        metrics
+          .countRecentErrors()
+          .should.deep.equal({ handlers: 1, publishes: 0, requests: 1, total: 2 });
+        clock.tick(60);
+        metrics
+          .countRecentErrors()
+          .should.deep.equal({ handlers: 0, publishes: 0, requests: 1, total: 1 });
+        metrics.recentErrors.should.have.length(1);
+      } finally {
+        clock.restore();
+      }
+    });
+    it("should catch an invalid error window", () => {
+      (() => new Metrics({ buckets: [10], errorWindow: -1 })).should.throw(TypeError);
+    });
+    it("should combine keys beyond the maximum", () => {
+      (() => new Metrics({ buckets: [10], maxKeys: 0 })).should.throw(TypeError);
+      const metrics = new Metrics({ buckets: [10], maxKeys: 2 });
+      ["users.1", "users.2", "users.3", "users.4", "users.1"].forEach((key) =>
+        metrics.observe("publishes", key, 5)
+      );
+      const { publishes } = metrics.snapshot();
+      Object.keys(publishes).should.have.members(["users.1", "users.2", OTHER_KEY]);
+      publishes["users.1"].count.should.equal(2);
+      publishes[OTHER_KEY].count.should.equal(2);
+    });
+    it("should split errors by name", () => {
+      const metrics = new Metrics({ buckets: [10] });
+      metrics.observe("requests", "bob", 5);
+      metrics.observe("requests", "bob", 5, new TypeError("bad"));
+      metrics.observe("requests", "bob", 5, new TypeError("bad"));
+      const stats = metrics.snapshot().requests.bob;
+      stats.successCount.should.equal(1);
+      stats.errorCount.should.equal(2);
+      stats.errors.should.deep.equal({ TypeError: 2 });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const Promise = require("bluebird");
+const sinon = require("sinon");
+const { Metrics } = require("../lib/metrics");
+const middleware = require("../lib/middleware");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("middleware:", () => {
+  describe("compose:", () => {
+    it("should catch invalid input", () => {
+      try {
+        middleware.compose([() => {}, "bob"]);
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should run middleware in order around the final handler", () => {
+      const calls = [];
+      const chain = middleware.compose([
+        (ctx, next) => {
+          calls.push("a:before");
+          return next().then(() => calls.push("a:after"));
+        },
+        (ctx, next) => {
+          calls.push("b:before");
+          return next().then(() => calls.push("b:after"));
+        },
+      ]);
+      return chain({}, () => {
+        calls.push("final");
+        return "done";
+      }).then((res) => {
+        res.should.equal("done");
+        calls.should.deep.equal(["a:before", "b:before", "final", "b:after", "a:after"]);
+      });
+    });
+    it("should allow middleware to replace the result", () => {
+      const chain = middleware.compose([
+        (ctx, next) =>
+          next().then(() => {
+            ctx.result = "replaced"; // eslint-disable-line no-param-reassign
+          }),
+      ]);
+      return chain({}, () => "original").then((res) => {
+        res.should.equal("replaced");
+      });
+    });
+    it("should allow middleware to short-circuit the chain", () => {
+      const final = sinon.spy();
+      const chain = middleware.compose([() => Promise.reject(new Error("denied"))]);
+      return chain({}, final)
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.message.should.equal("denied");
+          final.called.should.be.false();
+        });
+    });
+    it("should reject if next() is called multiple times", () => {
+      const chain = middleware.compose([(ctx, next) => next().then(() => next())]);
+      return chain({}, () => "done")
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.message.should.equal("next() called multiple times.");
+        });
+    });
+  });
+
+  describe("tracing:", () => {
+    it("should time the span and fire events around it", () => {
+      const transport = { emit: sinon.spy() };
+      const span = {};
+      const failure = new Error("boom");
+      return middleware
+        .tracing()({ transport, span }, () => Promise.reject(failure))
+        .catch((err) => {
+          err.should.equal(failure);
+          transport.emit.args
+            .map(([event]) => event)
+            .should.deep.equal(["spanStart", "spanFinish"]);
+          span.error.should.equal(failure);
+          span.duration.should.equal(span.endTime - span.startTime);
+        });
+    });
+  });
+
+  describe("timing:", () => {
+    it("should record timings for successes and failures", () => {
+      const transport = { recordTiming: sinon.spy(), metrics: new Metrics({ buckets: [10] }) };
+      const timing = middleware.timing();
+      const failure = new Error("boom");
+      return timing({ transport, topic: "bob" }, () => Promise.resolve())
+        .then(() => timing({ transport, topic: "bob" }, () => Promise.reject(failure)))
+        .catch(() => {
+          transport.recordTiming.calledTwice.should.be.true();
+          transport.recordTiming.firstCall.args[0].should.equal("bob");
+          transport.recordTiming.secondCall.args[2].should.equal(failure);
+        });
+    });
+    it("should track in-flight handlers", () => {
+      const transport = { recordTiming: sinon.spy(), metrics: new Metrics({ buckets: [10] }) };
+      const timing = middleware.timing();
+      return timing({ transport, topic: "bob" }, () => {
+        transport.metrics.snapshot().handlers.bob.inFlight.should.equal(1);
+        return Promise.resolve();
+      }).then(() => {
+        transport.metrics.snapshot().handlers.bob.inFlight.should.equal(0);
+      });
+    });
+  });
+
+  describe("outboundMetrics:", () => {
+    it("should count publishes and requests separately", () => {
+      const transport = { metrics: new Metrics({ buckets: [10] }) };
+      const outboundMetrics = middleware.outboundMetrics();
+      return outboundMetrics({ transport, type: "publish", routingKey: "bob" }, () =>
+        Promise.resolve()
+      )
+        .then(() =>
+          outboundMetrics({ transport, type: "request", routingKey: "bob" }, () =>
+            Promise.reject(new TypeError("bad"))
+          )
+        )
+        .catch(() => {
+          const snapshot = transport.metrics.snapshot();
+          snapshot.publishes.bob.successCount.should.equal(1);
+          snapshot.requests.bob.errors.should.deep.equal({ TypeError: 1 });
+        });
+    });
+  });
+
+  describe("errorLogging:", () => {
+    it("should log errors unless skipLog is set", () => {
+      const transport = { logger: { error: sinon.spy() } };
+      const errorLogging = middleware.errorLogging();
+      const skipped = new Error("skipped");
+      skipped.skipLog = true;
+      return errorLogging({ transport }, () => Promise.reject(new Error("boom")))
+        .catch(() => errorLogging({ transport }, () => Promise.reject(skipped)))
+        .catch((err) => {
+          err.should.equal(skipped);
+          transport.logger.error.calledOnce.should.be.true();
+        });
+    });
+  });
+});
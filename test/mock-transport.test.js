@@ -0,0 +1,244 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const assert = require("assert");
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const Promise = require("bluebird");
+const sinon = require("sinon");
+const errors = require("../lib/errors");
+const MockTransport = require("../lib/mock-transport");
+const Transport = require("../lib/transport");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("mock-transport:", () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new MockTransport();
+    return transport.connect();
+  });
+
+  afterEach(() => transport.disconnect());
+
+  describe("constructor:", () => {
+    it("should create a Transport", () => {
+      transport.should.be.an.instanceOf(Transport);
+      transport.connected.should.be.true();
+    });
+  });
+
+  describe("expectRequest:", () => {
+    it("should throw if the routing key is not a string", () => {
+      expect(() => transport.expectRequest(42)).to.throw(TypeError);
+    });
+    it("should answer a matching request with the response", () => {
+      transport.expectRequest("users.get").respond({ name: "bob" });
+      return transport.request("users.get", { id: 1 }).then((res) => {
+        res.should.deep.equal({ name: "bob" });
+      });
+    });
+    it("should answer with a response function", () => {
+      transport.expectRequest("users.get").respond((msg) => Promise.resolve({ id: msg.id }));
+      return transport.request("users.get", { id: 7 }).then((res) => {
+        res.should.deep.equal({ id: 7 });
+      });
+    });
+    it("should reject a matching request with the error", () => {
+      transport.expectRequest("users.get").reject(new errors.NotFoundError("No such user."));
+      return transport.request("users.get", { id: 1 }, { retry: false }).then(
+        () => Promise.reject(new Error("Expected the request to reject.")),
+        (err) => {
+          err.should.be.an.instanceOf(errors.NotFoundError);
+          err.message.should.equal("No such user.");
+        }
+      );
+    });
+    it("should throw if reject() is not given an Error", () => {
+      expect(() => transport.expectRequest("users.get").reject("nope")).to.throw(TypeError);
+    });
+    it("should only match requests with the expected message", () => {
+      transport.expectRequest("users.get").withMessage({ id: 2 }).respond("two");
+      transport.expectRequest("users.get").withMessage({ id: 1 }).respond("one");
+      return transport.request("users.get", { id: 1 }).then((res) => {
+        res.should.equal("one");
+      });
+    });
+    it("should match messages with a predicate", () => {
+      transport
+        .expectRequest("users.get")
+        .withMessage((msg) => msg.id > 5)
+        .respond("big");
+      return transport.request("users.get", { id: 6 }).then((res) => {
+        res.should.equal("big");
+      });
+    });
+    it("should match routing key patterns", () => {
+      transport.expectRequest("users.*").respond("ok");
+      return transport.request("users.list", {}).then((res) => {
+        res.should.equal("ok");
+      });
+    });
+    it("should record the calls of an expectation", () => {
+      const expectation = transport.expectRequest("users.get");
+      return transport.request("users.get", { id: 1 }, { correlationId: "ggg" }).then(() => {
+        expectation.calls.should.have.length(1);
+        expectation.calls[0].message.should.deep.equal({ id: 1 });
+        expectation.calls[0].options.correlationId.should.equal("ggg");
+      });
+    });
+    it("should answer an expectation as many times as expected", () => {
+      transport.expectRequest("users.get").respond("first").times(2);
+      transport.expectRequest("users.get").respond("second");
+      return Promise.mapSeries([1, 2, 3], (id) => transport.request("users.get", { id })).then(
+        (responses) => {
+          responses.should.deep.equal(["first", "first", "second"]);
+        }
+      );
+    });
+    it("should throw if times() is not given a positive integer", () => {
+      expect(() => transport.expectRequest("users.get").times(0)).to.throw(TypeError);
+    });
+    it("should reject unexpected requests with a RequestError", () =>
+      transport.request("users.get", { id: 1 }, { retry: false }).then(
+        () => Promise.reject(new Error("Expected the request to reject.")),
+        (err) => {
+          err.should.be.an.instanceOf(errors.RequestError);
+          transport.unexpected.should.have.length(1);
+          transport.unexpected[0].routingKey.should.equal("users.get");
+        }
+      ));
+    it("should reject requests while disconnected", () => {
+      transport.expectRequest("users.get");
+      transport.connected = false;
+      return transport.request("users.get", {}, { retry: false }).then(
+        () => Promise.reject(new Error("Expected the request to reject.")),
+        (err) => {
+          err.should.be.an.instanceOf(errors.TransportDisconnectedError);
+        }
+      );
+    });
+  });
+
+  describe("publish:", () => {
+    it("should record published messages", () =>
+      transport
+        .publish("users.created", { id: 1 }, { correlationId: "ggg", initiator: "fff" })
+        .then(() => {
+          transport.published.should.have.length(1);
+          const [published] = transport.published;
+          published.routingKey.should.equal("users.created");
+          published.message.should.deep.equal({ id: 1 });
+          published.correlationId.should.equal("ggg");
+          published.initiator.should.equal("fff");
+          published.messageId.should.be.a("string");
+        }));
+    it("should filter published messages by routing key", () =>
+      Promise.mapSeries(["users.created", "users.deleted", "users.created"], (key) =>
+        transport.publish(key, {})
+      ).then(() => {
+        transport.getPublished().should.have.length(3);
+        transport.getPublished("users.created").should.have.length(2);
+        transport.getPublished("users.updated").should.have.length(0);
+      }));
+    it("should reject publishes while disconnected", () => {
+      transport.connected = false;
+      return transport.publish("users.created", {}, { retry: false }).then(
+        () => Promise.reject(new Error("Expected the publish to reject.")),
+        (err) => {
+          err.should.be.an.instanceOf(errors.TransportDisconnectedError);
+        }
+      );
+    });
+  });
+
+  describe("deliver:", () => {
+    it("should pass the message to the matching listener", () => {
+      const handler = sinon.stub().resolves({ ok: true });
+      return transport
+        .addMessageListener("users.*", handler)
+        .then(() =>
+          transport.deliver("users.created", { id: 1 }, { correlationId: "ggg", initiator: "fff" })
+        )
+        .then((res) => {
+          res.should.deep.equal({ ok: true });
+          handler.calledOnce.should.be.true();
+          handler.firstCall.args[0].should.deep.equal({ id: 1 });
+          handler.firstCall.args[1].should.equal("ggg");
+          handler.firstCall.args[2].should.equal("fff");
+          handler.firstCall.args[3].routingKey.should.equal("users.created");
+        });
+    });
+    it("should reject if no listener matches", () =>
+      transport.deliver("users.created", {}).then(
+        () => Promise.reject(new Error("Expected the delivery to reject.")),
+        (err) => {
+          err.should.be.an.instanceOf(errors.RequestError);
+        }
+      ));
+  });
+
+  describe("verify:", () => {
+    it("should pass when every expectation was met", () => {
+      transport.expectRequest("users.get");
+      return transport.request("users.get", {}).then(() => {
+        expect(() => transport.verify()).to.not.throw();
+      });
+    });
+    it("should throw for unmet expectations", () => {
+      transport.expectRequest("users.get").times(2);
+      return transport.request("users.get", {}).then(() => {
+        expect(() => transport.verify()).to.throw(assert.AssertionError, /users\.get/);
+      });
+    });
+    it("should throw for unexpected requests", () =>
+      transport
+        .request("users.delete", { id: 1 }, { retry: false })
+        .catch(() => {})
+        .then(() => {
+          expect(() => transport.verify()).to.throw(assert.AssertionError, /users\.delete/);
+        }));
+  });
+
+  describe("reset:", () => {
+    it("should forget expectations, published messages and unexpected requests", () => {
+      transport.expectRequest("users.get");
+      return transport
+        .publish("users.created", {})
+        .then(() => transport.request("users.delete", {}, { retry: false }).catch(() => {}))
+        .then(() => {
+          transport.reset();
+          transport.expectations.should.be.empty();
+          transport.published.should.be.empty();
+          transport.unexpected.should.be.empty();
+          expect(() => transport.verify()).to.not.throw();
+        });
+    });
+  });
+
+  describe("simulate:", () => {
+    it("should emit disconnected and reconnected", () => {
+      const disconnected = sinon.spy();
+      const reconnected = sinon.spy();
+      transport.on("disconnected", disconnected);
+      transport.on("reconnected", reconnected);
+      transport.simulateDisconnect();
+      transport.connected.should.be.false();
+      transport.simulateReconnect();
+      transport.connected.should.be.true();
+      disconnected.calledOnce.should.be.true();
+      reconnected.calledOnce.should.be.true();
+    });
+    it("should emit error", () => {
+      const onError = sinon.spy();
+      transport.on("error", onError);
+      const err = new Error("boom");
+      transport.simulateError(err);
+      onError.calledWith(err).should.be.true();
+      transport.connected.should.be.false();
+    });
+  });
+});
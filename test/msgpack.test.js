@@ -0,0 +1,69 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const errors = require("../lib/errors");
+const msgpack = require("../lib/msgpack");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("msgpack:", () => {
+  describe("encode:", () => {
+    it("should use the smallest format for each value", () => {
+      msgpack.encode(null).toString("hex").should.equal("c0");
+      msgpack.encode(true).toString("hex").should.equal("c3");
+      msgpack.encode(5).toString("hex").should.equal("05");
+      msgpack.encode(-5).toString("hex").should.equal("fb");
+      msgpack.encode(200).toString("hex").should.equal("ccc8");
+      msgpack.encode(-200).toString("hex").should.equal("d1ff38");
+      msgpack.encode(1.5).toString("hex").should.equal("cb3ff8000000000000");
+      msgpack.encode("hi").toString("hex").should.equal("a26869");
+      msgpack.encode([1, 2]).toString("hex").should.equal("920102");
+      msgpack.encode({ a: 1 }).toString("hex").should.equal("81a16101");
+    });
+    it("should encode values the way JSON would see them", () => {
+      const date = new Date(0);
+      msgpack.decode(msgpack.encode({ date, skip: undefined, fn: () => {} })).should.deep.equal({
+        date: date.toJSON(),
+      });
+      msgpack.decode(msgpack.encode([undefined])).should.deep.equal([null]);
+    });
+    it("should error on values it cannot encode", () => {
+      expect(() => msgpack.encode(BigInt(1))).to.throw(errors.CodecError); // eslint-disable-line no-undef
+    });
+  });
+
+  describe("decode:", () => {
+    it("should round trip values", () => {
+      const value = {
+        str: "héllo".repeat(20),
+        long: "x".repeat(70000),
+        ints: [0, 127, 128, 255, 256, 65536, 2 ** 32, 2 ** 40, -1, -33, -129, -32769, -(2 ** 40)],
+        floats: [0.5, -1.25],
+        nested: { list: new Array(20).fill({ ok: false }) },
+        empty: {},
+        bin: Buffer.from([1, 2, 3]),
+      };
+      msgpack.decode(msgpack.encode(value)).should.deep.equal(value);
+    });
+    it("should decode timestamps as dates", () => {
+      msgpack.decode(Buffer.from("d6ff0000003c", "hex")).getTime().should.equal(60000);
+      msgpack.decode(Buffer.from("d7ff000000000000003c", "hex")).getTime().should.equal(60000);
+    });
+    it("should not let keys replace the prototype", () => {
+      const decoded = msgpack.decode(msgpack.encode(JSON.parse('{"__proto__":{"polluted":true}}')));
+      expect(decoded.polluted).to.be.undefined();
+      decoded.should.have.own.property("__proto__");
+    });
+    it("should error on invalid data", () => {
+      expect(() => msgpack.decode("c0")).to.throw(TypeError);
+      expect(() => msgpack.decode(Buffer.from("c1", "hex"))).to.throw(errors.CodecError);
+      expect(() => msgpack.decode(Buffer.from("a36869", "hex"))).to.throw(errors.CodecError);
+      expect(() => msgpack.decode(Buffer.from("c0c0", "hex"))).to.throw(errors.CodecError);
+      expect(() => msgpack.decode(Buffer.from("d401ff", "hex"))).to.throw(errors.CodecError);
+    });
+  });
+});
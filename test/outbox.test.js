@@ -0,0 +1,234 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const Promise = require("bluebird");
+const sinon = require("sinon");
+const defaults = require("../defaults.json");
+const errors = require("../lib/errors");
+const { MemoryOutboxStore, FileOutboxStore, Outbox } = require("../lib/outbox");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+// fs.rmSync needs Node 14.14, so older versions remove directories with rmdirSync.
+const removeDir = (dir) =>
+  fs.rmSync
+    ? fs.rmSync(dir, { recursive: true, force: true })
+    : fs.rmdirSync(dir, { recursive: true });
+
+describe("outbox:", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  describe("MemoryOutboxStore:", () => {
+    it("should keep entries in order", () => {
+      const store = new MemoryOutboxStore();
+      return Promise.mapSeries([1, 2, 3], (n) => store.add({ n }))
+        .then(() => store.remove(1))
+        .then(() => Promise.all([store.list(), store.count()]))
+        .then(([entries, count]) => {
+          entries.should.deep.equal([{ n: 2 }, { n: 3 }]);
+          count.should.equal(2);
+        });
+    });
+  });
+
+  describe("FileOutboxStore:", () => {
+    it("should catch invalid input", () => {
+      (() => new FileOutboxStore()).should.throw(TypeError);
+      (() => new FileOutboxStore({ path: 42 })).should.throw(TypeError);
+    });
+    it("should append entries to the file", () => {
+      const file = path.join(dir, "outbox.ndjson");
+      const store = new FileOutboxStore({ path: file });
+      return Promise.all([store.add({ n: 1 }), store.add({ n: 2 })]).then(() => {
+        fs.readFileSync(file, "utf8").should.equal('{"n":1}\n{"n":2}\n');
+        return store.count().then((count) => {
+          count.should.equal(2);
+        });
+      });
+    });
+    it("should read entries spooled by an earlier store", () => {
+      const file = path.join(dir, "outbox.ndjson");
+      fs.writeFileSync(file, '{"n":1}\n\n{"n":2}\n');
+      const store = new FileOutboxStore({ path: file });
+      return store
+        .add({ n: 3 })
+        .then(() => Promise.all([store.list(), store.count()]))
+        .then(([entries, count]) => {
+          entries.should.deep.equal([{ n: 1 }, { n: 2 }, { n: 3 }]);
+          count.should.equal(3);
+        });
+    });
+    it("should rewrite the file without removed entries, and delete it once empty", () => {
+      const file = path.join(dir, "outbox.ndjson");
+      const store = new FileOutboxStore({ path: file });
+      return Promise.mapSeries([1, 2, 3], (n) => store.add({ n }))
+        .then(() => store.remove(2))
+        .then(() => {
+          fs.readFileSync(file, "utf8").should.equal('{"n":3}\n');
+          return store.remove(1);
+        })
+        .then(() => {
+          fs.existsSync(file).should.be.false();
+          return store.count();
+        })
+        .then((count) => {
+          count.should.equal(0);
+        });
+    });
+    it("should treat a missing file as empty", () => {
+      const store = new FileOutboxStore({ path: path.join(dir, "missing.ndjson") });
+      return store.list().then((entries) => {
+        entries.should.deep.equal([]);
+      });
+    });
+    it("should reject invalid lines with their line number", () => {
+      const file = path.join(dir, "outbox.ndjson");
+      fs.writeFileSync(file, '{"n":1}\nnope\n');
+      return new FileOutboxStore({ path: file }).list().then(
+        () => {
+          throw new Error("Failed to reject.");
+        },
+        (err) => {
+          err.should.be.an.instanceOf(SyntaxError);
+          err.message.should.contain("Line 2");
+        }
+      );
+    });
+    it("should drop an incomplete last line, log it and rewrite the file", () => {
+      const file = path.join(dir, "outbox.ndjson");
+      fs.writeFileSync(file, '{"n":1}\n{"n":2}\n{"n"');
+      const logger = { error: sinon.spy() };
+      const store = new FileOutboxStore({ path: file, logger });
+      return store
+        .add({ n: 3 })
+        .then(() => Promise.all([store.list(), store.count()]))
+        .then(([entries, count]) => {
+          entries.should.deep.equal([{ n: 1 }, { n: 2 }, { n: 3 }]);
+          count.should.equal(3);
+          fs.readFileSync(file, "utf8").should.equal('{"n":1}\n{"n":2}\n{"n":3}\n');
+          logger.error.calledOnce.should.be.true();
+          logger.error.firstCall.args[0].should.be.an.instanceOf(SyntaxError);
+          logger.error.firstCall.args[0].message.should.contain("Line 3");
+        });
+    });
+    it("should keep a complete last line that is missing its line break", () => {
+      const file = path.join(dir, "outbox.ndjson");
+      fs.writeFileSync(file, '{"n":1}');
+      const store = new FileOutboxStore({ path: file });
+      return store.add({ n: 2 }).then(() => {
+        fs.readFileSync(file, "utf8").should.equal('{"n":1}\n{"n":2}\n');
+      });
+    });
+  });
+
+  describe("Outbox:", () => {
+    it("should catch invalid input", () => {
+      (() => new Outbox({ maxEntries: 0 })).should.throw(TypeError);
+      (() => new Outbox({ path: 42 })).should.throw(TypeError);
+      (() => new Outbox({ store: {} })).should.throw(TypeError);
+      (() => new Outbox({ path: "a", store: new MemoryOutboxStore() })).should.throw(TypeError);
+    });
+    it("should initialize settings from defaults", () => {
+      const outbox = new Outbox();
+      outbox.maxEntries.should.equal(defaults.outbox.maxEntries);
+      outbox.store.should.be.an.instanceOf(MemoryOutboxStore);
+      new Outbox({ path: path.join(dir, "a") }).store.should.be.an.instanceOf(FileOutboxStore);
+    });
+    it("should reject entries once full", () => {
+      const outbox = new Outbox({ maxEntries: 2 });
+      return Promise.all([
+        outbox.add({ n: 1 }),
+        outbox.add({ n: 2 }),
+        outbox.add({ n: 3 }).catch((err) => err),
+      ]).then(([, , err]) => {
+        err.should.be.an.instanceOf(errors.QueueFullError);
+        return outbox.store.count().then((count) => {
+          count.should.equal(2);
+        });
+      });
+    });
+    it("should send entries in order and report progress", () => {
+      const outbox = new Outbox();
+      const send = sinon.stub().resolves();
+      const onProgress = sinon.spy();
+      return Promise.mapSeries([1, 2, 3], (n) => outbox.add({ n }))
+        .then(() => outbox.flush(send, onProgress))
+        .then((report) => {
+          report.should.deep.equal({ sent: 3, failed: 0, remaining: 0, error: null });
+          send.args.map(([entry]) => entry.n).should.deep.equal([1, 2, 3]);
+          onProgress.callCount.should.equal(3);
+          onProgress.lastCall.args[0].should.deep.include({ entry: { n: 3 }, sent: 3, failed: 0 });
+          expect(outbox.flushing).to.be.null();
+        });
+    });
+    it("should send entries added while flushing", () => {
+      const outbox = new Outbox();
+      const sent = [];
+      const send = (entry) => {
+        sent.push(entry.n);
+        return entry.n === 1 ? outbox.add({ n: 2 }) : Promise.resolve();
+      };
+      return outbox
+        .add({ n: 1 })
+        .then(() => outbox.flush(send))
+        .then((report) => {
+          report.sent.should.equal(2);
+          sent.should.deep.equal([1, 2]);
+        });
+    });
+    it("should stop and keep entries when the transport disconnects again", () => {
+      const outbox = new Outbox();
+      const send = sinon.stub().resolves();
+      send.onSecondCall().rejects(new errors.TransportDisconnectedError("gone"));
+      return Promise.mapSeries([1, 2, 3], (n) => outbox.add({ n }))
+        .then(() => outbox.flush(send))
+        .then((report) => {
+          report.sent.should.equal(1);
+          report.remaining.should.equal(2);
+          report.error.should.be.an.instanceOf(errors.TransportDisconnectedError);
+          return outbox.store.list();
+        })
+        .then((entries) => {
+          entries.should.deep.equal([{ n: 2 }, { n: 3 }]);
+        });
+    });
+    it("should discard entries that fail with other errors", () => {
+      const outbox = new Outbox();
+      const send = sinon.stub().resolves();
+      send.onFirstCall().rejects(new errors.CodecError("bad"));
+      const onProgress = sinon.spy();
+      return Promise.mapSeries([1, 2], (n) => outbox.add({ n }))
+        .then(() => outbox.flush(send, onProgress))
+        .then((report) => {
+          report.should.deep.include({ sent: 1, failed: 1, remaining: 0 });
+          onProgress.firstCall.args[0].error.should.be.an.instanceOf(errors.CodecError);
+        });
+    });
+    it("should share a flush in progress", () => {
+      const outbox = new Outbox();
+      const send = sinon.stub().resolves();
+      return outbox
+        .add({ n: 1 })
+        .then(() => Promise.all([outbox.flush(send), outbox.flush(send)]))
+        .then(([first, second]) => {
+          first.should.equal(second);
+          send.calledOnce.should.be.true();
+        });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const http = require("http");
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const Promise = require("bluebird");
+const errors = require("../lib/errors");
+const prometheus = require("../lib/prometheus");
+const Transport = require("../lib/transport");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("prometheus:", () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new Transport({ metricsBuckets: [10, 100] });
+    transport.recordTiming("users.*.updated", new Date().getTime());
+    transport.recordTiming("users.*.updated", new Date().getTime(), new errors.NotFoundError("no"));
+    return transport.publish("audit.log", {});
+  });
+
+  describe("render:", () => {
+    it("should catch invalid input", () => {
+      try {
+        prometheus.render({});
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should render HELP and TYPE lines for each metric", () => {
+      const text = prometheus.render(transport);
+      text.should.contain("# HELP postmaster_handlers_total ");
+      text.should.contain("# TYPE postmaster_handlers_total counter");
+      text.should.contain("# TYPE postmaster_handlers_in_flight gauge");
+      text.should.contain("# TYPE postmaster_handlers_queued gauge");
+      text.should.not.contain("postmaster_requests_queued");
+      text.should.contain("# TYPE postmaster_handlers_duration_seconds histogram");
+    });
+    it("should render labelled samples", () => {
+      const text = prometheus.render(transport);
+      text.should.contain('postmaster_handlers_total{topic="users.*.updated"} 2');
+      text.should.contain(
+        'postmaster_handlers_errors_total{topic="users.*.updated",error="NotFoundError"} 1'
+      );
+      text.should.contain('postmaster_publishes_total{routing_key="audit.log"} 1');
+      text.should.contain(
+        'postmaster_handlers_duration_seconds_bucket{topic="users.*.updated",le="+Inf"} 2'
+      );
+      text.should.contain('postmaster_handlers_duration_seconds_count{topic="users.*.updated"} 2');
+    });
+    it("should apply the prefix and constant labels", () => {
+      const text = prometheus.render(transport, { prefix: "svc", labels: { service: 'a"b' } });
+      text.should.contain('svc_publishes_total{service="a\\"b",routing_key="audit.log"} 1');
+    });
+    it("should catch invalid prefixes and label names", () => {
+      ["1svc", "svc-name", "svc name", 42].forEach((prefix) => {
+        expect(() => prometheus.render(transport, { prefix })).to.throw(TypeError);
+      });
+      ["service-name", "1st", "a:b"].forEach((name) => {
+        expect(() => prometheus.render(transport, { labels: { [name]: "x" } })).to.throw(TypeError);
+      });
+      prometheus
+        .render(transport, { prefix: "svc:v1", labels: { _service: "x" } })
+        .should.be.a("string");
+      prometheus.render(transport, { prefix: "" }).should.contain("# TYPE publishes_total counter");
+    });
+  });
+
+  describe("serve:", () => {
+    const get = (server, path) =>
+      new Promise((resolve, reject) => {
+        http
+          .get({ port: server.address().port, path }, (res) => {
+            let body = "";
+            res.on("data", (chunk) => {
+              body += chunk;
+            });
+            res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body }));
+          })
+          .on("error", reject);
+      });
+
+    it("should serve the metrics over HTTP", () => {
+      return prometheus.serve(transport, { port: 0, host: "127.0.0.1" }).then((server) =>
+        get(server, "/metrics")
+          .then((res) => {
+            res.status.should.equal(200);
+            res.headers["content-type"].should.equal(prometheus.CONTENT_TYPE);
+            res.body.should.equal(prometheus.render(transport));
+          })
+          .then(() => get(server, "/other"))
+          .then((res) => {
+            res.status.should.equal(404);
+          })
+          .finally(() => server.close())
+      );
+    });
+    it("should bind to the loopback interface by default", () => {
+      return prometheus.serve(transport, { port: 0 }).then((server) => {
+        server.address().address.should.equal("127.0.0.1");
+        server.close();
+      });
+    });
+    it("should catch invalid ports", () => {
+      return prometheus
+        .serve(transport, { port: "bob" })
+        .then(() => {
+          throw new Error("Failed to catch invalid input.");
+        })
+        .catch((err) => {
+          if (!(err instanceof TypeError)) {
+            throw err;
+          }
+        });
+    });
+  });
+});
@@ -0,0 +1,268 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const Promise = require("bluebird");
+const _ = require("lodash");
+const sinon = require("sinon");
+const errors = require("../lib/errors");
+const MemoryTransport = require("../lib/memory-transport");
+const { Recorder, readRecords, replay } = require("../lib/recorder");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+// fs.rmSync needs Node 14.14, so older versions remove directories with rmdirSync.
+const removeDir = (dir) =>
+  fs.rmSync
+    ? fs.rmSync(dir, { recursive: true, force: true })
+    : fs.rmdirSync(dir, { recursive: true });
+
+describe("recorder:", () => {
+  let transport;
+  let dir;
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "recorder-"));
+    return transport.connect();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+    return transport.disconnect();
+  });
+
+  const readStream = (stream) =>
+    stream
+      .read()
+      .toString()
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+
+  const greet = (msg) => {
+    if (!msg.name) {
+      return Promise.reject(new errors.InvalidMessageError("A name is required."));
+    }
+    return Promise.resolve({ greeting: `hello ${msg.name}` });
+  };
+
+  describe("Recorder:", () => {
+    it("should catch invalid input", () => {
+      expect(() => new Recorder({}, { stream: new PassThrough() })).to.throw(TypeError);
+      expect(() => new Recorder(transport)).to.throw(TypeError);
+      expect(() => new Recorder(transport, {})).to.throw(TypeError);
+      expect(() => new Recorder(transport, { path: "a", stream: new PassThrough() })).to.throw(
+        TypeError
+      );
+      expect(() => new Recorder(transport, { stream: {} })).to.throw(TypeError);
+    });
+    it("should record outbound calls and handled messages", () => {
+      const stream = new PassThrough();
+      const recorder = new Recorder(transport, { stream });
+      return transport
+        .addMessageListener("greet", greet)
+        .then(() => transport.listen())
+        .then(() => transport.request("greet", { name: "bob" }, { initiator: "fff" }))
+        .then(() => transport.request("greet", {}).catch(_.noop))
+        .then(() => recorder.stop())
+        .then(() => {
+          const records = readStream(stream);
+          records
+            .map((record) => record.type)
+            .should.deep.equal(["inbound", "request", "inbound", "request"]);
+          records[0].should.include({ routingKey: "greet", pattern: "greet", initiator: "fff" });
+          records[0].message.should.deep.equal({ name: "bob" });
+          records[0].result.should.deep.equal({ greeting: "hello bob" });
+          records[0].messageId.should.equal(records[1].messageId);
+          records[0].correlationId.should.equal(records[1].correlationId);
+          records[1].duration.should.be.a("number");
+          records[2].error.should.deep.include({
+            name: "InvalidMessageError",
+            message: "A name is required.",
+          });
+          recorder.count.should.equal(4);
+        });
+    });
+    it("should not change the outcome of calls that cannot be serialized", () => {
+      const logger = { error: sinon.spy() };
+      const logged = new MemoryTransport({ logger });
+      const stream = new PassThrough();
+      const recorder = new Recorder(logged, { stream });
+      const circular = {};
+      circular.self = circular;
+      return logged
+        .connect()
+        .then(() => logged.addMessageListener("loop", () => Promise.resolve(circular)))
+        .then((handler) => handler({}))
+        .then((res) => {
+          res.should.equal(circular);
+          return logged.publish("loop", circular).catch((err) => err);
+        })
+        .then(() => {
+          logger.error.called.should.be.true();
+          recorder.count.should.equal(0);
+          return recorder.stop();
+        })
+        .finally(() => logged.disconnect());
+    });
+    it("should log errors writing the recording instead of crashing", () => {
+      const logger = { error: sinon.spy() };
+      const logged = new MemoryTransport({ logger });
+      const recorder = new Recorder(logged, { path: path.join(dir, "missing", "traffic.ndjson") });
+      const failed = new Promise((resolve) => recorder.stream.once("error", resolve));
+      return Promise.all([logged.connect(), failed])
+        .then(() => logged.publish("greet", {}))
+        .then(() => {
+          recorder.error.code.should.equal("ENOENT");
+          logger.error.calledWith(recorder.error).should.be.true();
+          return recorder.stop();
+        })
+        .finally(() => logged.disconnect());
+    });
+    it("should stop recording when stopped", () => {
+      const stream = new PassThrough();
+      const recorder = new Recorder(transport, { stream });
+      return recorder
+        .stop()
+        .then(() => transport.publish("greet", {}))
+        .then(() => {
+          expect(stream.read()).to.be.null();
+          transport.outboundMiddleware.should.not.include(recorder.outbound);
+          transport.inboundMiddleware.should.not.include(recorder.inbound);
+        });
+    });
+  });
+
+  describe("readRecords:", () => {
+    it("should read a recorded file", () => {
+      const file = path.join(dir, "traffic.ndjson");
+      const recorder = new Recorder(transport, { path: file });
+      return transport
+        .publish("greet", { name: "bob" })
+        .then(() => recorder.stop())
+        .then(() => readRecords(file))
+        .then((records) => {
+          records.should.have.length(1);
+          records[0].should.include({ type: "publish", routingKey: "greet" });
+        });
+    });
+    it("should reject invalid files", () => {
+      const file = path.join(dir, "bad.ndjson");
+      fs.writeFileSync(file, '{"type":"inbound"}\n{bob\n');
+      return readRecords(file)
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(SyntaxError);
+          err.message.should.contain("Line 2");
+        });
+    });
+  });
+
+  describe("replay:", () => {
+    const records = [
+      {
+        type: "inbound",
+        routingKey: "greet",
+        message: { name: "bob" },
+        correlationId: "ggg",
+        initiator: "fff",
+        startedAt: 1000,
+        result: { greeting: "hello bob" },
+      },
+      { type: "request", routingKey: "greet", message: { name: "bob" }, startedAt: 1000 },
+      {
+        type: "inbound",
+        routingKey: "greet",
+        message: {},
+        correlationId: "hhh",
+        startedAt: 1040,
+        error: { name: "InvalidMessageError", message: "A name is required." },
+      },
+    ];
+
+    it("should catch invalid input", () =>
+      Promise.all([
+        replay({}, records).reflect(),
+        replay(transport, 35353535).reflect(),
+        replay(transport, records, { speed: 0 }).reflect(),
+      ]).then((results) => {
+        results.forEach((result) => {
+          result.reason().should.be.an.instanceOf(TypeError);
+        });
+      }));
+    it("should replay inbound messages into listeners and report matches", () => {
+      const callback = sinon.spy(greet);
+      return transport
+        .addMessageListener("greet", callback)
+        .then(() => replay(transport, records))
+        .then((report) => {
+          report.should.deep.equal({ replayed: 2, matched: 2, divergences: [] });
+          callback.calledTwice.should.be.true();
+          callback.firstCall.calledWith({ name: "bob" }, "ggg", "fff").should.be.true();
+          transport.getMetrics().handlers.greet.count.should.equal(2);
+        });
+    });
+    it("should keep the recorded timing unless accelerated", () => {
+      const start = new Date().getTime();
+      return transport
+        .addMessageListener("greet", greet)
+        .then(() => replay(transport, records))
+        .then(() => {
+          (new Date().getTime() - start).should.be.at.least(35);
+          return replay(transport, records, { speed: Infinity });
+        });
+    });
+    it("should report divergences", () =>
+      transport
+        .addMessageListener("greet", () => Promise.resolve({ greeting: "hi" }))
+        .then(() => replay(transport, records, { speed: 10 }))
+        .then((report) => {
+          report.matched.should.equal(0);
+          report.divergences.should.deep.equal([
+            {
+              index: 0,
+              routingKey: "greet",
+              correlationId: "ggg",
+              expected: { result: { greeting: "hello bob" } },
+              actual: { result: { greeting: "hi" } },
+            },
+            {
+              index: 2,
+              routingKey: "greet",
+              correlationId: "hhh",
+              expected: {
+                error: { name: "InvalidMessageError", message: "A name is required." },
+              },
+              actual: { result: { greeting: "hi" } },
+            },
+          ]);
+        }));
+    it("should report messages without a listener", () =>
+      replay(transport, records.slice(0, 1)).then((report) => {
+        report.divergences[0].actual.error.name.should.equal("RequestError");
+      }));
+    it("should replay a recorded file", () => {
+      const file = path.join(dir, "traffic.ndjson");
+      const recorder = new Recorder(transport, { path: file });
+      return transport
+        .addMessageListener("greet", greet)
+        .then(() => transport.listen())
+        .then(() => transport.request("greet", { name: "bob" }))
+        .then(() => recorder.stop())
+        .then(() => replay(transport, file, { speed: Infinity }))
+        .then((report) => {
+          report.should.deep.equal({ replayed: 1, matched: 1, divergences: [] });
+        });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const Promise = require("bluebird");
+const sinon = require("sinon");
+const defaults = require("../defaults.json");
+const errors = require("../lib/errors");
+const retry = require("../lib/retry");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("retry:", () => {
+  describe("createPolicy:", () => {
+    it("should fill in defaults", () => {
+      const policy = retry.createPolicy();
+      policy.maxAttempts.should.equal(defaults.retry.maxAttempts);
+      policy.retryableErrors.should.equal(retry.RETRYABLE_ERRORS);
+    });
+    it("should inherit from a base policy", () => {
+      const base = retry.createPolicy({ maxAttempts: 5, initialDelay: 10 });
+      const policy = retry.createPolicy({ initialDelay: 20 }, base);
+      policy.maxAttempts.should.equal(5);
+      policy.initialDelay.should.equal(20);
+    });
+    it("should catch invalid settings", () => {
+      [{ maxAttempts: 0 }, { factor: "bob" }, { jitter: 2 }, { retryableErrors: ["bob"] }].forEach(
+        (options) => {
+          expect(() => retry.createPolicy(options)).to.throw(TypeError);
+        }
+      );
+    });
+  });
+
+  describe("isRetryable:", () => {
+    it("should retry request and disconnection errors by default", () => {
+      const policy = retry.createPolicy();
+      retry.isRetryable(policy, new errors.RequestError("no")).should.be.true();
+      retry.isRetryable(policy, new errors.RequestTimeoutError("no")).should.be.true();
+      retry.isRetryable(policy, new errors.TransportDisconnectedError("no")).should.be.true();
+    });
+    it("should not retry response errors by default", () => {
+      const policy = retry.createPolicy();
+      retry.isRetryable(policy, new errors.InvalidMessageError("no")).should.be.false();
+      retry.isRetryable(policy, new errors.UnauthorizedError("no")).should.be.false();
+      retry.isRetryable(policy, new TypeError("no")).should.be.false();
+    });
+    it("should respect custom error classes", () => {
+      const policy = retry.createPolicy({
+        retryableErrors: [errors.ResponseError],
+        nonRetryableErrors: [errors.NotFoundError],
+      });
+      retry.isRetryable(policy, new errors.ResponseProcessingError("no")).should.be.true();
+      retry.isRetryable(policy, new errors.NotFoundError("no")).should.be.false();
+    });
+  });
+
+  describe("getDelay:", () => {
+    it("should back off exponentially up to the maximum", () => {
+      const policy = retry.createPolicy({ initialDelay: 100, factor: 2, maxDelay: 300, jitter: 0 });
+      retry.getDelay(policy, 2).should.equal(100);
+      retry.getDelay(policy, 3).should.equal(200);
+      retry.getDelay(policy, 4).should.equal(300);
+    });
+    it("should apply jitter", () => {
+      const policy = retry.createPolicy({ initialDelay: 100, jitter: 0.5 });
+      for (let i = 0; i < 20; i += 1) {
+        retry.getDelay(policy, 2).should.be.within(50, 100);
+      }
+    });
+  });
+
+  describe("run:", () => {
+    it("should retry until the operation succeeds", () => {
+      const policy = retry.createPolicy({ maxAttempts: 3, initialDelay: 1 });
+      const onRetry = sinon.spy();
+      const fn = sinon.stub();
+      fn.onFirstCall().rejects(new errors.RequestError("no"));
+      fn.onSecondCall().resolves("ok");
+      return retry.run(policy, fn, onRetry).then((res) => {
+        res.should.equal("ok");
+        fn.secondCall.args[0].should.equal(2);
+        onRetry.calledOnce.should.be.true();
+      });
+    });
+    it("should give up after the maximum attempts", () => {
+      const policy = retry.createPolicy({ maxAttempts: 2, initialDelay: 1 });
+      const fn = sinon.stub().rejects(new errors.RequestError("no"));
+      return retry
+        .run(policy, fn)
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.RequestError);
+          fn.calledTwice.should.be.true();
+        });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const router = require("../lib/router");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("router:", () => {
+  describe("parse:", () => {
+    it("should catch invalid input", () => {
+      try {
+        router.parse(3353553);
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should parse each segment type", () => {
+      const parsed = router.parse("users.:id.*.#");
+      parsed.segments.should.deep.equal([
+        { type: "literal", value: "users" },
+        { type: "param", name: "id" },
+        { type: "word" },
+        { type: "multi" },
+      ]);
+    });
+  });
+
+  describe("match:", () => {
+    it("should catch invalid routingKey input", () => {
+      try {
+        router.match("bob", 3353553);
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should match exact routing keys", () => {
+      router.match("orders.created", "orders.created").should.deep.equal({});
+      expect(router.match("orders.created", "orders.updated")).to.be.null();
+    });
+    it("should match * against exactly one segment", () => {
+      expect(router.match("orders.*", "orders.created")).to.exist();
+      expect(router.match("orders.*", "orders")).to.be.null();
+      expect(router.match("orders.*", "orders.created.eu")).to.be.null();
+    });
+    it("should match # against zero or more segments", () => {
+      expect(router.match("audit.#", "audit")).to.exist();
+      expect(router.match("audit.#", "audit.users")).to.exist();
+      expect(router.match("audit.#", "audit.users.created")).to.exist();
+      expect(router.match("audit.#.created", "audit.users.eu.created")).to.exist();
+      expect(router.match("audit.#", "orders.created")).to.be.null();
+    });
+    it("should capture named parameters", () => {
+      router.match("users.:id.updated", "users.42.updated").should.deep.equal({ id: "42" });
+      expect(router.match("users.:id.updated", "users.updated")).to.be.null();
+    });
+  });
+
+  describe("toTopic:", () => {
+    it("should replace named parameters with wildcards", () => {
+      router.toTopic("users.:id.updated").should.equal("users.*.updated");
+      router.toTopic("audit.#").should.equal("audit.#");
+      router.toTopic("bob").should.equal("bob");
+    });
+  });
+
+  describe("Router:", () => {
+    it("should replace values registered for the same pattern", () => {
+      const routes = new router.Router();
+      routes.add("bob", 1);
+      routes.add("bob", 2);
+      routes.get("bob").should.equal(2);
+      routes.list().should.have.length(1);
+    });
+    it("should remove registered patterns", () => {
+      const routes = new router.Router();
+      routes.add("bob", 1);
+      routes.remove("bob").should.be.true();
+      routes.remove("bob").should.be.false();
+      expect(routes.match("bob")).to.not.exist();
+    });
+    it("should prefer the most specific match", () => {
+      const routes = new router.Router();
+      routes.add("#", "all");
+      routes.add("orders.#", "orders-multi");
+      routes.add("orders.*", "orders-word");
+      routes.add("orders.:action", "orders-param");
+      routes.add("orders.created", "orders-created");
+      routes.match("orders.created").value.should.equal("orders-created");
+      routes.match("orders.updated").value.should.equal("orders-word");
+      routes.match("orders.updated.eu").value.should.equal("orders-multi");
+      routes.match("users.created").value.should.equal("all");
+    });
+    it("should return the parameters of the match", () => {
+      const routes = new router.Router();
+      routes.add("users.:id.updated", "updated");
+      const found = routes.match("users.42.updated");
+      found.pattern.should.equal("users.:id.updated");
+      found.params.should.deep.equal({ id: "42" });
+    });
+  });
+});
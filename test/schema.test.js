@@ -0,0 +1,166 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const errors = require("../lib/errors");
+const schema = require("../lib/schema");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("schema:", () => {
+  const userSchema = {
+    type: "object",
+    required: ["id", "name"],
+    additionalProperties: false,
+    properties: {
+      id: { type: "integer", minimum: 1 },
+      name: { type: "string", minLength: 1, maxLength: 10 },
+      email: { type: "string", pattern: "^[^@]+@[^@]+$" },
+      role: { enum: ["admin", "user"] },
+      tags: { type: "array", items: { type: "string" }, uniqueItems: true, maxItems: 3 },
+      address: {
+        type: "object",
+        properties: { zip: { type: ["string", "null"] } },
+      },
+    },
+  };
+
+  const paths = (failures) => failures.map((failure) => failure.path);
+
+  describe("validate:", () => {
+    it("should catch invalid schemas", () => {
+      try {
+        schema.validate("bob", {});
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should accept valid values", () => {
+      const failures = schema.validate(userSchema, {
+        id: 1,
+        name: "bob",
+        email: "bob@example.com",
+        role: "admin",
+        tags: ["a", "b"],
+        address: { zip: null },
+      });
+      failures.should.deep.equal([]);
+    });
+    it("should report the paths of failing values", () => {
+      const failures = schema.validate(userSchema, {
+        id: 0,
+        email: "bob",
+        role: "root",
+        tags: ["a", "a", 3, "d"],
+        address: { zip: 12345 },
+        extra: true,
+      });
+      paths(failures).should.have.members([
+        "/name",
+        "/id",
+        "/email",
+        "/role",
+        "/tags",
+        "/tags",
+        "/tags/2",
+        "/address/zip",
+        "/extra",
+      ]);
+    });
+    it("should report type mismatches at the root", () => {
+      schema
+        .validate(userSchema, "bob")
+        .should.deep.equal([{ path: "", message: "should be of type object" }]);
+    });
+    it("should treat dotted property names as names, not paths", () => {
+      const dotted = {
+        type: "object",
+        required: ["a.b"],
+        properties: { "a.b": { type: "integer" } },
+        additionalProperties: false,
+      };
+      schema.validate(dotted, { "a.b": 1 }).should.have.length(0);
+      paths(schema.validate(dotted, { a: { b: 1 } })).should.have.members(["/a.b", "/a"]);
+      paths(schema.validate(dotted, { "a.b": "x" })).should.deep.equal(["/a.b"]);
+    });
+    it("should support number keywords", () => {
+      const numberSchema = { type: "number", exclusiveMinimum: 0, maximum: 10, multipleOf: 0.5 };
+      schema.validate(numberSchema, 2.5).should.have.length(0);
+      schema.validate(numberSchema, 0).should.have.length(1);
+      schema.validate(numberSchema, 11).should.have.length(1);
+      schema.validate(numberSchema, 1.2).should.have.length(1);
+    });
+    it("should accept decimal multiples", () => {
+      const price = { type: "number", multipleOf: 0.01 };
+      schema.validate(price, 19.99).should.have.length(0);
+      schema.validate(price, 0.07).should.have.length(0);
+      schema.validate(price, 19.995).should.have.length(1);
+      schema.validate({ multipleOf: 3 }, 9).should.have.length(0);
+      schema.validate({ multipleOf: 3 }, 10).should.have.length(1);
+    });
+    it("should support exclusiveMaximum", () => {
+      const below = { type: "number", exclusiveMaximum: 10 };
+      schema.validate(below, 9.5).should.have.length(0);
+      schema.validate(below, 10).should.deep.equal([{ path: "", message: "should be < 10" }]);
+    });
+    it("should support uniqueItems", () => {
+      const unique = { type: "array", uniqueItems: true };
+      schema.validate(unique, [1, "1", { a: 1 }, { a: 2 }]).should.have.length(0);
+      schema.validate(unique, [{ a: 1 }, { a: 1 }]).should.have.length(1);
+    });
+    it("should support tuple items", () => {
+      const pair = { type: "array", items: [{ type: "string" }, { type: "integer" }] };
+      schema.validate(pair, ["a", 1]).should.have.length(0);
+      schema.validate(pair, ["a"]).should.have.length(0);
+      schema.validate(pair, ["a", 1, true]).should.have.length(0);
+      paths(schema.validate(pair, [1, "a"])).should.deep.equal(["/0", "/1"]);
+    });
+    it("should support oneOf", () => {
+      const exclusive = { oneOf: [{ type: "string" }, { minLength: 3 }] };
+      schema.validate(exclusive, "ab").should.have.length(0);
+      schema.validate(exclusive, 5).should.have.length(0);
+      schema.validate(exclusive, "abc").should.have.length(1);
+      schema.validate({ oneOf: [{ type: "string" }, { type: "null" }] }, 5).should.have.length(1);
+    });
+    it("should support not", () => {
+      const notNull = { not: { type: "null" } };
+      schema.validate(notNull, 0).should.have.length(0);
+      schema.validate(notNull, null).should.have.length(1);
+    });
+    it("should support combinators", () => {
+      const combined = {
+        anyOf: [{ type: "string" }, { type: "number" }],
+        not: { const: "forbidden" },
+      };
+      schema.validate(combined, "ok").should.have.length(0);
+      schema.validate(combined, 3).should.have.length(0);
+      schema.validate(combined, true).should.have.length(1);
+      schema.validate(combined, "forbidden").should.have.length(1);
+      const exclusive = { oneOf: [{ type: "integer" }, { type: "number" }] };
+      schema.validate(exclusive, 1.5).should.have.length(0);
+      schema.validate(exclusive, 1).should.have.length(1);
+      const all = { allOf: [{ minLength: 2 }, { maxLength: 3 }] };
+      schema.validate(all, "abcd").should.have.length(1);
+    });
+  });
+
+  describe("assertValid:", () => {
+    it("should not throw for valid messages", () => {
+      schema.assertValid(userSchema, { id: 1, name: "bob" }, "users.create");
+    });
+    it("should throw an InvalidMessageError listing the failures", () => {
+      try {
+        schema.assertValid(userSchema, { id: 1 }, "users.create");
+      } catch (err) {
+        err.should.be.an.instanceOf(errors.InvalidMessageError);
+        err.response.errors.should.deep.equal([{ path: "/name", message: "is required" }]);
+        return;
+      }
+      throw new Error("Failed to throw.");
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const sinon = require("sinon");
+const errors = require("../lib/errors");
+const { withSimulation } = require("../lib/simulation");
+const Transport = require("../lib/transport");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("simulation:", () => {
+  const SimulatedTransport = withSimulation(Transport);
+
+  describe("withSimulation:", () => {
+    it("should extend the transport class", () => {
+      const transport = new SimulatedTransport();
+      transport.should.be.an.instanceOf(Transport);
+      Transport.prototype.should.not.have.property("simulateError");
+    });
+    it("should track connectivity and fire events", () => {
+      const transport = new SimulatedTransport();
+      const disconnected = sinon.spy();
+      const reconnected = sinon.spy();
+      transport.on("disconnected", disconnected);
+      transport.on("reconnected", reconnected);
+      transport.connected = true;
+      transport.simulateDisconnect();
+      transport.simulateDisconnect();
+      expect(() => transport.assertConnected()).to.throw(errors.TransportDisconnectedError);
+      transport.simulateReconnect();
+      transport.assertConnected();
+      disconnected.calledOnce.should.be.true();
+      reconnected.calledOnce.should.be.true();
+    });
+    it("should fire error with a TransportDisconnectedError by default", () => {
+      const transport = new SimulatedTransport();
+      const onError = sinon.spy();
+      transport.on("error", onError);
+      transport.connected = true;
+      transport.simulateError();
+      transport.connected.should.be.false();
+      onError.firstCall.args[0].should.be.an.instanceOf(errors.TransportDisconnectedError);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/* eslint import/no-unassigned-import: 'off' */
+/* eslint no-unused-vars: 'off' */
+
+const chai = require("chai");
+const dirtyChai = require("dirty-chai");
+const tracing = require("../lib/tracing");
+
+const { expect } = chai;
+chai.should();
+chai.use(dirtyChai);
+
+describe("tracing:", () => {
+  const traceId = "4bf92f3577b34da6a3ce929d0e0e4736";
+  const traceparent = `00-${traceId}-00f067aa0ba902b7-01`;
+
+  describe("parseTraceparent:", () => {
+    it("should parse a valid header", () => {
+      tracing.parseTraceparent(traceparent).should.deep.equal({
+        version: "00",
+        traceId,
+        spanId: "00f067aa0ba902b7",
+        flags: "01",
+      });
+    });
+    it("should reject invalid headers", () => {
+      [
+        undefined,
+        "bob",
+        `ff-${traceId}-00f067aa0ba902b7-01`,
+        `00-${"0".repeat(32)}-00f067aa0ba902b7-01`,
+        `00-${traceId}-0000000000000000-01`,
+        `00-${traceId.toUpperCase()}-00f067aa0ba902b7-01`,
+        `${traceparent}-extra`,
+      ].forEach((header) => {
+        expect(tracing.parseTraceparent(header)).to.be.null();
+      });
+    });
+    it("should accept future versions with extra fields", () => {
+      tracing
+        .parseTraceparent(`01-${traceId}-00f067aa0ba902b7-01-extra`)
+        .traceId.should.equal(traceId);
+    });
+  });
+
+  describe("baggage:", () => {
+    it("should round-trip baggage values", () => {
+      const header = tracing.formatBaggage({ tenant: "acme", note: "a b,c" });
+      header.should.equal("tenant=acme,note=a%20b%2Cc");
+      tracing.parseBaggage(header).should.deep.equal({ tenant: "acme", note: "a b,c" });
+    });
+    it("should discard properties and invalid members", () => {
+      tracing.parseBaggage(" tenant = acme;ttl=5, bad, =x, broken=%E0").should.deep.equal({
+        tenant: "acme",
+      });
+    });
+  });
+
+  describe("correlationId:", () => {
+    it("should convert between correlationIds and trace ids", () => {
+      const correlationId = tracing.toCorrelationId(traceId);
+      correlationId.should.equal("4bf92f35-77b3-4da6-a3ce-929d0e0e4736");
+      tracing.fromCorrelationId(correlationId).should.equal(traceId);
+    });
+    it("should not derive trace ids from other correlationIds", () => {
+      expect(tracing.fromCorrelationId("bob")).to.be.null();
+      expect(tracing.fromCorrelationId("00000000-0000-0000-0000-000000000000")).to.be.null();
+    });
+  });
+
+  describe("createSpan:", () => {
+    it("should derive the trace id from the correlationId", () => {
+      const span = tracing.createSpan({
+        name: "bob",
+        kind: "producer",
+        correlationId: "4BF92F35-77B3-4DA6-A3CE-929D0E0E4736",
+      });
+      span.traceId.should.equal(traceId);
+      span.spanId.should.match(/^[0-9a-f]{16}$/);
+      expect(span.parentSpanId).to.be.null();
+      span.flags.should.equal("01");
+    });
+    it("should generate a trace id for other correlationIds", () => {
+      const span = tracing.createSpan({ name: "bob", kind: "producer", correlationId: "bob" });
+      span.traceId.should.match(/^[0-9a-f]{32}$/);
+    });
+    it("should continue the trace of a parent", () => {
+      const parent = tracing.fromHeaders({
+        traceparent,
+        tracestate: "vendor=1",
+        baggage: "tenant=acme",
+      });
+      const span = tracing.createSpan({
+        name: "bob",
+        kind: "consumer",
+        correlationId: "bob",
+        parent,
+        baggage: { user: "fff" },
+      });
+      span.traceId.should.equal(traceId);
+      span.parentSpanId.should.equal("00f067aa0ba902b7");
+      span.spanId.should.not.equal("00f067aa0ba902b7");
+      tracing.toHeaders(span).should.deep.equal({
+        traceparent: `00-${traceId}-${span.spanId}-01`,
+        tracestate: "vendor=1",
+        baggage: "tenant=acme,user=fff",
+      });
+    });
+  });
+
+  describe("isSpanContext:", () => {
+    it("should check span contexts", () => {
+      tracing.isSpanContext(tracing.fromHeaders({ traceparent })).should.be.true();
+      tracing.isSpanContext({ traceId: "bob", spanId: "bob", flags: "01" }).should.be.false();
+      tracing.isSpanContext("bob").should.be.false();
+    });
+  });
+});
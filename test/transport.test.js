@@ -5,6 +5,8 @@ const chai = require("chai");
 const dirtyChai = require("dirty-chai");
 const Promise = require("bluebird");
 const sinon = require("sinon");
+const errors = require("../lib/errors");
+const tracing = require("../lib/tracing");
 const Transport = require("../lib/transport");
 const defaults = require("../defaults.json");
 
@@ -32,10 +34,12 @@ describe("transport:", () => {
     it("should properly initialize settings from defaults", () => {
       const transport = new Transport();
       transport.timingsResetInterval.should.equal(defaults.timingsResetInterval);
+      transport.requestTimeout.should.equal(defaults.requestTimeout);
     });
     it("should properly initialize settings from input", () => {
-      const transport = new Transport({ timingsResetInterval: 100 });
+      const transport = new Transport({ timingsResetInterval: 100, requestTimeout: 0 });
       transport.timingsResetInterval.should.equal(100);
+      transport.requestTimeout.should.equal(0);
     });
     it("should error on invalid input", () => {
       try {
@@ -45,6 +49,24 @@ describe("transport:", () => {
       }
       throw new Error("Failed to catch invalid input.");
     });
+    it("should error on invalid codec settings", () => {
+      [
+        { contentType: "text/bob" },
+        { contentEncoding: "bob" },
+        { compressionThreshold: -1 },
+        { maxDecodedSize: 0 },
+      ].forEach((options) => {
+        expect(() => new Transport(options)).to.throw(TypeError);
+      });
+    });
+    it("should error on invalid metrics buckets", () => {
+      try {
+        const transport = new Transport({ metricsBuckets: [10, 5] });
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
   });
 
   describe("connect:", () => {
@@ -66,6 +88,122 @@ describe("transport:", () => {
         transport.listening.should.be.false();
       });
     });
+    it("should reject pending requests", () => {
+      const transport = new Transport();
+      sinon.stub(transport, "sendRequest").returns(new Promise(() => {}));
+      const pending = transport.request("bob", {}, { timeout: 0 });
+      return transport
+        .disconnect()
+        .then(() => pending)
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.TransportDisconnectedError);
+          transport.pendingRequests.size.should.equal(0);
+        });
+    });
+  });
+
+  describe("drain:", () => {
+    it("should catch invalid input", () => {
+      (() => new Transport({ drainDeadline: -1 })).should.throw(TypeError);
+      const transport = new Transport();
+      return transport
+        .drain({ deadline: "bob" })
+        .then(() => {
+          throw new Error("Failed to catch invalid input.");
+        })
+        .catch((err) => {
+          if (!(err instanceof TypeError)) {
+            throw err;
+          }
+        });
+    });
+    it("should wait for in-flight handlers and pending requests before disconnecting", () => {
+      const transport = new Transport();
+      const disconnect = sinon.spy(transport, "disconnect");
+      let finish;
+      const done = sinon.spy();
+      sinon.stub(transport, "sendRequest").returns(Promise.delay(10).then(() => "response"));
+      return transport
+        .addMessageListener("bob", () =>
+          new Promise((resolve) => {
+            finish = resolve;
+          }).then(done)
+        )
+        .then((handler) => {
+          handler({});
+          transport.request("alice", {});
+          setTimeout(() => finish(), 5);
+          return transport.drain({ deadline: 1000 });
+        })
+        .then((report) => {
+          report.settled.should.be.true();
+          report.handlers.should.deep.equal([]);
+          report.requests.should.deep.equal([]);
+          done.calledOnce.should.be.true();
+          disconnect.calledOnce.should.be.true();
+        });
+    });
+    it("should reject messages received while draining", () => {
+      const transport = new Transport();
+      let finish;
+      let second;
+      return transport
+        .addMessageListener(
+          "bob",
+          () =>
+            new Promise((resolve) => {
+              finish = resolve;
+            })
+        )
+        .then((handler) => {
+          handler({});
+          const drained = transport.drain({ deadline: 1000 });
+          second = handler({}).catch((err) => err);
+          finish();
+          return drained;
+        })
+        .then(() => second)
+        .then((err) => {
+          err.should.be.an.instanceOf(errors.TransportDisconnectedError);
+        });
+    });
+    it("should report work abandoned at the deadline", () => {
+      const transport = new Transport();
+      sinon.stub(transport, "sendRequest").returns(new Promise(() => {}));
+      let requested;
+      return transport
+        .addMessageListener("bob", () => new Promise(() => {}))
+        .then((handler) => {
+          handler({}, "ggg", "fff");
+          requested = transport.request("alice", {}, { correlationId: "hhh" }).catch((err) => err);
+          return transport.drain({ deadline: 10 });
+        })
+        .then((report) => {
+          report.settled.should.be.false();
+          report.handlers.should.have.length(1);
+          report.handlers[0].should.include({
+            topic: "bob",
+            routingKey: "bob",
+            correlationId: "ggg",
+            initiator: "fff",
+          });
+          report.requests.should.have.length(1);
+          report.requests[0].should.include({ routingKey: "alice", correlationId: "hhh" });
+          return requested;
+        })
+        .then((err) => {
+          err.should.be.an.instanceOf(errors.TransportDisconnectedError);
+        });
+    });
+    it("should return the drain in progress if called again", () => {
+      const transport = new Transport();
+      const first = transport.drain();
+      transport.drain().should.equal(first);
+      return first;
+    });
   });
 
   describe("resolveTopic:", () => {
@@ -83,6 +221,10 @@ describe("transport:", () => {
       const result = transport.resolveTopic("bob");
       result.should.equal("bob");
     });
+    it("should convert named parameters to wildcards", () => {
+      const transport = new Transport();
+      transport.resolveTopic("users.:id.updated").should.equal("users.*.updated");
+    });
   });
 
   describe("addMessageListener:", () => {
@@ -120,6 +262,35 @@ describe("transport:", () => {
           }
         });
     });
+    it("should catch invalid schema params", () => {
+      const transport = new Transport();
+      return transport
+        .addMessageListener("bob", () => Promise.resolve(), { schema: "bob" })
+        .then(() => {
+          throw new Error("Failed to catch invalid input.");
+        })
+        .catch((err) => {
+          if (!(err instanceof TypeError)) {
+            throw err;
+          }
+        });
+    });
+    it("should reject messages that fail schema validation", () => {
+      const transport = new Transport();
+      const spy = sinon.spy(() => Promise.resolve());
+      const options = { schema: { type: "object", required: ["name"] } };
+      return transport
+        .addMessageListener("bob", spy, options)
+        .then((handler) => handler({ name: "bob" }).then(() => handler({})))
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.InvalidMessageError);
+          err.response.errors[0].path.should.equal("/name");
+          spy.calledOnce.should.be.true();
+        });
+    });
     it("should register a callback with appropriate params", () => {
       const transport = new Transport();
       const spy = sinon.spy(() => {
@@ -146,6 +317,154 @@ describe("transport:", () => {
     });
   });
 
+  describe("matchListener:", () => {
+    it("should catch invalid input", () => {
+      try {
+        const transport = new Transport();
+        transport.matchListener(3353553);
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should return the most specific listener", () => {
+      const transport = new Transport();
+      const noop = () => Promise.resolve();
+      return Promise.all([
+        transport.addMessageListener("orders.#", noop),
+        transport.addMessageListener("orders.:id.created", noop),
+      ]).then(() => {
+        const found = transport.matchListener("orders.42.created");
+        found.pattern.should.equal("orders.:id.created");
+        found.params.should.deep.equal({ id: "42" });
+        found.handler.should.be.a("function");
+        transport.matchListener("orders.42.deleted").pattern.should.equal("orders.#");
+        expect(transport.matchListener("users.42")).to.not.exist();
+      });
+    });
+    it("should pass captured parameters to the callback", () => {
+      const transport = new Transport();
+      const spy = sinon.spy(() => Promise.resolve());
+      return transport
+        .addMessageListener("users.:id.updated", spy)
+        .then((handler) => handler({}, "ggg", "fff", { routingKey: "users.42.updated" }))
+        .then(() => {
+          spy.firstCall.args[3].should.deep.include({
+            routingKey: "users.42.updated",
+            pattern: "users.:id.updated",
+            params: { id: "42" },
+          });
+        });
+    });
+    it("should no longer match removed listeners", () => {
+      const transport = new Transport();
+      return transport
+        .addMessageListener("orders.*", () => Promise.resolve())
+        .then(() => transport.removeMessageListener("orders.*"))
+        .then(() => {
+          expect(transport.matchListener("orders.created")).to.not.exist();
+        });
+    });
+  });
+
+  describe("use:", () => {
+    it("should catch invalid input", () => {
+      try {
+        const transport = new Transport();
+        transport.use("bob");
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should run inbound middleware around the handler", () => {
+      const transport = new Transport();
+      const spy = sinon.spy(() => Promise.resolve("result"));
+      let seen;
+      transport.use((ctx, next) => {
+        seen = ctx;
+        ctx.message = { enriched: true }; // eslint-disable-line no-param-reassign
+        return next();
+      });
+      return transport
+        .addMessageListener("bob", spy)
+        .then((handler) => handler({ test: true }, "ggg", "fff"))
+        .then((res) => {
+          res.should.equal("result");
+          spy.calledWith({ enriched: true }, "ggg", "fff").should.be.true();
+          seen.direction.should.equal("inbound");
+          seen.routingKey.should.equal("bob");
+          seen.correlationId.should.equal("ggg");
+          seen.initiator.should.equal("fff");
+          seen.result.should.equal("result");
+        });
+    });
+    it("should keep timing and logging errors rejected by middleware", () => {
+      const logger = { error: sinon.spy() };
+      const transport = new Transport({ logger });
+      const spy = sinon.spy(() => Promise.resolve());
+      const timingSpy = sinon.spy(transport, "recordTiming");
+      transport.use(() => Promise.reject(new Error("denied")));
+      return transport
+        .addMessageListener("bob", spy)
+        .then((handler) => handler({ test: true }))
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.message.should.equal("denied");
+          spy.called.should.be.false();
+          timingSpy.calledOnce.should.be.true();
+          logger.error.calledOnce.should.be.true();
+        });
+    });
+  });
+
+  describe("useOutbound:", () => {
+    it("should catch invalid input", () => {
+      try {
+        const transport = new Transport();
+        transport.useOutbound("bob");
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should run outbound middleware around publish", () => {
+      const transport = new Transport();
+      const stub = sinon.stub(transport, "sendPublish").resolves();
+      transport.useOutbound((ctx, next) => {
+        ctx.type.should.equal("publish");
+        ctx.correlationId = "replaced"; // eslint-disable-line no-param-reassign
+        ctx.message = { enriched: true }; // eslint-disable-line no-param-reassign
+        return next();
+      });
+      return transport.publish("bob", { test: true }, { initiator: "fff" }).then((res) => {
+        res.should.equal("replaced");
+        stub.calledOnce.should.be.true();
+        stub.firstCall.args[0].should.equal("bob");
+        stub.firstCall.args[1].should.deep.equal({ enriched: true });
+        stub.firstCall.args[2].correlationId.should.equal("replaced");
+        stub.firstCall.args[2].initiator.should.equal("fff");
+      });
+    });
+    it("should run outbound middleware around request", () => {
+      const transport = new Transport();
+      sinon.stub(transport, "sendRequest").resolves({ ok: true });
+      let seen;
+      transport.useOutbound((ctx, next) =>
+        next().then(() => {
+          seen = ctx;
+        })
+      );
+      return transport.request("bob", { test: true }).then((res) => {
+        res.should.deep.equal({ ok: true });
+        seen.type.should.equal("request");
+        seen.result.should.deep.equal({ ok: true });
+      });
+    });
+  });
+
   describe("recordTiming:", () => {
     it("should catch invalid topic input", () => {
       try {
@@ -175,6 +494,181 @@ describe("transport:", () => {
     });
   });
 
+  describe("getMetrics:", () => {
+    it("should record handler outcomes by error name", () => {
+      const transport = new Transport();
+      let calls = 0;
+      return transport
+        .addMessageListener("bob", () => {
+          calls += 1;
+          return calls === 1 ? Promise.resolve() : Promise.reject(new errors.NotFoundError("no"));
+        })
+        .then((handler) => handler({}).then(() => handler({}).catch(() => {})))
+        .then(() => {
+          const metrics = transport.getMetrics();
+          metrics.handlers.bob.count.should.equal(2);
+          metrics.handlers.bob.successCount.should.equal(1);
+          metrics.handlers.bob.errors.should.deep.equal({ NotFoundError: 1 });
+          metrics.handlers.bob.inFlight.should.equal(0);
+          metrics.handlers.bob.latency.count.should.equal(2);
+        });
+    });
+    it("should record publish and request counts", () => {
+      const transport = new Transport();
+      return transport
+        .publish("bob", {})
+        .then(() => transport.request("bob2", {}))
+        .then(() => {
+          const metrics = transport.getMetrics();
+          metrics.publishes.bob.count.should.equal(1);
+          metrics.requests.bob2.count.should.equal(1);
+        });
+    });
+    it("should not be cleared when timings are reset", () => {
+      const transport = new Transport();
+      transport.recordTiming("bob", new Date().getTime());
+      transport.resetTimings();
+      transport.getMetrics().handlers.bob.count.should.equal(1);
+    });
+    it("should return a snapshot", () => {
+      const transport = new Transport();
+      transport.recordTiming("bob", new Date().getTime());
+      const snapshot = transport.getMetrics();
+      transport.recordTiming("bob", new Date().getTime());
+      snapshot.handlers.bob.count.should.equal(1);
+    });
+  });
+
+  describe("health:", () => {
+    it("should start closed", () => {
+      const transport = new Transport();
+      transport.state.should.equal(Transport.STATES.CLOSED);
+      transport.getHealth().ready.should.be.false();
+    });
+    it("should track the connection lifecycle", () => {
+      const transport = new Transport();
+      const onStateChange = sinon.spy();
+      transport.on("stateChange", onStateChange);
+      return transport
+        .connect()
+        .then(() => {
+          transport.state.should.equal(Transport.STATES.CONNECTED);
+          return transport.listen();
+        })
+        .then(() => {
+          transport.state.should.equal(Transport.STATES.LISTENING);
+          return transport.drain();
+        })
+        .then(() => {
+          transport.state.should.equal(Transport.STATES.CLOSED);
+          onStateChange.args
+            .map(([change]) => change.state)
+            .should.deep.equal(["connecting", "connected", "listening", "draining", "closed"]);
+          onStateChange.firstCall.args[0].previousState.should.equal("closed");
+        });
+    });
+    it("should only report connected once the connection is open", () => {
+      const transport = new Transport();
+      let open;
+      sinon.stub(transport, "openConnection").returns(
+        new Promise((resolve) => {
+          open = resolve;
+        })
+      );
+      const connecting = transport.connect();
+      return Promise.delay(0)
+        .then(() => {
+          transport.state.should.equal(Transport.STATES.CONNECTING);
+          open();
+          return connecting;
+        })
+        .then(() => {
+          transport.state.should.equal(Transport.STATES.CONNECTED);
+        });
+    });
+    it("should report closed if the connection cannot be opened", () => {
+      const transport = new Transport();
+      sinon.stub(transport, "openConnection").rejects(new Error("refused"));
+      return transport
+        .connect()
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.message.should.equal("refused");
+          transport.state.should.equal(Transport.STATES.CLOSED);
+          transport.getHealth().ready.should.be.false();
+        });
+    });
+    it("should follow disconnected, reconnected and error events", () => {
+      const transport = new Transport();
+      transport.on("error", () => {});
+      return transport
+        .connect()
+        .then(() => transport.listen())
+        .then(() => {
+          transport.emit("disconnected");
+          transport.state.should.equal(Transport.STATES.RECONNECTING);
+          transport.getHealth().ready.should.be.false();
+          transport.emit("reconnected");
+          transport.state.should.equal(Transport.STATES.LISTENING);
+          transport.emit("error", new errors.TransportDisconnectedError("gone"));
+          transport.state.should.equal(Transport.STATES.FAILED);
+          transport.getHealth().live.should.be.false();
+        });
+    });
+    it("should ignore connection losses reported after disconnecting", () => {
+      const transport = new Transport();
+      return transport
+        .connect()
+        .then(() => transport.disconnect())
+        .then(() => {
+          transport.emit("disconnected");
+          transport.state.should.equal(Transport.STATES.CLOSED);
+        });
+    });
+    it("should report listeners, pending work and recent errors", () => {
+      const transport = new Transport();
+      sinon.stub(transport, "sendRequest").returns(new Promise(() => {}));
+      let pending;
+      return transport
+        .connect()
+        .then(() => transport.addMessageListener("bob", () => Promise.reject(new Error("no"))))
+        .then((handler) => handler({}).catch(() => {}))
+        .then(() => transport.publish("bob", {}))
+        .then(() => {
+          pending = transport.request("bob2", {}, { timeout: 0 }).catch(() => {});
+          const health = transport.getHealth();
+          health.should.include({
+            state: "connected",
+            live: true,
+            ready: true,
+            listeners: 1,
+            pendingRequests: 1,
+            inFlightHandlers: 0,
+          });
+          health.recentErrors.should.deep.equal({
+            handlers: 1,
+            publishes: 0,
+            requests: 0,
+            total: 1,
+          });
+          health.lastSuccessAt.should.be.a("number");
+          health.timeSinceLastSuccess.should.be.at.least(0);
+          return transport.disconnect();
+        })
+        .then(() => pending);
+    });
+    it("should report no success before any message", () => {
+      const health = new Transport().getHealth();
+      expect(health.lastSuccessAt).to.be.null();
+      expect(health.timeSinceLastSuccess).to.be.null();
+    });
+    it("should catch an invalid error window", () => {
+      (() => new Transport({ errorWindow: 0 })).should.throw(TypeError);
+    });
+  });
+
   describe("resetTimings:", () => {
     it("should reset the timings", () => {
       const transport = new Transport();
@@ -285,17 +779,35 @@ describe("transport:", () => {
           }
         });
     });
-  });
-
-  describe("request:", () => {
-    it("should return a promise that resolves", () => {
+    it("should catch unregistered content types and encodings", () => {
       const transport = new Transport();
-      return transport.request("bob");
+      return Promise.all([
+        transport.publish("bob", {}, { contentType: "text/bob" }).reflect(),
+        transport.publish("bob", {}, { contentEncoding: "bob" }).reflect(),
+      ]).then((results) => {
+        results.forEach((result) => {
+          result.reason().should.be.an.instanceOf(TypeError);
+        });
+      });
     });
-    it("should catch invalid routingKey params", () => {
+    it("should send the codec settings of the transport", () => {
+      const transport = new Transport({
+        contentType: "application/msgpack",
+        contentEncoding: "gzip",
+      });
+      const stub = sinon.stub(transport, "sendPublish").resolves();
+      return transport.publish("bob", {}, { contentEncoding: "deflate" }).then(() => {
+        stub.firstCall.args[2].should.include({
+          contentType: "application/msgpack",
+          contentEncoding: "deflate",
+          compressionThreshold: 1024,
+        });
+      });
+    });
+    it("should catch invalid headers params", () => {
       const transport = new Transport();
       return transport
-        .request(35353535)
+        .publish("bob", {}, { headers: { retries: 3 } })
         .then(() => {
           throw new Error("Failed to catch invalid input.");
         })
@@ -305,10 +817,30 @@ describe("transport:", () => {
           }
         });
     });
-    it("should catch invalid correlationId params", () => {
+    it("should send headers alongside the trace headers", () => {
+      const transport = new Transport();
+      const stub = sinon.stub(transport, "sendPublish").resolves();
+      return transport.publish("bob", {}, { headers: { tenant: "acme" } }).then(() => {
+        const { headers } = stub.firstCall.args[2];
+        headers.tenant.should.equal("acme");
+        headers.traceparent.should.be.a("string");
+      });
+    });
+  });
+
+  describe("retries:", () => {
+    it("should catch invalid retry settings", () => {
+      try {
+        const transport = new Transport({ retry: "bob" });
+      } catch (err) {
+        return;
+      }
+      throw new Error("Failed to catch invalid input.");
+    });
+    it("should catch invalid per-call retry settings", () => {
       const transport = new Transport();
       return transport
-        .request("bob", {}, { correlationId: 44444 })
+        .publish("bob", {}, { retry: "bob" })
         .then(() => {
           throw new Error("Failed to catch invalid input.");
         })
@@ -318,17 +850,1320 @@ describe("transport:", () => {
           }
         });
     });
-    it("should catch invalid initiator params", () => {
+    it("should not retry by default", () => {
       const transport = new Transport();
+      const stub = sinon.stub(transport, "sendPublish").rejects(new errors.RequestError("no"));
       return transport
-        .request("bob", {}, { initiator: 44444 })
+        .publish("bob", {})
         .then(() => {
-          throw new Error("Failed to catch invalid input.");
+          throw new Error("Failed to reject.");
         })
         .catch((err) => {
-          if (!(err instanceof TypeError)) {
-            throw err;
-          }
+          err.should.be.an.instanceOf(errors.RequestError);
+          stub.calledOnce.should.be.true();
+        });
+    });
+    it("should retry publishes with the same correlationId", () => {
+      const transport = new Transport({ retry: { maxAttempts: 3, initialDelay: 1 } });
+      const spy = sinon.spy();
+      transport.on("retry", spy);
+      const stub = sinon.stub(transport, "sendPublish");
+      stub.onFirstCall().rejects(new errors.TransportDisconnectedError("down"));
+      stub.onSecondCall().rejects(new errors.RequestError("failed"));
+      stub.onThirdCall().resolves();
+      return transport.publish("bob", {}).then((correlationId) => {
+        stub.calledThrice.should.be.true();
+        stub.getCalls().forEach((call) => call.args[2].correlationId.should.equal(correlationId));
+        spy.calledTwice.should.be.true();
+        spy.firstCall.args[0].attempt.should.equal(2);
+        spy.firstCall.args[0].correlationId.should.equal(correlationId);
+      });
+    });
+    it("should not retry non-retryable errors", () => {
+      const transport = new Transport({ retry: { maxAttempts: 3, initialDelay: 1 } });
+      const stub = sinon.stub(transport, "sendRequest").rejects(new errors.UnauthorizedError("no"));
+      return transport
+        .request("bob", {})
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.UnauthorizedError);
+          stub.calledOnce.should.be.true();
+        });
+    });
+    it("should retry timed out requests", () => {
+      const transport = new Transport();
+      const stub = sinon.stub(transport, "sendRequest");
+      stub.onFirstCall().returns(new Promise(() => {}));
+      stub.onSecondCall().resolves("ok");
+      return transport
+        .request("bob", {}, { timeout: 5, retry: { maxAttempts: 2, initialDelay: 1 } })
+        .then((res) => {
+          res.should.equal("ok");
+          transport.pendingRequests.size.should.equal(0);
+        });
+    });
+    it("should allow retries to be disabled per call", () => {
+      const transport = new Transport({ retry: { maxAttempts: 3, initialDelay: 1 } });
+      const stub = sinon.stub(transport, "sendPublish").rejects(new errors.RequestError("no"));
+      return transport
+        .publish("bob", {}, { retry: false })
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch(() => {
+          stub.calledOnce.should.be.true();
+        });
+    });
+  });
+
+  describe("tracing:", () => {
+    const traceparent = "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01";
+
+    it("should catch invalid trace options", () => {
+      const transport = new Transport();
+      return Promise.all(
+        [{ parentSpan: { traceId: "bob" } }, { baggage: { count: 5 } }].map((options) =>
+          transport
+            .publish("bob", {}, options)
+            .then(() => {
+              throw new Error("Failed to catch invalid input.");
+            })
+            .catch((err) => {
+              if (!(err instanceof TypeError)) {
+                throw err;
+              }
+            })
+        )
+      );
+    });
+    it("should send trace headers derived from the correlationId", () => {
+      const transport = new Transport();
+      const stub = sinon.stub(transport, "sendPublish").resolves();
+      return transport.publish("bob", {}, { baggage: { tenant: "acme" } }).then((correlationId) => {
+        const { headers } = stub.firstCall.args[2];
+        const parsed = tracing.parseTraceparent(headers.traceparent);
+        parsed.traceId.should.equal(correlationId.replace(/-/g, ""));
+        headers.baggage.should.equal("tenant=acme");
+      });
+    });
+    it("should continue the trace of a parent span", () => {
+      const transport = new Transport();
+      const parentSpan = tracing.fromHeaders({ traceparent });
+      const stub = sinon.stub(transport, "sendRequest").resolves();
+      return transport.request("bob", {}, { parentSpan }).then(() => {
+        const options = stub.firstCall.args[2];
+        options.correlationId.should.equal("4bf92f35-77b3-4da6-a3ce-929d0e0e4736");
+        const parsed = tracing.parseTraceparent(options.headers.traceparent);
+        parsed.traceId.should.equal(parentSpan.traceId);
+        parsed.spanId.should.not.equal(parentSpan.spanId);
+      });
+    });
+    it("should pass the span of received messages to the callback", () => {
+      const transport = new Transport();
+      const spy = sinon.spy(() => Promise.resolve());
+      return transport
+        .addMessageListener("bob", spy)
+        .then((handler) =>
+          handler({}, "ggg", "fff", { headers: { traceparent, baggage: "tenant=acme" } })
+        )
+        .then(() => {
+          const { span } = spy.firstCall.args[3];
+          span.kind.should.equal("consumer");
+          span.traceId.should.equal("4bf92f3577b34da6a3ce929d0e0e4736");
+          span.parentSpanId.should.equal("00f067aa0ba902b7");
+          span.baggage.should.deep.equal({ tenant: "acme" });
+        });
+    });
+    it("should fire span start and finish events", () => {
+      const transport = new Transport();
+      const started = sinon.spy();
+      const finished = sinon.spy();
+      transport.on("spanStart", started);
+      transport.on("spanFinish", finished);
+      return transport
+        .addMessageListener("bob", () => Promise.reject(new Error("boom")))
+        .then((handler) => handler({}, "ggg"))
+        .catch(() => transport.publish("bob", {}))
+        .then(() => {
+          started.callCount.should.equal(2);
+          finished.callCount.should.equal(2);
+          const [handlerSpan, publishSpan] = finished.args.map(([span]) => span);
+          handlerSpan.should.equal(started.firstCall.args[0]);
+          handlerSpan.error.message.should.equal("boom");
+          handlerSpan.duration.should.be.at.least(0);
+          publishSpan.kind.should.equal("producer");
+          expect(publishSpan.error).to.be.null();
+        });
+    });
+  });
+
+  describe("currentContext:", () => {
+    it("should be undefined outside a message handler", () => {
+      expect(Transport.currentContext()).to.be.undefined();
+    });
+    it("should expose the message context deep inside a handler", () => {
+      const transport = new Transport();
+      let seen;
+      const logger = () => {
+        seen = Transport.currentContext();
+      };
+      return transport
+        .addMessageListener("users.:id", () => Promise.delay(1).then(() => setImmediate(logger)))
+        .then((handler) => handler({}, "ggg", "fff", { routingKey: "users.42" }))
+        .then(() => Promise.delay(5))
+        .then(() => {
+          seen.should.include({
+            transport,
+            routingKey: "users.42",
+            pattern: "users.:id",
+            topic: "users.*",
+            correlationId: "ggg",
+            initiator: "fff",
+          });
+          seen.headers.traceparent.should.contain(seen.span.spanId);
+        });
+    });
+    it("should let nested calls inherit the correlationId, initiator and trace", () => {
+      const transport = new Transport();
+      const publish = sinon.stub(transport, "sendPublish").resolves();
+      const request = sinon.stub(transport, "sendRequest").resolves();
+      let span;
+      return transport
+        .addMessageListener("bob", (msg, correlationId, initiator, details) => {
+          ({ span } = details);
+          return Promise.delay(1)
+            .then(() => transport.publish("alice", {}))
+            .then(() => transport.request("carol", {}, { initiator: "other" }));
+        })
+        .then((handler) => handler({}, "ggg", "fff"))
+        .then(() => {
+          const published = publish.firstCall.args[2];
+          published.correlationId.should.equal("ggg");
+          published.initiator.should.equal("fff");
+          tracing
+            .parseTraceparent(published.headers.traceparent)
+            .traceId.should.equal(span.traceId);
+          const requested = request.firstCall.args[2];
+          requested.correlationId.should.equal("ggg");
+          requested.initiator.should.equal("other");
+        });
+    });
+    it("should let nested calls inherit the received headers", () => {
+      const transport = new Transport();
+      const publish = sinon.stub(transport, "sendPublish").resolves();
+      const request = sinon.stub(transport, "sendRequest").resolves();
+      const received = {
+        authorization: "Bearer abc",
+        tenant: "acme",
+        traceparent: "00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01",
+      };
+      let seen;
+      return transport
+        .addMessageListener("bob", () => {
+          seen = Transport.currentContext();
+          return transport
+            .publish("alice", {})
+            .then(() => transport.request("carol", {}, { headers: { tenant: "other" } }));
+        })
+        .then((handler) => handler({}, "ggg", "fff", { headers: received }))
+        .then(() => {
+          seen.headers.should.include({ authorization: "Bearer abc", tenant: "acme" });
+          seen.headers.traceparent.should.contain(seen.span.spanId);
+          const published = publish.firstCall.args[2].headers;
+          published.should.include({ authorization: "Bearer abc", tenant: "acme" });
+          published.traceparent.should.not.equal(received.traceparent);
+          tracing
+            .parseTraceparent(published.traceparent)
+            .traceId.should.equal("0af7651916cd43dd8448eb211c80319c");
+          request.firstCall.args[2].headers.should.include({
+            authorization: "Bearer abc",
+            tenant: "other",
+          });
+        });
+    });
+    it("should keep the contexts of concurrent messages apart", () => {
+      const transport = new Transport();
+      const stub = sinon.stub(transport, "sendPublish").resolves();
+      return transport
+        .addMessageListener("bob", (msg) =>
+          Promise.delay(msg.wait).then(() => transport.publish("alice", {}))
+        )
+        .then((handler) =>
+          Promise.all([handler({ wait: 5 }, "first"), handler({ wait: 1 }, "second")])
+        )
+        .then(() => {
+          stub.args.map((args) => args[2].correlationId).should.deep.equal(["second", "first"]);
+        });
+    });
+  });
+
+  describe("concurrency limits:", () => {
+    const deferred = () => {
+      const result = {};
+      result.promise = new Promise((resolve) => {
+        result.resolve = resolve;
+      });
+      return result;
+    };
+
+    it("should catch invalid settings", () => {
+      (() => new Transport({ maxConcurrency: 0 })).should.throw(TypeError);
+      (() => new Transport({ maxQueueLength: 5 })).should.throw(TypeError);
+      const transport = new Transport();
+      return transport
+        .addMessageListener("bob", () => Promise.resolve(), { maxConcurrency: "bob" })
+        .then(() => {
+          throw new Error("Failed to catch invalid input.");
+        })
+        .catch((err) => {
+          if (!(err instanceof TypeError)) {
+            throw err;
+          }
+        });
+    });
+    it("should limit concurrent handlers per listener and track the queue depth", () => {
+      const transport = new Transport();
+      const task = deferred();
+      const callback = sinon.spy(() => task.promise);
+      return transport
+        .addMessageListener("bob", callback, { maxConcurrency: 1 })
+        .then((handler) => {
+          const results = [handler({}, "a"), handler({}, "b")];
+          callback.calledOnce.should.be.true();
+          transport.getMetrics().handlers.bob.queued.should.equal(1);
+          task.resolve();
+          return Promise.all(results);
+        })
+        .then(() => {
+          callback.calledTwice.should.be.true();
+          transport.getMetrics().handlers.bob.queued.should.equal(0);
+        });
+    });
+    it("should apply the transport-wide limit across listeners", () => {
+      const transport = new Transport({ maxConcurrency: 1 });
+      const task = deferred();
+      const bob = sinon.spy(() => task.promise);
+      const alice = sinon.spy(() => Promise.resolve());
+      return Promise.all([
+        transport.addMessageListener("bob", bob),
+        transport.addMessageListener("alice", alice),
+      ])
+        .then(([bobHandler, aliceHandler]) => {
+          const results = [bobHandler({}), aliceHandler({})];
+          return Promise.delay(0).then(() => {
+            alice.called.should.be.false();
+            task.resolve();
+            return Promise.all(results);
+          });
+        })
+        .then(() => {
+          alice.calledOnce.should.be.true();
+        });
+    });
+    it("should reject messages when the queue is full", () => {
+      const transport = new Transport();
+      const task = deferred();
+      const spy = sinon.spy();
+      transport.on("queueFull", spy);
+      return transport
+        .addMessageListener("bob", () => task.promise, { maxConcurrency: 1, maxQueueLength: 0 })
+        .then((handler) => {
+          handler({});
+          return handler({});
+        })
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.QueueFullError);
+          spy.calledOnceWith({ pattern: "bob", queueLength: 0 }).should.be.true();
+          transport.getMetrics().handlers.bob.queued.should.equal(0);
+          task.resolve();
+        });
+    });
+    it("should pause and resume intake", () => {
+      const transport = new Transport();
+      const task = deferred();
+      const events = [];
+      transport.on("intakePaused", (event) => events.push(["paused", event]));
+      transport.on("intakeResumed", (event) => events.push(["resumed", event]));
+      return transport
+        .addMessageListener("bob.*", () => task.promise, {
+          maxConcurrency: 1,
+          maxQueueLength: 1,
+          overflow: "pause",
+        })
+        .then((handler) => {
+          const results = [handler({}), handler({})];
+          transport.isIntakePaused("bob.one").should.be.true();
+          transport.isIntakePaused("alice").should.be.false();
+          task.resolve();
+          return Promise.all(results);
+        })
+        .then(() => {
+          transport.isIntakePaused("bob.one").should.be.false();
+          events.should.deep.equal([
+            ["paused", { pattern: "bob.*", queueLength: 1 }],
+            ["resumed", { pattern: "bob.*", queueLength: 0 }],
+          ]);
+        });
+    });
+  });
+
+  describe("circuit breaker:", () => {
+    it("should catch invalid settings", () => {
+      (() => new Transport({ circuitBreaker: "bob" })).should.throw(TypeError);
+      (() => new Transport({ circuitBreaker: { coolDown: -1 } })).should.throw(TypeError);
+    });
+    it("should fail fast while the breaker is open", () => {
+      const transport = new Transport({ circuitBreaker: { failureThreshold: 2 } });
+      const stub = sinon.stub(transport, "sendRequest").rejects(new errors.RequestError("down"));
+      const opened = sinon.spy();
+      transport.on("circuitOpened", opened);
+      const request = () => transport.request("bob", {}).catch((err) => err);
+      return request()
+        .then(() => request())
+        .then(() => request())
+        .then((err) => {
+          err.should.be.an.instanceOf(errors.CircuitOpenError);
+          stub.calledTwice.should.be.true();
+          opened.calledOnce.should.be.true();
+          opened.firstCall.args[0].should.include({
+            routingKey: "bob",
+            previousState: "closed",
+            state: "open",
+          });
+          transport.getCircuitStates().bob.state.should.equal("open");
+        });
+    });
+    it("should not retry requests rejected by an open breaker", () => {
+      const transport = new Transport({
+        circuitBreaker: { failureThreshold: 1 },
+        retry: { maxAttempts: 3, initialDelay: 0 },
+      });
+      const stub = sinon.stub(transport, "sendRequest").rejects(new errors.RequestError("down"));
+      return transport
+        .request("bob", {})
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.CircuitOpenError);
+          stub.calledOnce.should.be.true();
+        });
+    });
+    it("should close again after a successful trial request", () => {
+      const transport = new Transport({ circuitBreaker: { failureThreshold: 1, coolDown: 0 } });
+      const stub = sinon.stub(transport, "sendRequest");
+      stub.onFirstCall().rejects(new errors.RequestError("down"));
+      stub.resolves("ok");
+      const events = [];
+      transport.on("circuitHalfOpened", () => events.push("halfOpen"));
+      transport.on("circuitClosed", () => events.push("closed"));
+      return transport
+        .request("bob", {})
+        .catch(() => transport.request("bob", {}))
+        .then((res) => {
+          res.should.equal("ok");
+          events.should.deep.equal(["halfOpen", "closed"]);
+          transport.getCircuitStates().bob.state.should.equal("closed");
+        });
+    });
+    it("should allow bypassing the breaker per request", () => {
+      const transport = new Transport({ circuitBreaker: { failureThreshold: 1 } });
+      sinon.stub(transport, "sendRequest").rejects(new errors.RequestError("down"));
+      return transport
+        .request("bob", {}, { circuitBreaker: false })
+        .catch(() => transport.request("bob", {}, { circuitBreaker: false }))
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.RequestError);
+          transport.getCircuitStates().should.deep.equal({});
+        });
+    });
+    it("should not track breakers when disabled", () => {
+      const transport = new Transport();
+      return transport.request("bob", {}).then(() => {
+        transport.getCircuitStates().should.deep.equal({});
+      });
+    });
+  });
+
+  describe("reconnect:", () => {
+    const settings = { initialDelay: 1, maxDelay: 1, jitter: 0 };
+    const waitFor = (transport, event) =>
+      new Promise((resolve) => transport.once(event, (...args) => resolve(args)));
+
+    it("should catch invalid input", () => {
+      (() => new Transport({ reconnect: "yes" })).should.throw(TypeError);
+      (() => new Transport({ reconnect: { maxAttempts: 0 } })).should.throw(TypeError);
+      (() => new Transport({ reconnect: { whileDown: "drop" } })).should.throw(TypeError);
+      (() => new Transport({ reconnect: { maxBuffered: -1 } })).should.throw(TypeError);
+    });
+    it("should initialize settings from defaults", () => {
+      const transport = new Transport({ reconnect: true });
+      transport.reconnectSettings.policy.maxAttempts.should.equal(defaults.reconnect.maxAttempts);
+      transport.reconnectSettings.whileDown.should.equal("buffer");
+      transport.reconnectSettings.maxBuffered.should.equal(defaults.reconnect.maxBuffered);
+      expect(new Transport().reconnectSettings).to.be.null();
+    });
+    it("should retry connecting until it succeeds", () => {
+      const transport = new Transport({ reconnect: settings });
+      return transport.connect().then(() => {
+        const connect = sinon.stub(transport, "connect");
+        connect.onFirstCall().rejects(new Error("refused"));
+        connect.onSecondCall().rejects(new Error("refused"));
+        connect.resolves();
+        const reconnected = waitFor(transport, "reconnected");
+        transport.emit("disconnected");
+        return reconnected.then(() => {
+          connect.callCount.should.equal(3);
+          transport.state.should.equal(Transport.STATES.CONNECTED);
+          expect(transport.reconnection).to.be.null();
+        });
+      });
+    });
+    it("should stay reconnecting while attempts fail", () => {
+      const transport = new Transport({ reconnect: settings });
+      return transport.connect().then(() => {
+        const openConnection = sinon.stub(transport, "openConnection");
+        openConnection.onFirstCall().rejects(new Error("refused"));
+        openConnection.onSecondCall().rejects(new Error("refused"));
+        openConnection.resolves();
+        const states = [];
+        transport.on("stateChange", ({ state }) => states.push(state));
+        const reconnected = waitFor(transport, "reconnected");
+        transport.emit("disconnected");
+        return reconnected.then(() => {
+          openConnection.callCount.should.equal(3);
+          states.should.deep.equal([Transport.STATES.RECONNECTING, Transport.STATES.CONNECTED]);
+        });
+      });
+    });
+    it("should re-register listeners and resume listening", () => {
+      const transport = new Transport({ reconnect: settings });
+      const callback = () => Promise.resolve("hi");
+      return transport
+        .connect()
+        .then(() => transport.addMessageListener("bob.*", callback, { dedup: false }))
+        .then(() => transport.listen())
+        .then(() => {
+          const addMessageListener = sinon.spy(transport, "addMessageListener");
+          const listen = sinon.spy(transport, "listen");
+          const reconnected = waitFor(transport, "reconnected");
+          transport.emit("disconnected");
+          return reconnected.then(() => {
+            addMessageListener.calledOnceWith("bob.*", callback, { dedup: false }).should.be.true();
+            listen.calledOnce.should.be.true();
+            transport.state.should.equal(Transport.STATES.LISTENING);
+            return transport.matchListener("bob.bill").handler({});
+          });
+        })
+        .then((res) => {
+          res.should.equal("hi");
+          return transport.disconnect();
+        });
+    });
+    it("should fire error with a TransportDisconnectedError when it gives up", () => {
+      const transport = new Transport({ reconnect: { ...settings, maxAttempts: 2 } });
+      return transport.connect().then(() => {
+        const connect = sinon.stub(transport, "connect").rejects(new Error("refused"));
+        const failed = waitFor(transport, "error");
+        transport.emit("disconnected");
+        return failed.then(([err]) => {
+          err.should.be.an.instanceOf(errors.TransportDisconnectedError);
+          err.message.should.contain("refused");
+          connect.callCount.should.equal(2);
+          transport.state.should.equal(Transport.STATES.FAILED);
+        });
+      });
+    });
+    it("should throw the error outside the promise chain when nothing listens for it", () => {
+      const transport = new Transport({ reconnect: { ...settings, maxAttempts: 1 } });
+      const listeners = process.listeners("uncaughtException");
+      process.removeAllListeners("uncaughtException");
+      const thrown = new Promise((resolve) =>
+        process.once("uncaughtException", resolve)
+      ).finally(() => listeners.forEach((listener) => process.on("uncaughtException", listener)));
+      return transport.connect().then(() => {
+        sinon.stub(transport, "connect").rejects(new Error("refused"));
+        transport.emit("disconnected");
+        return Promise.all([transport.reconnection.promise, thrown]).then(([, err]) => {
+          err.should.be.an.instanceOf(errors.TransportDisconnectedError);
+          transport.state.should.equal(Transport.STATES.FAILED);
+        });
+      });
+    });
+    it("should buffer publishes until it reconnects", () => {
+      const transport = new Transport({ reconnect: settings });
+      const sendPublish = sinon.spy(transport, "sendPublish");
+      return transport.connect().then(() => {
+        const connect = sinon.stub(transport, "connect");
+        connect.onFirstCall().rejects(new Error("refused"));
+        connect.resolves();
+        transport.emit("disconnected");
+        const published = Promise.all([
+          transport.publish("bob", { n: 1 }),
+          transport.publish("bob", { n: 2 }),
+        ]);
+        return Promise.delay(0)
+          .then(() => {
+            sendPublish.called.should.be.false();
+            transport.getHealth().bufferedPublishes.should.equal(2);
+            return published;
+          })
+          .then(() => {
+            sendPublish.args.map((args) => args[1]).should.deep.equal([{ n: 1 }, { n: 2 }]);
+          });
+      });
+    });
+    it("should reject publishes beyond the buffer size with a QueueFullError", () => {
+      const transport = new Transport({ reconnect: { ...settings, maxBuffered: 0 } });
+      return transport.connect().then(() => {
+        sinon.stub(transport, "connect").returns(new Promise(() => {}));
+        transport.emit("disconnected");
+        return transport
+          .publish("bob", {})
+          .then(() => {
+            throw new Error("Failed to reject.");
+          })
+          .catch((err) => {
+            err.should.be.an.instanceOf(errors.QueueFullError);
+            return transport.disconnect();
+          });
+      });
+    });
+    it("should reject publishes while down if configured to", () => {
+      const transport = new Transport({ reconnect: { ...settings, whileDown: "reject" } });
+      return transport.connect().then(() => {
+        sinon.stub(transport, "connect").returns(new Promise(() => {}));
+        transport.emit("disconnected");
+        return transport
+          .publish("bob", {})
+          .then(() => {
+            throw new Error("Failed to reject.");
+          })
+          .catch((err) => {
+            err.should.be.an.instanceOf(errors.TransportDisconnectedError);
+            return transport.disconnect();
+          });
+      });
+    });
+    it("should stop reconnecting and reject buffered publishes on disconnect", () => {
+      const transport = new Transport({ reconnect: settings });
+      return transport.connect().then(() => {
+        const connect = sinon.stub(transport, "connect").rejects(new Error("refused"));
+        const onError = sinon.spy();
+        transport.on("error", onError);
+        transport.emit("disconnected");
+        const published = transport.publish("bob", {}).catch((err) => err);
+        return transport
+          .disconnect()
+          .then(() => published)
+          .then((err) => {
+            err.should.be.an.instanceOf(errors.TransportDisconnectedError);
+            const attempts = connect.callCount;
+            return Promise.delay(10).then(() => {
+              connect.callCount.should.equal(attempts);
+              onError.called.should.be.false();
+              transport.state.should.equal(Transport.STATES.CLOSED);
+            });
+          });
+      });
+    });
+  });
+
+  describe("outbox:", () => {
+    it("should catch invalid input", () => {
+      (() => new Transport({ outbox: "yes" })).should.throw(TypeError);
+      (() => new Transport({ outbox: { maxEntries: -1 } })).should.throw(TypeError);
+    });
+    it("should send publishes directly while connected", () => {
+      const transport = new Transport({ outbox: true });
+      const sendPublish = sinon.spy(transport, "sendPublish");
+      return transport
+        .connect()
+        .then(() => transport.publish("bob", {}))
+        .then(() => {
+          sendPublish.calledOnce.should.be.true();
+          return transport.outbox.store.count();
+        })
+        .then((count) => {
+          count.should.equal(0);
+        });
+    });
+    it("should reject publishes once the transport has failed", () => {
+      const transport = new Transport({ outbox: true });
+      const sendPublish = sinon.spy(transport, "sendPublish");
+      transport.on("error", () => {});
+      return transport
+        .connect()
+        .then(() => {
+          transport.emit("disconnected");
+          transport.emit("error", new errors.TransportDisconnectedError("gone"));
+          return transport.publish("bob", {}).then(
+            () => {
+              throw new Error("Failed to reject.");
+            },
+            (err) => {
+              err.should.be.an.instanceOf(errors.TransportDisconnectedError);
+            }
+          );
+        })
+        .then(() => transport.outbox.store.count())
+        .then((count) => {
+          count.should.equal(0);
+          return transport.connect();
+        })
+        .then(() => transport.publish("bob", {}))
+        .then(() => {
+          sendPublish.calledOnce.should.be.true();
+        });
+    });
+    it("should hold publishes while disconnected and send them on reconnect", () => {
+      const transport = new Transport({ outbox: true });
+      const sendPublish = sinon.spy(transport, "sendPublish");
+      const onFlush = sinon.spy();
+      transport.on("outboxFlush", onFlush);
+      return transport
+        .connect()
+        .then(() => {
+          transport.emit("disconnected");
+          return Promise.mapSeries([1, 2], (n) =>
+            transport.publish("bob", { n }, { correlationId: `c${n}`, initiator: "fff" })
+          );
+        })
+        .then((correlationIds) => {
+          correlationIds.should.deep.equal(["c1", "c2"]);
+          sendPublish.called.should.be.false();
+          const flushed = new Promise((resolve) => transport.once("outboxFlushed", resolve));
+          transport.emit("reconnected");
+          return flushed;
+        })
+        .then((report) => {
+          report.should.deep.include({ sent: 2, failed: 0, remaining: 0 });
+          sendPublish.args.map((args) => args[1]).should.deep.equal([{ n: 1 }, { n: 2 }]);
+          sendPublish.firstCall.args[2].should.include({ correlationId: "c1", initiator: "fff" });
+          sendPublish.firstCall.args[2].messageId.should.be.a("string");
+          sendPublish.firstCall.args[2].headers.traceparent.should.be.a("string");
+          onFlush.callCount.should.equal(2);
+          onFlush.firstCall.args[0].should.deep.include({ routingKey: "bob", correlationId: "c1" });
+        });
+    });
+    it("should take precedence over the reconnect buffer", () => {
+      const transport = new Transport({ outbox: true, reconnect: { initialDelay: 1 } });
+      return transport.connect().then(() => {
+        sinon.stub(transport, "connect").returns(new Promise(() => {}));
+        transport.emit("disconnected");
+        return transport
+          .publish("bob", {})
+          .then(() => {
+            transport.publishBuffer.should.have.length(0);
+            return transport.outbox.store.count();
+          })
+          .then((count) => {
+            count.should.equal(1);
+            return transport.disconnect();
+          });
+      });
+    });
+    it("should emit outboxOverflow and reject publishes when full", () => {
+      const transport = new Transport({ outbox: { maxEntries: 1 } });
+      const onOverflow = sinon.spy();
+      transport.on("outboxOverflow", onOverflow);
+      return transport
+        .connect()
+        .then(() => {
+          transport.emit("disconnected");
+          return transport.publish("bob", {});
+        })
+        .then(() => transport.publish("bob", {}, { correlationId: "ggg", retry: false }))
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.QueueFullError);
+          onOverflow.calledOnce.should.be.true();
+          onOverflow.firstCall.args[0].should.deep.equal({
+            routingKey: "bob",
+            correlationId: "ggg",
+            maxEntries: 1,
+          });
+        });
+    });
+    it("should reject flushOutbox if the outbox is not enabled", () =>
+      new Transport()
+        .flushOutbox()
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.NotImplementedError);
+        }));
+  });
+
+  describe("local delivery:", () => {
+    const createListening = (localDelivery, callback) => {
+      const transport = new Transport({ localDelivery });
+      return transport
+        .addMessageListener("bob", callback)
+        .then(() => transport.listen())
+        .then(() => transport);
+    };
+
+    it("should catch invalid settings", () => {
+      (() => new Transport({ localDelivery: "bob" })).should.throw(TypeError);
+    });
+    it("should send everything through the broker by default", () => {
+      const callback = sinon.stub().resolves("hi");
+      return createListening(undefined, callback).then((transport) => {
+        const stub = sinon.stub(transport, "sendRequest").resolves("broker");
+        return transport.request("bob", {}).then((res) => {
+          res.should.equal("broker");
+          callback.called.should.be.false();
+          stub.calledOnce.should.be.true();
+        });
+      });
+    });
+    it("should answer requests from a local listener", () => {
+      const callback = sinon.stub().resolves({ name: "hi" });
+      return createListening("local", callback).then((transport) => {
+        const stub = sinon.stub(transport, "sendRequest").resolves("broker");
+        const message = { name: "bob" };
+        return transport.request("bob", message, { initiator: "fff" }).then((res) => {
+          res.should.deep.equal({ name: "hi" });
+          stub.called.should.be.false();
+          const [received, correlationId, initiator, details] = callback.firstCall.args;
+          received.should.deep.equal(message);
+          received.should.not.equal(message);
+          correlationId.should.be.a("string");
+          initiator.should.equal("fff");
+          details.messageId.should.be.a("string");
+          details.span.parentSpanId.should.match(/^[0-9a-f]{16}$/);
+          transport.getMetrics().handlers.bob.count.should.equal(1);
+        });
+      });
+    });
+    it("should reject requests with the error of a local listener", () =>
+      createListening("local", () => Promise.reject(new errors.NotFoundError("nope"))).then(
+        (transport) =>
+          transport
+            .request("bob", {})
+            .then(() => {
+              throw new Error("Failed to reject.");
+            })
+            .catch((err) => {
+              err.should.be.an.instanceOf(errors.NotFoundError);
+            })
+      ));
+    it("should use the broker when no local listener matches or not listening", () => {
+      const transport = new Transport({ localDelivery: "local" });
+      const callback = sinon.stub().resolves();
+      const stub = sinon.stub(transport, "sendPublish").resolves();
+      return transport
+        .addMessageListener("bob", callback)
+        .then(() => transport.publish("bob", {}))
+        .then(() => transport.listen())
+        .then(() => transport.publish("alice", {}))
+        .then(() => {
+          stub.calledTwice.should.be.true();
+          callback.called.should.be.false();
+        });
+    });
+    it("should deliver publishes locally only, or also through the broker", () => {
+      const callback = sinon.stub().resolves();
+      return Promise.mapSeries(["local", "both"], (mode) =>
+        createListening(mode, callback).then((transport) => {
+          const stub = sinon.stub(transport, "sendPublish").resolves();
+          return transport
+            .publish("bob", {})
+            .delay(5)
+            .then(() => stub.callCount);
+        })
+      ).then((brokered) => {
+        brokered.should.deep.equal([0, 1]);
+        callback.calledTwice.should.be.true();
+      });
+    });
+  });
+
+  describe("dedup:", () => {
+    it("should catch invalid settings", () => {
+      (() => new Transport({ dedup: "bob" })).should.throw(TypeError);
+      const transport = new Transport({ dedup: true });
+      return transport
+        .addMessageListener("bob", () => Promise.resolve(), { dedup: true })
+        .then(() => {
+          throw new Error("Failed to catch invalid input.");
+        })
+        .catch((err) => {
+          if (!(err instanceof TypeError)) {
+            throw err;
+          }
+        });
+    });
+    it("should give outbound messages a messageId", () => {
+      const transport = new Transport();
+      const stub = sinon.stub(transport, "sendPublish").resolves();
+      return transport
+        .publish("bob", {})
+        .then(() => transport.publish("bob", {}, { messageId: "abc" }))
+        .then(() => {
+          stub.firstCall.args[2].messageId.should.be.a("string");
+          stub.secondCall.args[2].messageId.should.equal("abc");
+        });
+    });
+    it("should not write into reused options objects", () => {
+      const transport = new Transport();
+      const stub = sinon.stub(transport, "sendPublish").resolves();
+      const options = { initiator: "fff" };
+      return transport
+        .publish("bob", {}, options)
+        .then(() => transport.publish("bob", {}, options))
+        .then(() => {
+          options.should.deep.equal({ initiator: "fff" });
+          stub.firstCall.args[2].messageId.should.not.equal(stub.secondCall.args[2].messageId);
+        });
+    });
+    it("should not write into the options of requests", () => {
+      const transport = new Transport();
+      const options = { timeout: 0 };
+      return transport.request("bob", {}, options).then(() => {
+        options.should.deep.equal({ timeout: 0 });
+      });
+    });
+    it("should catch invalid messageId params", () => {
+      const transport = new Transport();
+      return transport
+        .publish("bob", {}, { messageId: 44444 })
+        .then(() => {
+          throw new Error("Failed to catch invalid input.");
+        })
+        .catch((err) => {
+          if (!(err instanceof TypeError)) {
+            throw err;
+          }
+        });
+    });
+    it("should skip the callback for duplicates and return the first response", () => {
+      const transport = new Transport({ dedup: true });
+      const callback = sinon.stub().resolves({ count: 1 });
+      const spy = sinon.spy();
+      transport.on("duplicate", spy);
+      return transport
+        .addMessageListener("bob", callback)
+        .then((handler) =>
+          Promise.mapSeries([1, 2], () => handler({}, "ggg", "fff", { messageId: "abc" }))
+        )
+        .then((responses) => {
+          responses.should.deep.equal([{ count: 1 }, { count: 1 }]);
+          callback.calledOnce.should.be.true();
+          callback.firstCall.args[3].messageId.should.equal("abc");
+          spy
+            .calledOnceWith({
+              routingKey: "bob",
+              pattern: "bob",
+              messageId: "abc",
+              correlationId: "ggg",
+            })
+            .should.be.true();
+        });
+    });
+    it("should handle messages again when their handler failed", () => {
+      const transport = new Transport({ dedup: true });
+      const callback = sinon.stub();
+      callback.onFirstCall().rejects(new errors.ResponseError("boom"));
+      callback.onSecondCall().resolves("ok");
+      return transport
+        .addMessageListener("bob", callback)
+        .then((handler) =>
+          handler({}, "ggg", "fff", { messageId: "abc" }).catch(() =>
+            handler({}, "ggg", "fff", { messageId: "abc" })
+          )
+        )
+        .then((res) => {
+          res.should.equal("ok");
+          callback.calledTwice.should.be.true();
+        });
+    });
+    it("should not de-duplicate when disabled or without a messageId", () => {
+      const transport = new Transport({ dedup: true });
+      const callback = sinon.stub().resolves();
+      return transport
+        .addMessageListener("bob", callback, { dedup: false })
+        .then((handler) =>
+          Promise.mapSeries([1, 2], () => handler({}, "ggg", "fff", { messageId: "abc" }))
+        )
+        .then(() => transport.addMessageListener("alice", callback))
+        .then((handler) => Promise.mapSeries([1, 2], () => handler({}, "ggg", "fff")))
+        .then(() => {
+          callback.callCount.should.equal(4);
+        });
+    });
+  });
+
+  describe("dead letters:", () => {
+    const fail = (handler, times) =>
+      Promise.mapSeries(new Array(times).fill(), () =>
+        handler({ name: "bob" }, "ggg", "fff", { messageId: "m1" }).catch((err) => err)
+      );
+
+    it("should catch invalid settings", () => {
+      (() => new Transport({ deadLetter: "bob" })).should.throw(TypeError);
+      const transport = new Transport({ deadLetter: true });
+      return transport
+        .addMessageListener("bob", () => Promise.resolve(), { deadLetter: "bob" })
+        .then(() => {
+          throw new Error("Failed to catch invalid input.");
+        })
+        .catch((err) => {
+          if (!(err instanceof TypeError)) {
+            throw err;
+          }
+        });
+    });
+    it("should reject dead-letter calls when disabled", () => {
+      const transport = new Transport();
+      return transport
+        .getDeadLetters()
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.NotImplementedError);
+        });
+    });
+    it("should dead-letter a message after maxFailures handler failures", () => {
+      const transport = new Transport({ deadLetter: { maxFailures: 2 } });
+      const spy = sinon.spy();
+      transport.on("deadLetter", spy);
+      return transport
+        .addMessageListener("bob", () => Promise.reject(new errors.ResponseError("boom")))
+        .then((handler) => fail(handler, 2))
+        .then((results) => {
+          results[0].should.be.an.instanceOf(errors.ResponseError);
+          expect(results[1]).to.be.undefined();
+          return transport.getDeadLetters();
+        })
+        .then((entries) => {
+          entries.should.have.length(1);
+          entries[0].should.include({
+            routingKey: "bob",
+            correlationId: "ggg",
+            initiator: "fff",
+            attempts: 2,
+          });
+          entries[0].message.should.deep.equal({ name: "bob" });
+          entries[0].error.name.should.equal("ResponseError");
+          spy.calledOnceWith(entries[0]).should.be.true();
+        });
+    });
+    it("should stop redeliveries once a message is dead-lettered", () => {
+      const transport = new Transport({ deadLetter: { maxFailures: 3 } });
+      const callback = sinon.stub().rejects(new Error("boom"));
+      // Redeliver the message until the handler resolves, as a broker requeuing rejections would.
+      const deliver = (handler, deliveries) =>
+        handler({}, "ggg", "fff", { messageId: "m1" }).then(
+          () => deliveries,
+          () => (deliveries < 10 ? deliver(handler, deliveries + 1) : deliveries)
+        );
+      return transport
+        .addMessageListener("bob", callback)
+        .then((handler) => deliver(handler, 1))
+        .then((deliveries) => {
+          deliveries.should.equal(3);
+          callback.callCount.should.equal(3);
+          return transport.getDeadLetters();
+        })
+        .then((entries) => {
+          entries.should.have.length(1);
+        });
+    });
+    it("should count failures per message id", () => {
+      const transport = new Transport({ deadLetter: { maxFailures: 2 } });
+      return transport
+        .addMessageListener("bob", () => Promise.reject(new Error("boom")))
+        .then((handler) =>
+          Promise.mapSeries(["m1", "m2", undefined, undefined], (messageId) =>
+            handler({}, "ggg", "fff", { messageId }).catch((err) => err)
+          )
+        )
+        .then(() => transport.getDeadLetters())
+        .then((entries) => {
+          entries.should.have.length(0);
+        });
+    });
+    it("should reset the failure count when the handler succeeds", () => {
+      const transport = new Transport({ deadLetter: { maxFailures: 2 } });
+      const callback = sinon.stub();
+      callback.onCall(1).resolves();
+      callback.rejects(new Error("boom"));
+      return transport
+        .addMessageListener("bob", callback)
+        .then((handler) => fail(handler, 3))
+        .then(() => transport.getDeadLetters())
+        .then((entries) => {
+          entries.should.have.length(0);
+        });
+    });
+    it("should respect per-listener settings", () => {
+      const transport = new Transport({ deadLetter: { maxFailures: 5 } });
+      const callback = () => Promise.reject(new Error("boom"));
+      return Promise.all([
+        transport.addMessageListener("bob", callback, { deadLetter: { maxFailures: 1 } }),
+        transport.addMessageListener("alice", callback, { deadLetter: false }),
+      ])
+        .then(([bob, alice]) => Promise.all([fail(bob, 1), fail(alice, 5)]))
+        .then(() => transport.getDeadLetters())
+        .then((entries) => {
+          entries.map((entry) => entry.routingKey).should.deep.equal(["bob"]);
+        });
+    });
+    it("should publish entries to the dead-letter routing key", () => {
+      const transport = new Transport({ deadLetter: { maxFailures: 1, routingKey: "dlq" } });
+      const stub = sinon.stub(transport, "sendPublish").resolves();
+      return transport
+        .addMessageListener("bob", () => Promise.reject(new Error("boom")))
+        .then((handler) => fail(handler, 1))
+        .then(() => {
+          stub.calledOnce.should.be.true();
+          stub.firstCall.args[0].should.equal("dlq");
+          stub.firstCall.args[1].attempts.should.equal(1);
+          stub.firstCall.args[2].correlationId.should.equal("ggg");
+        });
+    });
+    it("should use a custom sink and log its failures", () => {
+      const logger = { error: sinon.spy() };
+      const sink = {
+        add: sinon.stub().rejects(new Error("full")),
+        get: sinon.stub(),
+        list: sinon.stub(),
+        remove: sinon.stub(),
+      };
+      const transport = new Transport({ logger, deadLetter: { maxFailures: 1, sink } });
+      return transport
+        .addMessageListener("bob", () => Promise.reject(new Error("boom")))
+        .then((handler) => fail(handler, 1))
+        .then(([result]) => {
+          expect(result).to.be.undefined();
+          logger.error.calledWith(sinon.match({ message: "boom" })).should.be.true();
+          sink.add.calledOnce.should.be.true();
+          logger.error.calledWith(sinon.match({ message: "full" })).should.be.true();
+        });
+    });
+    it("should replay a dead-lettered message", () => {
+      const transport = new Transport({ deadLetter: { maxFailures: 1 } });
+      const stub = sinon.stub(transport, "sendPublish").resolves();
+      return transport
+        .addMessageListener("bob", () => Promise.reject(new Error("boom")))
+        .then((handler) => fail(handler, 1))
+        .then(() => transport.getDeadLetters())
+        .then(([entry]) => transport.replayDeadLetter(entry.id))
+        .then((correlationId) => {
+          correlationId.should.equal("ggg");
+          stub.calledOnce.should.be.true();
+          stub.firstCall.args[0].should.equal("bob");
+          stub.firstCall.args[1].should.deep.equal({ name: "bob" });
+          stub.firstCall.args[2].initiator.should.equal("fff");
+          return transport.getDeadLetters();
+        })
+        .then((entries) => {
+          entries.should.have.length(0);
+        });
+    });
+    it("should reject replaying an unknown entry", () => {
+      const transport = new Transport({ deadLetter: true });
+      return transport
+        .replayDeadLetter("bob")
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.NotFoundError);
+        });
+    });
+  });
+
+  describe("publish schema:", () => {
+    it("should catch invalid schema params", () => {
+      const transport = new Transport();
+      return transport
+        .publish("bob", {}, { schema: 44444 })
+        .then(() => {
+          throw new Error("Failed to catch invalid input.");
+        })
+        .catch((err) => {
+          if (!(err instanceof TypeError)) {
+            throw err;
+          }
+        });
+    });
+    it("should reject invalid messages without sending them", () => {
+      const transport = new Transport();
+      const stub = sinon.stub(transport, "sendPublish").resolves();
+      return transport
+        .publish("bob", { name: 3 }, { schema: { properties: { name: { type: "string" } } } })
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.InvalidMessageError);
+          err.response.errors[0].path.should.equal("/name");
+          stub.called.should.be.false();
+        });
+    });
+    it("should validate request messages", () => {
+      const transport = new Transport();
+      const stub = sinon.stub(transport, "sendRequest").resolves();
+      return transport
+        .request("bob", {}, { schema: { required: ["name"] } })
+        .then(() => {
+          throw new Error("Failed to reject.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.InvalidMessageError);
+          stub.called.should.be.false();
+        });
+    });
+  });
+
+  describe("request:", () => {
+    it("should return a promise that resolves", () => {
+      const transport = new Transport();
+      return transport.request("bob");
+    });
+    it("should catch invalid routingKey params", () => {
+      const transport = new Transport();
+      return transport
+        .request(35353535)
+        .then(() => {
+          throw new Error("Failed to catch invalid input.");
+        })
+        .catch((err) => {
+          if (!(err instanceof TypeError)) {
+            throw err;
+          }
+        });
+    });
+    it("should catch invalid correlationId params", () => {
+      const transport = new Transport();
+      return transport
+        .request("bob", {}, { correlationId: 44444 })
+        .then(() => {
+          throw new Error("Failed to catch invalid input.");
+        })
+        .catch((err) => {
+          if (!(err instanceof TypeError)) {
+            throw err;
+          }
+        });
+    });
+    it("should catch invalid initiator params", () => {
+      const transport = new Transport();
+      return transport
+        .request("bob", {}, { initiator: 44444 })
+        .then(() => {
+          throw new Error("Failed to catch invalid input.");
+        })
+        .catch((err) => {
+          if (!(err instanceof TypeError)) {
+            throw err;
+          }
+        });
+    });
+    it("should catch unregistered content types and encodings", () => {
+      const transport = new Transport();
+      return Promise.all([
+        transport.request("bob", {}, { contentType: "text/bob" }).reflect(),
+        transport.request("bob", {}, { contentEncoding: "bob" }).reflect(),
+      ]).then((results) => {
+        results.forEach((result) => {
+          result.reason().should.be.an.instanceOf(TypeError);
+        });
+      });
+    });
+    it("should send the codec settings of the transport", () => {
+      const transport = new Transport({
+        contentType: "application/msgpack",
+        contentEncoding: "gzip",
+      });
+      const stub = sinon.stub(transport, "sendRequest").resolves();
+      return transport.request("bob", {}, { contentEncoding: "deflate" }).then(() => {
+        stub.firstCall.args[2].should.include({
+          contentType: "application/msgpack",
+          contentEncoding: "deflate",
+          compressionThreshold: 1024,
+        });
+      });
+    });
+    it("should catch invalid headers params", () => {
+      const transport = new Transport();
+      return transport
+        .request("bob", {}, { headers: { retries: 3 } })
+        .then(() => {
+          throw new Error("Failed to catch invalid input.");
+        })
+        .catch((err) => {
+          if (!(err instanceof TypeError)) {
+            throw err;
+          }
+        });
+    });
+    it("should send headers alongside the trace headers", () => {
+      const transport = new Transport();
+      const stub = sinon.stub(transport, "sendRequest").resolves();
+      return transport.request("bob", {}, { headers: { tenant: "acme" } }).then(() => {
+        const { headers } = stub.firstCall.args[2];
+        headers.tenant.should.equal("acme");
+        headers.traceparent.should.be.a("string");
+      });
+    });
+    it("should catch invalid timeout params", () => {
+      const transport = new Transport();
+      return transport
+        .request("bob", {}, { timeout: -1 })
+        .then(() => {
+          throw new Error("Failed to catch invalid input.");
+        })
+        .catch((err) => {
+          if (!(err instanceof TypeError)) {
+            throw err;
+          }
+        });
+    });
+    it("should resolve to the response from sendRequest", () => {
+      const transport = new Transport();
+      sinon.stub(transport, "sendRequest").resolves({ ok: true });
+      return transport.request("bob", {}).then((res) => {
+        res.should.deep.equal({ ok: true });
+        transport.pendingRequests.size.should.equal(0);
+      });
+    });
+    it("should reject with a RequestTimeoutError when no response arrives", () => {
+      const transport = new Transport();
+      sinon.stub(transport, "sendRequest").returns(Promise.delay(50).then(() => "late"));
+      return transport
+        .request("bob", {}, { timeout: 10 })
+        .then(() => {
+          throw new Error("Failed to time out.");
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(errors.RequestTimeoutError);
+          err.should.be.an.instanceOf(errors.RequestError);
+          transport.pendingRequests.size.should.equal(0);
+        });
+    });
+    it("should discard responses that arrive after a timeout", () => {
+      const transport = new Transport();
+      const spy = sinon.spy(transport, "settleRequest");
+      sinon.stub(transport, "sendRequest").returns(Promise.delay(20).then(() => "late"));
+      return transport
+        .request("bob", {}, { timeout: 5 })
+        .catch(() => Promise.delay(30))
+        .then(() => {
+          spy.calledTwice.should.be.true();
+          spy.secondCall.returnValue.should.be.false();
         });
     });
   });